@@ -0,0 +1,172 @@
+/**
+ * Anomalies
+ *
+ * Builds small example instances that show why a violating FD X → Y matters. Two
+ * rows agree on X⁺ (everything X determines) and nowhere else, so they store the
+ * same X → Y fact twice; a third row differs from both everywhere and is the only
+ * row for its X value. The instance satisfies every FD of the relation, yet it
+ * exhibits an update, an insertion and a deletion anomaly, all of which disappear
+ * once R is split into R1(X ∪ Y) and R2(R − Y).
+ *
+ * Browser: loaded via <script src="anomalies.js"> after engine.js and data.js,
+ *          exposed as `Anomalies`.
+ * Node:    const anomalies = require("./anomalies.js");
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./engine.js"), require("./data.js"));
+  } else {
+    root.Anomalies = factory(root.NormalizationEngine, root.SampleData);
+  }
+})(typeof self !== "undefined" ? self : this, function (engine, data) {
+  "use strict";
+
+  const { calculateClosure, setToSortedString, fdToString } = engine;
+
+  // Value indices: the two rows sharing X⁺, the row alone with its X value,
+  // the value an update writes and the values of an inserted fact
+  const SHARED_ROW = 1;
+  const OTHER_ROW = 2;
+  const LONE_ROW = 3;
+  const UPDATED_VALUE = 4;
+  const INSERTED_VALUE = 5;
+
+  /**
+   * Formats the values a row holds for some columns, e.g. "(A1, B1)".
+   * @param {{columns: string[]}} table
+   * @param {Array<string|null>} row
+   * @param {Set<string>} attributes
+   * @returns {string}
+   */
+  function formatValues(table, row, attributes) {
+    return `(${table.columns
+      .map((column, i) => (attributes.has(column) ? row[i] : null))
+      .filter((value) => value !== null)
+      .join(", ")})`;
+  }
+
+  /**
+   * Builds the example instance and the three anomalies for one 2NF, 3NF or BCNF
+   * violation from engine.classifyViolations.
+   * @param {{attributes: Set<string>, fds: Array}} relation
+   * @param {Array<Set<string>>} candidateKeys
+   * @param {{fd: {lhs: Set<string>, rhs: Set<string>}, key: Set<string>|null}} violation
+   * @returns {{
+   *   fd: {lhs: Set<string>, rhs: Set<string>},
+   *   key: Set<string>,
+   *   instance: {columns: string[], rows: string[][]},
+   *   update: {row: number, columns: string[], after: {columns: string[], rows: string[][]}, description: string},
+   *   insertion: {row: Array<string|null>, missingKey: string[], description: string},
+   *   deletion: {row: number, after: {columns: string[], rows: string[][]}, description: string},
+   *   decomposition: Array<Set<string>>,
+   *   projections: Array<{columns: string[], rows: string[][]}>,
+   *   fixes: {update: string, insertion: string, deletion: string}
+   * }} - Row numbers are 0-based indices into instance.rows; null marks a value the
+   *   inserted row cannot have yet. The decomposition is R1(X ∪ Y), R2(R − Y).
+   */
+  function buildAnomalyExample(relation, candidateKeys, violation) {
+    const { fd } = violation;
+    const columns = Array.from(relation.attributes).sort();
+    const closure = calculateClosure(fd.lhs, relation.fds);
+    const key = violation.key || candidateKeys[0];
+    const value = (attr, index) => `${attr}${index}`;
+
+    const instance = {
+      columns,
+      rows: [
+        columns.map((attr) => value(attr, SHARED_ROW)),
+        columns.map((attr) =>
+          value(attr, closure.has(attr) ? SHARED_ROW : OTHER_ROW)
+        ),
+        columns.map((attr) => value(attr, LONE_ROW)),
+      ],
+    };
+    const lhs = `{${setToSortedString(fd.lhs)}}`;
+    const rhs = `{${setToSortedString(fd.rhs)}}`;
+    const sharedX = formatValues(instance, instance.rows[0], fd.lhs);
+    const loneX = formatValues(instance, instance.rows[2], fd.lhs);
+    const loneY = formatValues(instance, instance.rows[2], fd.rhs);
+
+    // Update: change Y in the first of the two rows that share it
+    const updated = {
+      columns,
+      rows: instance.rows.map((row) => row.slice()),
+    };
+    columns.forEach((attr, i) => {
+      if (fd.rhs.has(attr)) updated.rows[0][i] = value(attr, UPDATED_VALUE);
+    });
+    const update = {
+      row: 0,
+      columns: columns.filter((attr) => fd.rhs.has(attr)),
+      after: updated,
+      description: `Rows 1 and 2 both record that ${lhs} = ${sharedX} has ${rhs} = ${formatValues(
+        instance,
+        instance.rows[0],
+        fd.rhs
+      )}. Changing it in row 1 only leaves row 2 with the old value, so the table contradicts ${fdToString(
+        fd
+      )}: every row with that ${lhs} value has to be updated together.`,
+    };
+
+    // Insertion: a new X → Y fact has no key values to go with it
+    const missingKey = Array.from(key)
+      .filter((attr) => !closure.has(attr))
+      .sort();
+    const insertedRow = columns.map((attr) =>
+      closure.has(attr) ? value(attr, INSERTED_VALUE) : null
+    );
+    const insertion = {
+      row: insertedRow,
+      missingKey,
+      description: `Recording that ${lhs} = ${formatValues(
+        instance,
+        insertedRow,
+        fd.lhs
+      )} has ${rhs} = ${formatValues(
+        instance,
+        insertedRow,
+        fd.rhs
+      )} needs a whole row, but there is no value yet for key attribute(s) ${missingKey.join(
+        ", "
+      )} of key {${setToSortedString(
+        key
+      )}}. A key cannot be NULL, so the fact cannot be stored until such a row exists.`,
+    };
+
+    // Deletion: the lone row is the only place its X → Y fact is stored
+    const deletion = {
+      row: 2,
+      after: { columns, rows: instance.rows.slice(0, 2) },
+      description: `Row 3 is the only row with ${lhs} = ${loneX}. Deleting it also deletes the fact that ${lhs} = ${loneX} has ${rhs} = ${loneY}, which no other row records.`,
+    };
+
+    const factAttributes = new Set([...fd.lhs, ...fd.rhs]);
+    const rest = new Set(columns.filter((attr) => !fd.rhs.has(attr)));
+    const decomposition = [factAttributes, rest];
+    const r1 = `R1(${setToSortedString(factAttributes)})`;
+    const r2 = `R2(${setToSortedString(rest)})`;
+    return {
+      fd,
+      key,
+      instance,
+      update,
+      insertion,
+      deletion,
+      decomposition,
+      projections: decomposition.map((schema) =>
+        data.projectTable(instance, schema)
+      ),
+      fixes: {
+        update: `${r1} stores each ${lhs} value once, so ${rhs} is changed in exactly one row.`,
+        insertion: `The fact is one row of ${r1}, which needs no value of ${missingKey.join(
+          ", "
+        )}.`,
+        deletion: `Deleting row 3 removes its row from ${r2}; ${lhs} = ${loneX} and its ${rhs} stay in ${r1}.`,
+      },
+    };
+  }
+
+  return {
+    buildAnomalyExample,
+  };
+});
@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+/**
+ * Closure benchmark
+ *
+ * Compares engine.calculateClosure (counter-based, indexed, memoized) with the
+ * previous fixpoint implementation, which rescans every FD until nothing changes.
+ * Relations of 10–40 attributes are generated from a fixed seed, so runs are
+ * comparable between machines and commits.
+ *
+ * Usage: node bench/closure-bench.js [--queries N]
+ */
+const { performance } = require("perf_hooks");
+const engine = require("../engine.js");
+
+const SIZES = [10, 20, 30, 40];
+
+/**
+ * The fixpoint closure algorithm used before the indexed one, kept as the baseline.
+ * @param {Set<string>} attributesToClose
+ * @param {Array<{lhs: Set<string>, rhs: Set<string>}>} fds
+ * @returns {Set<string>}
+ */
+function fixpointClosure(attributesToClose, fds) {
+  const closure = new Set(attributesToClose);
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const fd of fds) {
+      if (engine.isSuperset(closure, fd.lhs)) {
+        for (const attr of fd.rhs) {
+          if (!closure.has(attr)) {
+            closure.add(attr);
+            changed = true;
+          }
+        }
+      }
+    }
+  }
+  return closure;
+}
+
+/**
+ * Small seeded PRNG (mulberry32) returning floats in [0, 1).
+ * @param {number} seed
+ * @returns {function(): number}
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Generates a relation with 2n FDs whose dependencies form long derivation
+ * chains. The FDs are listed against the chain order, the worst case for the
+ * fixpoint algorithm.
+ * @param {number} size - Number of attributes.
+ * @param {function(): number} random
+ * @returns {{attributes: Set<string>, fds: Array<{lhs: Set<string>, rhs: Set<string>}>}}
+ */
+function generateRelation(size, random) {
+  const names = Array.from({ length: size }, (_, i) => `A${i + 1}`);
+  const pick = (from, to) => names[from + Math.floor(random() * (to - from))];
+  const fds = [];
+  for (let i = 0; i < 2 * size; i++) {
+    const target = 1 + Math.floor(random() * (size - 1));
+    const lhs = new Set([pick(0, target)]);
+    if (random() < 0.5) lhs.add(pick(0, target));
+    fds.push({ lhs, rhs: new Set([names[target]]) });
+  }
+  fds.sort((a, b) =>
+    [...b.rhs][0].localeCompare([...a.rhs][0], "en", { numeric: true })
+  );
+  return engine.createRelation(names, fds);
+}
+
+/**
+ * Times a closure function over a list of queries.
+ * @returns {number} - Milliseconds.
+ */
+function time(closure, queries, fds) {
+  const start = performance.now();
+  queries.forEach((query) => closure(query, fds));
+  return performance.now() - start;
+}
+
+function main(argv) {
+  const queriesIndex = argv.indexOf("--queries");
+  const queryCount =
+    queriesIndex === -1 ? 5000 : Number(argv[queriesIndex + 1]);
+  if (!Number.isInteger(queryCount) || queryCount <= 0) {
+    console.error("Usage: node bench/closure-bench.js [--queries N]");
+    return 2;
+  }
+
+  const rows = SIZES.map((size) => {
+    const random = createRandom(size);
+    const relation = generateRelation(size, random);
+    const names = Array.from(relation.attributes);
+    const queries = Array.from(
+      { length: queryCount },
+      () => new Set(names.filter(() => random() < 0.1).concat(names[0]))
+    );
+
+    // Check both implementations agree before timing them
+    queries.slice(0, 100).forEach((query) => {
+      const expected = fixpointClosure(query, relation.fds);
+      const actual = engine.calculateClosure(query, relation.fds);
+      if (!engine.setsAreEqual(expected, actual)) {
+        throw new Error(
+          `Closures differ for {${engine.setToSortedString(query)}}.`
+        );
+      }
+    });
+
+    // Warm up the JIT for both implementations
+    time(fixpointClosure, queries, relation.fds);
+    time(engine.calculateClosure, queries, relation.fds.slice());
+
+    const fixpoint = time(fixpointClosure, queries, relation.fds);
+    // A fresh FD array per run starts with an empty memo
+    const indexed = time(
+      engine.calculateClosure,
+      queries,
+      relation.fds.slice()
+    );
+    const fds = relation.fds.slice();
+    time(engine.calculateClosure, queries, fds);
+    const memoized = time(engine.calculateClosure, queries, fds);
+    return { size, fds: relation.fds.length, fixpoint, indexed, memoized };
+  });
+
+  console.log(`${queryCount} closures per relation\n`);
+  console.log(
+    "Attributes  FDs  Fixpoint (ms)  Indexed (ms)  Speedup  Memoized (ms)"
+  );
+  rows.forEach((row) => {
+    console.log(
+      [
+        String(row.size).padStart(10),
+        String(row.fds).padStart(4),
+        row.fixpoint.toFixed(1).padStart(14),
+        row.indexed.toFixed(1).padStart(13),
+        `${(row.fixpoint / row.indexed).toFixed(1)}x`.padStart(8),
+        row.memoized.toFixed(1).padStart(14),
+      ].join(" ")
+    );
+  });
+  return 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
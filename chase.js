@@ -0,0 +1,316 @@
+/**
+ * Chase (tableau) algorithm
+ *
+ * Tests whether a decomposition has a lossless join under a set of FDs.
+ * The tableau has one row per decomposed relation and one column per
+ * attribute: row i holds the distinguished symbol a<j> in column j when
+ * relation i contains that attribute, and b<i,j> otherwise. FDs are applied
+ * until nothing changes; the join is lossless iff some row ends up made
+ * entirely of distinguished symbols. MVDs X ↠ Y add rows instead: for two rows
+ * that agree on X, the row taking X ∪ Y from the first and everything else from
+ * the second. A JD *(R1, ..., Rn) adds the row joined from one row per component
+ * whenever those rows agree on the attributes the components share. Every
+ * equation and added row is recorded so the derivation can be shown step by step.
+ *
+ * Browser: loaded via <script src="chase.js"> after engine.js, exposed as `Chase`.
+ * Node:    const chase = require("./chase.js");
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./engine.js"));
+  } else {
+    root.Chase = factory(root.NormalizationEngine);
+  }
+})(typeof self !== "undefined" ? self : this, function (engine) {
+  "use strict";
+
+  const { fdToString, mvdToString, jdToString } = engine;
+
+  /**
+   * Checks if a tableau symbol is distinguished (a1, a2, ...).
+   * @param {string} symbol
+   * @returns {boolean}
+   */
+  function isDistinguished(symbol) {
+    return symbol.startsWith("a");
+  }
+
+  /**
+   * Orders symbols so that distinguished symbols win, then lower row numbers.
+   * @param {string} a
+   * @param {string} b
+   * @returns {number}
+   */
+  function compareSymbols(a, b) {
+    if (isDistinguished(a) !== isDistinguished(b)) {
+      return isDistinguished(a) ? -1 : 1;
+    }
+    const rowOf = (symbol) => Number(symbol.slice(1).split(",")[0]);
+    return rowOf(a) - rowOf(b);
+  }
+
+  /**
+   * Builds the initial tableau for a decomposition.
+   * @param {Array<string>} columns - Attributes of the original relation, in display order.
+   * @param {Array<Set<string>>} decomposition - Relation schemas.
+   * @returns {Array<Array<string>>} - One row per schema, one symbol per column.
+   */
+  function createTableau(columns, decomposition) {
+    return decomposition.map((schema, i) =>
+      columns.map((attr, j) =>
+        schema.has(attr) ? `a${j + 1}` : `b${i + 1},${j + 1}`
+      )
+    );
+  }
+
+  /**
+   * Copies a tableau so later steps do not modify recorded snapshots.
+   * @param {Array<Array<string>>} tableau
+   * @returns {Array<Array<string>>}
+   */
+  function cloneTableau(tableau) {
+    return tableau.map((row) => row.slice());
+  }
+
+  /**
+   * Applies an FD X → Y once: rows that agree on X are made to agree on Y.
+   * @param {Array<Array<string>>} tableau - Modified in place.
+   * @param {Array<string>} columns
+   * @param {{lhs: Set<string>, rhs: Set<string>}} fd
+   * @returns {Array<{attribute: string, rows: number[], replaced: string[], by: string, tableau: Array<Array<string>>}>}
+   *   - Equations made, each with a snapshot of the tableau right after it.
+   */
+  function applyFD(tableau, columns, fd) {
+    const lhsColumns = columns
+      .map((attr, j) => (fd.lhs.has(attr) ? j : -1))
+      .filter((j) => j !== -1);
+    const rhsColumns = columns
+      .map((attr, j) => (fd.rhs.has(attr) && !fd.lhs.has(attr) ? j : -1))
+      .filter((j) => j !== -1);
+    const equations = [];
+
+    // Group rows by their symbols in the LHS columns
+    const groups = new Map();
+    tableau.forEach((row, i) => {
+      const key = lhsColumns.map((j) => row[j]).join("|");
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(i);
+    });
+
+    groups.forEach((rows) => {
+      if (rows.length < 2) return;
+      rhsColumns.forEach((j) => {
+        const symbols = Array.from(new Set(rows.map((i) => tableau[i][j])));
+        if (symbols.length < 2) return;
+        symbols.sort(compareSymbols);
+        const [winner, ...replaced] = symbols;
+        // Equate the symbols everywhere in the column, not just in these rows
+        tableau.forEach((row) => {
+          if (replaced.includes(row[j])) row[j] = winner;
+        });
+        equations.push({
+          attribute: columns[j],
+          rows: rows.map((i) => i + 1),
+          replaced,
+          by: winner,
+          tableau: cloneTableau(tableau),
+        });
+      });
+    });
+    return equations;
+  }
+
+  /**
+   * Applies an MVD X ↠ Y once: for every ordered pair of rows that agree on X,
+   * adds the row with X ∪ Y from the first and the other columns from the second.
+   * Stops early once an added row consists of distinguished symbols only.
+   * @param {Array<Array<string>>} tableau - Modified in place.
+   * @param {Array<string>} columns
+   * @param {{lhs: Set<string>, rhs: Set<string>}} mvd
+   * @returns {Array<{rows: number[], added: number, tableau: Array<Array<string>>}>}
+   *   - Rows added (1-based), each with a snapshot of the tableau right after it.
+   */
+  function applyMVD(tableau, columns, mvd) {
+    const additions = [];
+    const present = new Set(tableau.map((row) => row.join("|")));
+    const rowCount = tableau.length;
+    for (let i = 0; i < rowCount; i++) {
+      for (let j = 0; j < rowCount; j++) {
+        if (i === j) continue;
+        const agree = columns.every(
+          (attr, k) => !mvd.lhs.has(attr) || tableau[i][k] === tableau[j][k]
+        );
+        if (!agree) continue;
+        const row = columns.map((attr, k) =>
+          mvd.lhs.has(attr) || mvd.rhs.has(attr) ? tableau[i][k] : tableau[j][k]
+        );
+        const key = row.join("|");
+        if (present.has(key)) continue;
+        present.add(key);
+        tableau.push(row);
+        additions.push({
+          rows: [i + 1, j + 1],
+          added: tableau.length,
+          tableau: cloneTableau(tableau),
+        });
+        // The chase is over once a row of distinguished symbols appears
+        if (row.every(isDistinguished)) return additions;
+      }
+    }
+    return additions;
+  }
+
+  /**
+   * Applies a JD *(R1, ..., Rn) once: for every choice of one row per component such
+   * that the chosen rows agree wherever their components overlap, adds the row taking
+   * each component's columns from its chosen row. Stops early once an added row
+   * consists of distinguished symbols only.
+   * @param {Array<Array<string>>} tableau - Modified in place.
+   * @param {Array<string>} columns
+   * @param {Array<Set<string>>} jd
+   * @returns {Array<{rows: number[], added: number, tableau: Array<Array<string>>}>}
+   *   - Rows added (1-based, `rows` lists the chosen row per component), each with a
+   *   snapshot of the tableau right after it.
+   */
+  function applyJD(tableau, columns, jd) {
+    const additions = [];
+    const present = new Set(tableau.map((row) => row.join("|")));
+    const rowCount = tableau.length;
+    const componentColumns = jd.map((component) =>
+      columns
+        .map((attr, k) => (component.has(attr) ? k : -1))
+        .filter((k) => k !== -1)
+    );
+    // Symbols fixed so far by the chosen rows, per column
+    const row = columns.map(() => null);
+    const chosen = [];
+
+    const choose = (c) => {
+      if (c === jd.length) {
+        const key = row.join("|");
+        if (present.has(key)) return false;
+        present.add(key);
+        tableau.push(row.slice());
+        additions.push({
+          rows: chosen.map((i) => i + 1),
+          added: tableau.length,
+          tableau: cloneTableau(tableau),
+        });
+        // The chase is over once a row of distinguished symbols appears
+        return row.every(isDistinguished);
+      }
+      for (let i = 0; i < rowCount; i++) {
+        const fits = componentColumns[c].every(
+          (k) => row[k] === null || row[k] === tableau[i][k]
+        );
+        if (!fits) continue;
+        const fixed = componentColumns[c].filter((k) => row[k] === null);
+        fixed.forEach((k) => (row[k] = tableau[i][k]));
+        chosen.push(i);
+        const done = choose(c + 1);
+        chosen.pop();
+        fixed.forEach((k) => (row[k] = null));
+        if (done) return true;
+      }
+      return false;
+    };
+    choose(0);
+    return additions;
+  }
+
+  /**
+   * Runs the chase on a decomposition and reports whether its join is lossless.
+   * @param {Set<string>} attributes - Attributes of the original relation.
+   * @param {Array<Set<string>>} decomposition - Relation schemas.
+   * @param {Array<{lhs: Set<string>, rhs: Set<string>}>} fds - FDs of the original relation.
+   * @param {Array<{lhs: Set<string>, rhs: Set<string>}>} [mvds] - MVDs of the original relation.
+   * @param {Array<Array<Set<string>>>} [jds] - JDs of the original relation.
+   * @returns {{
+   *   lossless: boolean,
+   *   columns: string[],
+   *   initialTableau: Array<Array<string>>,
+   *   finalTableau: Array<Array<string>>,
+   *   steps: Array<{fd: string, attribute?: string, rows: number[], replaced?: string[], by?: string, added?: number, join?: boolean, tableau: Array<Array<string>>}>,
+   *   losslessRow: number|null,
+   *   uncoveredAttributes: string[]
+   * }} - losslessRow is the 1-based row made of distinguished symbols only. Each step names
+   *   the dependency applied in `fd`; FD steps equate symbols, MVD and JD steps add row `added`
+   *   (JD steps are marked `join` and list one row per component).
+   */
+  function checkLosslessJoin(
+    attributes,
+    decomposition,
+    fds,
+    mvds = [],
+    jds = []
+  ) {
+    const columns = Array.from(attributes).sort();
+    const tableau = createTableau(columns, decomposition);
+    const initialTableau = cloneTableau(tableau);
+    const steps = [];
+
+    // Attributes outside every schema can never be recovered by the join
+    const covered = new Set();
+    decomposition.forEach((schema) =>
+      schema.forEach((attr) => covered.add(attr))
+    );
+    const uncoveredAttributes = columns.filter((attr) => !covered.has(attr));
+
+    const findLosslessRow = () =>
+      tableau.findIndex((row) => row.every(isDistinguished));
+
+    let changed = true;
+    while (changed && findLosslessRow() === -1) {
+      changed = false;
+      for (const fd of fds) {
+        const equations = applyFD(tableau, columns, fd);
+        equations.forEach((equation) =>
+          steps.push({ fd: fdToString(fd), ...equation })
+        );
+        if (equations.length > 0) {
+          changed = true;
+          if (findLosslessRow() !== -1) break;
+        }
+      }
+      if (findLosslessRow() !== -1) break;
+      for (const mvd of mvds) {
+        const additions = applyMVD(tableau, columns, mvd);
+        additions.forEach((addition) =>
+          steps.push({ fd: mvdToString(mvd), ...addition })
+        );
+        if (additions.length > 0) {
+          changed = true;
+          if (findLosslessRow() !== -1) break;
+        }
+      }
+      if (findLosslessRow() !== -1) break;
+      for (const jd of jds) {
+        const additions = applyJD(tableau, columns, jd);
+        additions.forEach((addition) =>
+          steps.push({ fd: jdToString(jd), join: true, ...addition })
+        );
+        if (additions.length > 0) {
+          changed = true;
+          if (findLosslessRow() !== -1) break;
+        }
+      }
+    }
+
+    const losslessIndex = findLosslessRow();
+    return {
+      lossless: losslessIndex !== -1,
+      columns,
+      initialTableau,
+      finalTableau: cloneTableau(tableau),
+      steps,
+      losslessRow: losslessIndex === -1 ? null : losslessIndex + 1,
+      uncoveredAttributes,
+    };
+  }
+
+  return {
+    isDistinguished,
+    createTableau,
+    checkLosslessJoin,
+  };
+});
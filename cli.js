@@ -0,0 +1,513 @@
+#!/usr/bin/env node
+/**
+ * Command-line front end for the normalization engine.
+ *
+ * Usage: node cli.js [--json] [--explain] [--covers] [--target 2NF|3NF|EKNF|BCNF|4NF|5NF] <schema-file>...
+ *
+ * Each schema file lists attributes and FDs (see parseSchemaText in engine.js).
+ * Files ending in .sql are read as CREATE TABLE DDL; every table is analyzed
+ * as its own relation, seeded with its key dependencies. Files ending in .json
+ * are workspaces saved by the web page ("Save JSON"). Files ending in .csv or
+ * .tsv are sample data: the FDs that hold exactly in the rows are discovered and
+ * analyzed over the columns.
+ * Exit codes: 0 = success, 1 = a relation misses the --target normal form,
+ * 2 = usage or parse error, a relation without any attributes, or an error while
+ * analyzing a relation (reported on stderr; the other relations are still analyzed).
+ */
+const fs = require("fs");
+const engine = require("./engine.js");
+const sql = require("./sql.js");
+const Workspace = require("./workspace.js");
+const Chase = require("./chase.js");
+const SampleData = require("./data.js");
+
+const { setToSortedString, fdToString } = engine;
+
+const NORMAL_FORM_ORDER = [
+  "UNF",
+  "1NF",
+  "2NF",
+  "3NF",
+  "EKNF",
+  "BCNF",
+  "4NF",
+  "5NF",
+];
+
+const USAGE = `Usage: node cli.js [--json] [--explain] [--covers] [--target 2NF|3NF|EKNF|BCNF|4NF|5NF] <schema-file>...
+
+Schema file format:
+  attributes: A, B, C, D   (optional; X(Y, Z) is composite, W[] multivalued)
+  A, B -> C
+  C -> D
+  A ->> B                  (multivalued dependency)
+  *(AB, BCD)               (join dependency)
+
+Files ending in .sql are read as CREATE TABLE statements; files ending in
+.json are workspaces saved from the web page; files ending in .csv or .tsv
+are sample rows whose exact FDs are discovered and analyzed.
+
+Options:
+  --json            Print results as JSON instead of text
+  --explain         Include step-by-step derivations (keys, minimal cover, decompositions)
+  --covers          List every minimal cover with the 3NF synthesis it leads to
+  --target <form>   Exit with code 1 if any relation is not in <form>
+  -h, --help        Show this help`;
+
+/**
+ * Parses command-line arguments.
+ * @param {string[]} argv - Arguments after the script name.
+ * @returns {{json: boolean, explain: boolean, covers: boolean, target: string|null, files: string[], help: boolean}}
+ */
+function parseArgs(argv) {
+  const options = {
+    json: false,
+    explain: false,
+    covers: false,
+    target: null,
+    files: [],
+    help: false,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--json") {
+      options.json = true;
+    } else if (arg === "--explain") {
+      options.explain = true;
+    } else if (arg === "--covers") {
+      options.covers = true;
+    } else if (arg === "--target") {
+      options.target = (argv[++i] || "").toUpperCase();
+      if (!NORMAL_FORM_ORDER.includes(options.target)) {
+        throw new Error(`Unknown target normal form "${argv[i] || ""}".`);
+      }
+    } else if (arg === "-h" || arg === "--help") {
+      options.help = true;
+    } else if (arg.startsWith("-")) {
+      throw new Error(`Unknown option "${arg}".`);
+    } else {
+      options.files.push(arg);
+    }
+  }
+  return options;
+}
+
+/**
+ * JSON.stringify replacer that renders Sets as sorted arrays and Maps as objects.
+ */
+function jsonReplacer(key, value) {
+  if (value instanceof Set) return Array.from(value).sort();
+  if (value instanceof Map) return Object.fromEntries(value);
+  return value;
+}
+
+/**
+ * Appends a derivation trace as indented, numbered lines.
+ * @param {string[]} lines
+ * @param {string} title
+ * @param {Array<{description: string, steps?: Array<object>}>} trace
+ */
+function pushDerivation(lines, title, trace) {
+  lines.push(`  ${title}:`);
+  const pushSteps = (steps, indent) =>
+    steps.forEach((step, i) => {
+      lines.push(`${indent}${i + 1}. ${step.description}`);
+      if (step.steps) pushSteps(step.steps, `${indent}   `);
+    });
+  pushSteps(trace, "    ");
+}
+
+/**
+ * Appends every minimal cover with its 3NF synthesis, each compared with the
+ * synthesis from the first cover (the one used everywhere else).
+ * @param {string[]} lines
+ * @param {{attributes: Set<string>, fds: Array}} relation
+ * @param {Array<Set<string>>} candidateKeys
+ */
+function pushMinimalCovers(lines, relation, candidateKeys) {
+  const { covers, complete } = engine.enumerateMinimalCovers(relation.fds);
+  const formatSchemas = (schemas) =>
+    schemas.map((schema) => `R(${setToSortedString(schema)})`).join(", ");
+  lines.push(
+    `All Minimal Covers (${covers.length}${complete ? "" : ", search capped"}):`
+  );
+  const synthesize = (cover) =>
+    engine.calculate3NFDecomposition(relation, candidateKeys, null, cover);
+  const baseline = synthesize(covers[0]);
+  covers.forEach((cover, i) => {
+    lines.push(
+      `  ${i + 1}. ${cover.map(fdToString).join("; ") || "(empty)"}${
+        i === 0 ? " (used above)" : ""
+      }`
+    );
+    if (candidateKeys.length === 0) return;
+    if (i === 0) {
+      lines.push(`     3NF: ${formatSchemas(baseline)}`);
+      return;
+    }
+    const { removed, added } = engine.diffDecompositions(
+      baseline,
+      synthesize(cover)
+    );
+    if (removed.length === 0 && added.length === 0) {
+      lines.push("     3NF: same as cover 1");
+      return;
+    }
+    if (added.length > 0) lines.push(`     3NF adds: ${formatSchemas(added)}`);
+    if (removed.length > 0) {
+      lines.push(`     3NF drops: ${formatSchemas(removed)}`);
+    }
+  });
+}
+
+/**
+ * Formats an analysis result as human-readable text.
+ * @param {string} file
+ * @param {{attributes: Set<string>, fds: Array}} relation
+ * @param {object} analysis - Result of engine.analyzeRelation.
+ * @param {{covers?: boolean}} [options] - With covers, every minimal cover is listed.
+ * @returns {string}
+ */
+function formatText(file, relation, analysis, options = {}) {
+  const lines = [`== ${file} ==`];
+  lines.push(
+    `Attributes: R(${engine.formatAttributeDeclarations(
+      relation.attributes,
+      relation.attributeTypes
+    )})`
+  );
+  lines.push("Functional Dependencies:");
+  relation.fds.forEach((fd) => lines.push(`  ${fdToString(fd)}`));
+  if (engine.hasMultivaluedDependencies(relation)) {
+    lines.push("Multivalued Dependencies:");
+    relation.mvds.forEach((mvd) => lines.push(`  ${engine.mvdToString(mvd)}`));
+  }
+  if (engine.hasJoinDependencies(relation)) {
+    lines.push("Join Dependencies:");
+    relation.jds.forEach((jd) => lines.push(`  ${engine.jdToString(jd)}`));
+  }
+
+  const firstNormalForm = analysis.firstNormalForm;
+  if (firstNormalForm) {
+    lines.push("1NF: no");
+    firstNormalForm.violations.forEach((violation) =>
+      lines.push(`  violation: ${violation}`)
+    );
+    lines.push("1NF Transformation:");
+    firstNormalForm.steps.forEach((step) =>
+      lines.push(`  ${step.description}`)
+    );
+    if (firstNormalForm.relations.length > 0) {
+      lines.push("Extracted Relations:");
+      firstNormalForm.relations.forEach((rel) =>
+        lines.push(`  R_${rel.name}(${setToSortedString(rel.attributes)})`)
+      );
+    }
+    relation = firstNormalForm.relation;
+    lines.push(
+      `The rest of the analysis is about R(${setToSortedString(
+        relation.attributes
+      )})`
+    );
+  }
+  lines.push(
+    `Closure of All Attributes: {${setToSortedString(analysis.closureOfAll)}}`
+  );
+
+  lines.push("Candidate Keys:");
+  if (analysis.candidateKeys.length === 0) {
+    lines.push("  (none found)");
+  }
+  analysis.candidateKeys.forEach((key) =>
+    lines.push(`  {${setToSortedString(key)}}`)
+  );
+  if (analysis.traces) {
+    pushDerivation(
+      lines,
+      "How the keys were found",
+      analysis.traces.candidateKeys
+    );
+  }
+
+  if (analysis.normalForms) {
+    const nf = analysis.normalForms;
+    lines.push(
+      firstNormalForm
+        ? `Highest Normal Form: UNF (${engine.getHighestNormalForm(
+            nf
+          )} after the 1NF transformation)`
+        : `Highest Normal Form: ${engine.getHighestNormalForm(nf)}`
+    );
+    lines.push("Normal Form Ladder:");
+    analysis.ladder.forEach((rung) => {
+      const verdict =
+        rung.holds === null ? "not decided" : rung.holds ? "yes" : "no";
+      lines.push(`  ${rung.form}: ${verdict}`);
+      rung.evidence.forEach((line) => lines.push(`    ${line}`));
+      // The full list of elementary FDs is part of the derivations
+      if (analysis.traces && rung.elementaryFDs) {
+        lines.push("    Elementary FDs:");
+        rung.elementaryFDs.forEach((fd) =>
+          lines.push(`      ${fdToString(fd)}`)
+        );
+      }
+    });
+    if (nf.classified.length > 0) {
+      lines.push("Violations:");
+      nf.classified.forEach((violation) =>
+        lines.push(`  ${violation.description}`)
+      );
+    }
+  }
+
+  lines.push("Minimal Cover:");
+  analysis.minimalCover.forEach((fd) => lines.push(`  ${fdToString(fd)}`));
+  if (analysis.traces) {
+    pushDerivation(lines, "Derivation", analysis.traces.minimalCover);
+  }
+  if (options.covers) {
+    pushMinimalCovers(lines, relation, analysis.candidateKeys);
+  }
+
+  [
+    ["3NF", "3NF Decomposition (Synthesis)"],
+    ["BCNF", "BCNF Decomposition"],
+    ["4NF", "4NF Decomposition"],
+    ["5NF", "5NF Decomposition"],
+    ["2NF", "2NF Decomposition"],
+  ].forEach(([form, title]) => {
+    const decomposition = analysis.decompositions[form];
+    if (!decomposition) return;
+    lines.push(`${title}:`);
+    decomposition.forEach((rel) =>
+      lines.push(`  R(${setToSortedString(rel)})`)
+    );
+    const unverified = analysis.unverified && analysis.unverified[form];
+    if (unverified) {
+      lines.push(
+        `  Not fully checked (too many attribute sets to try): ${unverified
+          .map((rel) => `R(${setToSortedString(rel)})`)
+          .join(", ")}`
+      );
+    }
+    if (analysis.traces && analysis.traces[form]) {
+      pushDerivation(lines, "Derivation", analysis.traces[form]);
+    }
+    const { lossless } = Chase.checkLosslessJoin(
+      relation.attributes,
+      decomposition,
+      relation.fds,
+      relation.mvds,
+      relation.jds
+    );
+    lines.push(`  Lossless join: ${lossless ? "yes" : "no"}`);
+    const { preserved, lostFDs } = engine.checkDependencyPreservation(
+      decomposition,
+      relation.fds
+    );
+    lines.push(
+      `  Dependency preserving: ${
+        preserved ? "yes" : `no (lost: ${lostFDs.map(fdToString).join(", ")})`
+      }`
+    );
+  });
+
+  return lines.join("\n");
+}
+
+/**
+ * Reads a schema file into one or more labelled relations.
+ * @param {string} file
+ * @param {string} text
+ * @returns {{relations: Array<{label: string, relation: object}>, errors: Array<{line: number, message: string}>}}
+ */
+function readRelations(file, text) {
+  if (/\.sql$/i.test(file)) {
+    const tables = sql.parseCreateTables(text);
+    if (tables.length === 0) {
+      return {
+        relations: [],
+        errors: [{ line: 1, message: "No CREATE TABLE statements found." }],
+      };
+    }
+    return {
+      relations: tables.map((table) => ({
+        label: `${file}:${table.name}`,
+        relation: sql.tableToRelation(table),
+      })),
+      errors: [],
+    };
+  }
+  if (/\.json$/i.test(file)) {
+    const workspace = Workspace.deserializeWorkspace(JSON.parse(text));
+    return {
+      relations: workspace.relations.map((relation) => ({
+        label: `${file}:${relation.name}`,
+        relation,
+      })),
+      errors: [],
+    };
+  }
+  if (/\.(csv|tsv)$/i.test(file)) {
+    const table = SampleData.parseCSV(text);
+    const { fds } = SampleData.discoverFDs(table);
+    return {
+      relations: [
+        { label: file, relation: engine.createRelation(table.columns, fds) },
+      ],
+      errors: [],
+    };
+  }
+  const { relation, errors } = engine.parseSchemaText(text);
+  return { relations: [{ label: file, relation }], errors };
+}
+
+/**
+ * Reports the highest normal form of the analyzed relation as written, so a
+ * relation that needed the 1NF transformation is "UNF".
+ * @param {object} analysis
+ * @returns {string|null}
+ */
+function getHighestNormalForm(analysis) {
+  if (analysis.firstNormalForm) return "UNF";
+  return analysis.normalForms
+    ? engine.getHighestNormalForm(analysis.normalForms)
+    : null;
+}
+
+/**
+ * Checks whether the analysis satisfies the requested target normal form, using
+ * the verdicts of the normal-form ladder. A rung that is not decided (4NF without
+ * MVDs, 5NF without JDs) coincides with the rung below it, as the ladder explains.
+ * @param {object} analysis
+ * @param {string|null} target
+ * @returns {boolean}
+ */
+function meetsTarget(analysis, target) {
+  if (!target || target === "UNF") return true;
+  if (analysis.firstNormalForm || !analysis.ladder) return false;
+  let index = analysis.ladder.findIndex((rung) => rung.form === target);
+  while (index > 0 && analysis.ladder[index].holds === null) index--;
+  return index >= 0 && analysis.ladder[index].holds === true;
+}
+
+function main(argv) {
+  let options;
+  try {
+    options = parseArgs(argv);
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (options.files.length === 0) {
+    console.error(USAGE);
+    return 2;
+  }
+
+  let exitCode = 0;
+  const jsonResults = [];
+
+  for (const file of options.files) {
+    let text;
+    try {
+      text = fs.readFileSync(file, "utf8");
+    } catch (error) {
+      console.error(`${file}: ${error.message}`);
+      exitCode = 2;
+      continue;
+    }
+
+    let parsed;
+    try {
+      parsed = readRelations(file, text);
+    } catch (error) {
+      parsed = { relations: [], errors: [{ line: 1, message: error.message }] };
+    }
+    if (parsed.errors.length > 0) {
+      parsed.errors.forEach((err) =>
+        console.error(`${file}:${err.line}: ${err.message}`)
+      );
+      exitCode = 2;
+      continue;
+    }
+
+    for (const { label, relation } of parsed.relations) {
+      if (relation.attributes.size === 0) {
+        console.error(`${label}: no attributes or dependencies found.`);
+        exitCode = 2;
+        continue;
+      }
+      // An engine error fails this relation only, with the error exit code
+      try {
+        const analysis = engine.analyzeRelation(relation, undefined, {
+          explain: options.explain,
+        });
+        const passed = meetsTarget(analysis, options.target);
+        // Decompositions are of the 1NF relation when the transformation ran
+        const analyzed = analysis.firstNormalForm
+          ? analysis.firstNormalForm.relation
+          : relation;
+        if (!passed && exitCode === 0) exitCode = 1;
+
+        if (options.json) {
+          jsonResults.push({
+            file: label,
+            attributes: relation.attributes,
+            fds: relation.fds,
+            ...analysis,
+            losslessJoin: Object.fromEntries(
+              Object.entries(analysis.decompositions).map(
+                ([form, decomposition]) => [
+                  form,
+                  Chase.checkLosslessJoin(
+                    analyzed.attributes,
+                    decomposition,
+                    analyzed.fds,
+                    analyzed.mvds,
+                    analyzed.jds
+                  ).lossless,
+                ]
+              )
+            ),
+            dependencyPreservation: Object.fromEntries(
+              Object.entries(analysis.decompositions).map(
+                ([form, decomposition]) => [
+                  form,
+                  engine.checkDependencyPreservation(
+                    decomposition,
+                    analyzed.fds
+                  ),
+                ]
+              )
+            ),
+            highestNormalForm: getHighestNormalForm(analysis),
+            target: options.target,
+            meetsTarget: passed,
+          });
+        } else {
+          console.log(formatText(label, relation, analysis, options));
+          if (options.target) {
+            console.log(
+              `Target ${options.target}: ${passed ? "met" : "NOT met"}`
+            );
+          }
+          console.log("");
+        }
+      } catch (error) {
+        console.error(`${label}: ${error.message}`);
+        exitCode = 2;
+      }
+    }
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(jsonResults, jsonReplacer, 2));
+  }
+  return exitCode;
+}
+
+process.exitCode = main(process.argv.slice(2));
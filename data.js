@@ -0,0 +1,627 @@
+/**
+ * Sample data
+ *
+ * Reads a table of sample rows from CSV, checks declared FDs and keys against it,
+ * applies decompositions to it and discovers the functional dependencies that hold
+ * in it with TANE (Huhtala et al.): a level-wise search over attribute
+ * sets that represents each set X by the partition of the rows into groups agreeing
+ * on X. X → A holds when grouping by X ∪ {A} splits no group of X; the g3 error
+ * (the fraction of rows to delete for the FD to hold) allows approximate FDs.
+ *
+ * Browser: loaded via <script src="data.js"> after engine.js, exposed as `SampleData`.
+ * Node:    const data = require("./data.js");
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./engine.js"));
+  } else {
+    root.SampleData = factory(root.NormalizationEngine);
+  }
+})(typeof self !== "undefined" ? self : this, function (engine) {
+  "use strict";
+
+  const { fdToString } = engine;
+
+  // --- CSV Parsing ---
+
+  /**
+   * Picks the delimiter used in the header line: tab, semicolon or comma.
+   * @param {string} headerLine
+   * @returns {string}
+   */
+  function detectDelimiter(headerLine) {
+    const counts = ["\t", ";", ","].map((delimiter) => ({
+      delimiter,
+      count: headerLine.split(delimiter).length - 1,
+    }));
+    const best = counts.reduce((a, b) => (b.count > a.count ? b : a));
+    return best.count > 0 ? best.delimiter : ",";
+  }
+
+  /**
+   * Turns a column header into an attribute name the FD parser reads back as one
+   * attribute: separators and brackets become "_".
+   * @param {string} header
+   * @param {number} index - Column position, for unnamed columns.
+   * @returns {string}
+   */
+  function toAttributeName(header, index) {
+    const name = header
+      .trim()
+      .replace(/[\s,;{}()[\]]+/g, "_")
+      .replace(/^_+|_+$/g, "");
+    return name || `Column${index + 1}`;
+  }
+
+  /**
+   * Parses CSV or TSV text with a header row. Quoted fields may contain delimiters,
+   * line breaks and doubled quotes (""). Blank lines are skipped.
+   * @param {string} text
+   * @param {{delimiter?: string}} [options] - The delimiter is detected from the header by default.
+   * @returns {{columns: string[], rows: string[][]}} - Column names are made usable as
+   *   attribute names (see toAttributeName); rows hold the raw field values.
+   * @throws {Error} If there is no header, a row has the wrong number of fields,
+   *   a quote is not closed or two columns share a name.
+   */
+  function parseCSV(text, options = {}) {
+    const source = text.replace(/^\uFEFF/, "");
+    const delimiter =
+      options.delimiter || detectDelimiter(source.split(/\r?\n/, 1)[0]);
+
+    const records = [];
+    let record = [];
+    let field = "";
+    let quoted = false;
+    let line = 1;
+    let recordLine = 1;
+    for (let i = 0; i < source.length; i++) {
+      const char = source[i];
+      if (quoted) {
+        if (char === '"' && source[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          if (char === "\n") line++;
+          field += char;
+        }
+      } else if (char === '"' && field === "") {
+        quoted = true;
+      } else if (char === delimiter) {
+        record.push(field);
+        field = "";
+      } else if (char === "\n" || char === "\r") {
+        if (char === "\r" && source[i + 1] === "\n") i++;
+        record.push(field);
+        records.push({ fields: record, line: recordLine });
+        record = [];
+        field = "";
+        recordLine = ++line;
+      } else {
+        field += char;
+      }
+    }
+    if (quoted) {
+      throw new Error(`Line ${recordLine}: a quoted field is not closed.`);
+    }
+    record.push(field);
+    records.push({ fields: record, line: recordLine });
+
+    const nonEmpty = records.filter(
+      ({ fields }) => fields.length > 1 || fields[0].trim() !== ""
+    );
+    if (nonEmpty.length === 0) {
+      throw new Error("The data has no header row.");
+    }
+    const [header, ...body] = nonEmpty;
+    const columns = header.fields.map(toAttributeName);
+    const seen = new Set();
+    columns.forEach((column) => {
+      if (seen.has(column)) {
+        throw new Error(`Column "${column}" appears more than once.`);
+      }
+      seen.add(column);
+    });
+    body.forEach(({ fields, line: rowLine }) => {
+      if (fields.length !== columns.length) {
+        throw new Error(
+          `Line ${rowLine}: expected ${columns.length} fields, found ${fields.length}.`
+        );
+      }
+    });
+    return { columns, rows: body.map(({ fields }) => fields) };
+  }
+
+  /**
+   * Quotes a CSV field when it contains a delimiter, quote or line break.
+   * @param {string} value
+   * @returns {string}
+   */
+  function quoteCSVField(value) {
+    return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+  }
+
+  /**
+   * Writes a table as CSV with a header row; parseCSV reads it back unchanged.
+   * @param {{columns: string[], rows: string[][]}} table
+   * @returns {string}
+   */
+  function formatCSV(table) {
+    return [table.columns, ...table.rows]
+      .map((row) => row.map(quoteCSVField).join(","))
+      .join("\n");
+  }
+
+  // --- Checking Dependencies ---
+
+  const MAX_REPORTED_VIOLATIONS = 10;
+
+  /**
+   * Finds the column positions of attributes in a table.
+   * @param {{columns: string[]}} table
+   * @param {Set<string>} attributes
+   * @returns {{indices: number[], missing: string[]}} - missing lists attributes without a column, sorted.
+   */
+  function findColumns(table, attributes) {
+    const indices = [];
+    const missing = [];
+    Array.from(attributes)
+      .sort()
+      .forEach((attr) => {
+        const index = table.columns.indexOf(attr);
+        if (index === -1) missing.push(attr);
+        else indices.push(index);
+      });
+    return { indices, missing };
+  }
+
+  /**
+   * Groups row indices by their values in the given columns.
+   * @param {string[][]} rows
+   * @param {number[]} indices
+   * @returns {Map<string, number[]>}
+   */
+  function groupRows(rows, indices) {
+    const groups = new Map();
+    rows.forEach((row, i) => {
+      const key = JSON.stringify(indices.map((index) => row[index]));
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(i);
+    });
+    return groups;
+  }
+
+  /**
+   * Checks an FD X → Y against the rows: every pair of rows that agrees on X but
+   * differs on Y violates it.
+   * @param {{columns: string[], rows: string[][]}} table
+   * @param {{lhs: Set<string>, rhs: Set<string>}} fd
+   * @param {number} [limit] - Most violating pairs to return.
+   * @returns {{holds: boolean|null, missing: string[], violations: Array<[number, number]>, violationCount: number}}
+   *   - holds is null when some attribute has no column (listed in missing); violations
+   *   are pairs of 0-based row indices, violationCount counts all of them.
+   */
+  function checkFD(table, fd, limit = MAX_REPORTED_VIOLATIONS) {
+    const lhs = findColumns(table, fd.lhs);
+    const rhs = findColumns(table, fd.rhs);
+    const missing = lhs.missing.concat(rhs.missing);
+    if (missing.length > 0) {
+      return { holds: null, missing, violations: [], violationCount: 0 };
+    }
+
+    const violations = [];
+    let violationCount = 0;
+    groupRows(table.rows, lhs.indices).forEach((group) => {
+      if (group.length < 2) return;
+      const rhsGroups = Array.from(
+        groupRows(
+          group.map((i) => table.rows[i]),
+          rhs.indices
+        ).values()
+      ).map((subgroup) => subgroup.map((k) => group[k]));
+      for (let a = 0; a < rhsGroups.length; a++) {
+        for (let b = a + 1; b < rhsGroups.length; b++) {
+          violationCount += rhsGroups[a].length * rhsGroups[b].length;
+          rhsGroups[a].forEach((first) =>
+            rhsGroups[b].forEach((second) => {
+              if (violations.length < limit) {
+                violations.push([first, second].sort((x, y) => x - y));
+              }
+            })
+          );
+        }
+      }
+    });
+    violations.sort((x, y) => x[0] - y[0] || x[1] - y[1]);
+    return {
+      holds: violationCount === 0,
+      missing,
+      violations,
+      violationCount,
+    };
+  }
+
+  /**
+   * Checks that no two rows share their values on a key.
+   * @param {{columns: string[], rows: string[][]}} table
+   * @param {Set<string>} key
+   * @param {number} [limit] - Most duplicate groups to return.
+   * @returns {{unique: boolean|null, missing: string[], duplicates: number[][], duplicateCount: number}}
+   *   - unique is null when some key attribute has no column; duplicates are groups of
+   *   0-based row indices with equal key values, duplicateCount counts all groups.
+   */
+  function checkKeyUniqueness(table, key, limit = MAX_REPORTED_VIOLATIONS) {
+    const { indices, missing } = findColumns(table, key);
+    if (missing.length > 0) {
+      return { unique: null, missing, duplicates: [], duplicateCount: 0 };
+    }
+    const groups = Array.from(groupRows(table.rows, indices).values()).filter(
+      (group) => group.length > 1
+    );
+    return {
+      unique: groups.length === 0,
+      missing,
+      duplicates: groups.slice(0, limit),
+      duplicateCount: groups.length,
+    };
+  }
+
+  // --- Applying Decompositions ---
+
+  const MAX_JOIN_ROWS = 100000;
+
+  /**
+   * Projects a table onto some of its columns, dropping duplicate rows.
+   * @param {{columns: string[], rows: string[][]}} table
+   * @param {Set<string>} attributes
+   * @returns {{columns: string[], rows: string[][]}} - Columns keep the table's order.
+   * @throws {Error} If some attribute has no column.
+   */
+  function projectTable(table, attributes) {
+    const { indices, missing } = findColumns(table, attributes);
+    if (missing.length > 0) {
+      throw new Error(`The sample has no column ${missing.join(", ")}.`);
+    }
+    indices.sort((a, b) => a - b);
+    const seen = new Set();
+    const rows = [];
+    table.rows.forEach((row) => {
+      const projected = indices.map((index) => row[index]);
+      const key = JSON.stringify(projected);
+      if (seen.has(key)) return;
+      seen.add(key);
+      rows.push(projected);
+    });
+    return { columns: indices.map((index) => table.columns[index]), rows };
+  }
+
+  /**
+   * Joins two tables on their shared columns (a cross product if they share none).
+   * @param {{columns: string[], rows: string[][]}} left
+   * @param {{columns: string[], rows: string[][]}} right
+   * @returns {{columns: string[], rows: string[][]}} - The left columns, then the right ones not shared.
+   * @throws {Error} If the result would exceed MAX_JOIN_ROWS rows.
+   */
+  function naturalJoin(left, right) {
+    const shared = right.columns.filter((column) =>
+      left.columns.includes(column)
+    );
+    const leftShared = shared.map((column) => left.columns.indexOf(column));
+    const rightShared = shared.map((column) => right.columns.indexOf(column));
+    const rightOnly = right.columns
+      .map((column, index) => (left.columns.includes(column) ? -1 : index))
+      .filter((index) => index !== -1);
+
+    const matches = new Map();
+    right.rows.forEach((row) => {
+      const key = JSON.stringify(rightShared.map((index) => row[index]));
+      if (!matches.has(key)) matches.set(key, []);
+      matches.get(key).push(row);
+    });
+    const rows = [];
+    left.rows.forEach((row) => {
+      const key = JSON.stringify(leftShared.map((index) => row[index]));
+      (matches.get(key) || []).forEach((match) => {
+        if (rows.length === MAX_JOIN_ROWS) {
+          throw new Error(
+            `The join grows beyond ${MAX_JOIN_ROWS} rows; try a smaller sample.`
+          );
+        }
+        rows.push(row.concat(rightOnly.map((index) => match[index])));
+      });
+    });
+    return {
+      columns: left.columns.concat(
+        rightOnly.map((index) => right.columns[index])
+      ),
+      rows,
+    };
+  }
+
+  /**
+   * Projects a table onto every schema of a decomposition and joins the projections
+   * back together. Rows of the join that were not in the table (projected onto the
+   * decomposition's attributes) are spurious: a lossless decomposition has none.
+   * @param {{columns: string[], rows: string[][]}} table
+   * @param {Array<Set<string>>} decomposition
+   * @returns {{projections: Array<{columns: string[], rows: string[][]}>, original: {columns: string[], rows: string[][]}, joined: {columns: string[], rows: string[][]}, spurious: number[]}}
+   *   - joined has the columns of original in the same order; spurious lists indices into joined.rows.
+   * @throws {Error} If a schema attribute has no column or the join grows too large.
+   */
+  function applyDecomposition(table, decomposition) {
+    const covered = new Set();
+    decomposition.forEach((schema) =>
+      schema.forEach((attr) => covered.add(attr))
+    );
+    const original = projectTable(table, covered);
+    const projections = decomposition.map((schema) =>
+      projectTable(table, schema)
+    );
+    const join = projections.slice(1).reduce(naturalJoin, projections[0]);
+    const order = original.columns.map((column) =>
+      join.columns.indexOf(column)
+    );
+    const joined = {
+      columns: original.columns,
+      rows: join.rows.map((row) => order.map((index) => row[index])),
+    };
+    const present = new Set(original.rows.map((row) => JSON.stringify(row)));
+    const spurious = joined.rows
+      .map((row, index) => (present.has(JSON.stringify(row)) ? -1 : index))
+      .filter((index) => index !== -1);
+    return { projections, original, joined, spurious };
+  }
+
+  // --- Partitions ---
+
+  /**
+   * Groups the rows by their value in one column, keeping only groups of two or
+   * more rows (a "stripped" partition: single rows can never break an FD).
+   * @param {string[][]} rows
+   * @param {number} column
+   * @returns {number[][]} - Groups of row indices.
+   */
+  function columnPartition(rows, column) {
+    const groups = new Map();
+    rows.forEach((row, i) => {
+      const value = row[column];
+      if (!groups.has(value)) groups.set(value, []);
+      groups.get(value).push(i);
+    });
+    return Array.from(groups.values()).filter((group) => group.length > 1);
+  }
+
+  /**
+   * Intersects two stripped partitions: rows stay together only if they share a
+   * group in both, which gives the partition of the union of the attribute sets.
+   * @param {number[][]} first
+   * @param {number[][]} second
+   * @param {number} rowCount
+   * @returns {number[][]}
+   */
+  function partitionProduct(first, second, rowCount) {
+    const groupOf = new Int32Array(rowCount).fill(-1);
+    first.forEach((group, i) => group.forEach((row) => (groupOf[row] = i)));
+    const buckets = first.map(() => []);
+    const product = [];
+    second.forEach((group) => {
+      group.forEach((row) => {
+        if (groupOf[row] !== -1) buckets[groupOf[row]].push(row);
+      });
+      group.forEach((row) => {
+        const bucket = groupOf[row] === -1 ? null : buckets[groupOf[row]];
+        if (!bucket || bucket.length === 0) return;
+        if (bucket.length > 1) product.push(bucket.slice());
+        bucket.length = 0;
+      });
+    });
+    return product;
+  }
+
+  /**
+   * Computes the g3 error of X → A: the fraction of rows that must be removed for the
+   * FD to hold, i.e. in every group of X all rows but the largest agreeing subgroup.
+   * @param {number[][]} lhsPartition - Stripped partition of X.
+   * @param {number[][]} fullPartition - Stripped partition of X ∪ {A}.
+   * @param {number} rowCount
+   * @returns {number} - 0 when the FD holds exactly.
+   */
+  function g3Error(lhsPartition, fullPartition, rowCount) {
+    const groupOf = new Int32Array(rowCount).fill(-1);
+    fullPartition.forEach((group, i) =>
+      group.forEach((row) => (groupOf[row] = i))
+    );
+    let removed = 0;
+    lhsPartition.forEach((group) => {
+      const sizes = new Map();
+      let largest = 1;
+      group.forEach((row) => {
+        if (groupOf[row] === -1) return;
+        const size = (sizes.get(groupOf[row]) || 0) + 1;
+        sizes.set(groupOf[row], size);
+        if (size > largest) largest = size;
+      });
+      removed += group.length - largest;
+    });
+    return rowCount === 0 ? 0 : removed / rowCount;
+  }
+
+  // --- FD Discovery ---
+
+  /**
+   * Finds the minimal non-trivial FDs X → A that hold in a table with TANE. Each level
+   * holds the attribute sets of one size with their partitions and their candidate
+   * RHS sets C+(X); an FD found for X removes A (and, if exact, every attribute outside
+   * X) from C+(X), and sets that are keys of the data or have an empty C+ are pruned.
+   * Columns with one value throughout are reported as constant instead of as FDs
+   * with an empty LHS.
+   * @param {{columns: string[], rows: string[][]}} table - As returned by parseCSV.
+   * @param {{maxError?: number, maxLhsSize?: number}} [options] - maxError is the largest
+   *   g3 error accepted (0 = exact FDs only); maxLhsSize bounds the LHS size searched.
+   * @returns {{fds: Array<{lhs: Set<string>, rhs: Set<string>, error: number}>, constantColumns: Array<{column: string, error: number}>}}
+   *   - FDs are sorted by LHS size, then as written.
+   */
+  function discoverFDs(table, options = {}) {
+    const maxError = options.maxError ?? 0;
+    const maxLhsSize = options.maxLhsSize ?? Infinity;
+    const { columns, rows } = table;
+    const rowCount = rows.length;
+    const fds = [];
+    const constantColumns = [];
+    if (rowCount === 0) return { fds, constantColumns };
+
+    const keyOf = (attrs) => attrs.join(",");
+    const allColumns = columns.map((_, i) => i);
+    // Level 0 is the empty set: one group holding every row
+    let previous = new Map([
+      [
+        "",
+        {
+          attrs: [],
+          partition: rowCount > 1 ? [rows.map((_, i) => i)] : [],
+          candidates: new Set(allColumns),
+        },
+      ],
+    ]);
+    const columnPartitions = allColumns.map((column) =>
+      columnPartition(rows, column)
+    );
+    let current = new Map(
+      allColumns.map((column) => [
+        keyOf([column]),
+        { attrs: [column], partition: columnPartitions[column] },
+      ])
+    );
+
+    const record = (lhsAttrs, rhs, error) => {
+      if (lhsAttrs.length === 0) {
+        constantColumns.push({ column: columns[rhs], error });
+        return;
+      }
+      fds.push({
+        lhs: new Set(lhsAttrs.map((i) => columns[i])),
+        rhs: new Set([columns[rhs]]),
+        error,
+      });
+    };
+
+    for (let size = 1; current.size > 0; size++) {
+      // Compute the candidate RHS sets and the FDs (X − A) → A
+      current.forEach((node) => {
+        node.candidates = new Set(allColumns);
+        node.attrs.forEach((attr) => {
+          const subset = previous.get(
+            keyOf(node.attrs.filter((other) => other !== attr))
+          );
+          node.candidates.forEach((candidate) => {
+            if (!subset.candidates.has(candidate)) {
+              node.candidates.delete(candidate);
+            }
+          });
+        });
+        node.attrs
+          .filter((attr) => node.candidates.has(attr))
+          .forEach((attr) => {
+            const lhsAttrs = node.attrs.filter((other) => other !== attr);
+            const error = g3Error(
+              previous.get(keyOf(lhsAttrs)).partition,
+              node.partition,
+              rowCount
+            );
+            if (error > maxError) return;
+            record(lhsAttrs, attr, error);
+            node.candidates.delete(attr);
+            if (error === 0) {
+              allColumns
+                .filter((column) => !node.attrs.includes(column))
+                .forEach((column) => node.candidates.delete(column));
+            }
+          });
+      });
+
+      // Prune: nothing left to find, or a key of the data (no two rows agree on X).
+      // Keys are kept when searching approximate FDs: a superset of a key may still
+      // have an approximate FD that is minimal.
+      const pruned = [];
+      current.forEach((node, key) => {
+        if (node.candidates.size === 0) {
+          pruned.push(key);
+          return;
+        }
+        if (maxError > 0 || node.partition.length > 0) return;
+        if (node.attrs.length > maxLhsSize) return;
+        // X → A holds for every A; it is minimal unless some X − {B} → A holds too
+        node.candidates.forEach((attr) => {
+          if (node.attrs.includes(attr)) return;
+          const minimal = node.attrs.every((removed) => {
+            const subset = previous.get(
+              keyOf(node.attrs.filter((other) => other !== removed))
+            ).partition;
+            return (
+              g3Error(
+                subset,
+                partitionProduct(subset, columnPartitions[attr], rowCount),
+                rowCount
+              ) > 0
+            );
+          });
+          if (minimal) record(node.attrs, attr, 0);
+        });
+        pruned.push(key);
+      });
+      pruned.forEach((key) => current.delete(key));
+
+      if (size > maxLhsSize) break;
+
+      // Generate the next level from sets that share all but their last attribute
+      const next = new Map();
+      const blocks = new Map();
+      current.forEach((node) => {
+        const prefix = keyOf(node.attrs.slice(0, -1));
+        if (!blocks.has(prefix)) blocks.set(prefix, []);
+        blocks.get(prefix).push(node);
+      });
+      blocks.forEach((block) => {
+        for (let i = 0; i < block.length; i++) {
+          for (let j = i + 1; j < block.length; j++) {
+            const attrs = block[i].attrs
+              .concat(block[j].attrs[block[j].attrs.length - 1])
+              .sort((a, b) => a - b);
+            const allSubsetsPresent = attrs.every((removed) =>
+              current.has(keyOf(attrs.filter((other) => other !== removed)))
+            );
+            if (!allSubsetsPresent) continue;
+            next.set(keyOf(attrs), {
+              attrs,
+              partition: partitionProduct(
+                block[i].partition,
+                block[j].partition,
+                rowCount
+              ),
+            });
+          }
+        }
+      });
+      previous = current;
+      current = next;
+    }
+
+    fds.sort(
+      (a, b) =>
+        a.lhs.size - b.lhs.size || fdToString(a).localeCompare(fdToString(b))
+    );
+    return { fds, constantColumns };
+  }
+
+  return {
+    parseCSV,
+    formatCSV,
+    checkFD,
+    checkKeyUniqueness,
+    projectTable,
+    naturalJoin,
+    applyDecomposition,
+    discoverFDs,
+  };
+});
@@ -0,0 +1,2911 @@
+/**
+ * Normalization Engine
+ *
+ * Pure, DOM-free implementations of the normalization algorithms
+ * (closures, candidate keys, normal forms, minimal cover and decompositions).
+ * Every function takes its inputs explicitly - usually a relation object of
+ * the form { attributes: Set<string>, fds: Array<{lhs: Set<string>, rhs: Set<string>}> } -
+ * so the same code runs in the browser page and from Node. Relations may also
+ * carry multivalued dependencies as `mvds`, in the same {lhs, rhs} shape, and
+ * join dependencies as `jds`, each a list of component attribute Sets.
+ *
+ * Browser: loaded via <script src="engine.js">, exposed as `NormalizationEngine`.
+ * Node:    const engine = require("./engine.js");
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.NormalizationEngine = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  // --- Helper Functions ---
+
+  /**
+   * Checks if setA is a superset of setB (A contains all elements of B).
+   * @param {Set<string>} setA
+   * @param {Set<string>} setB
+   * @returns {boolean}
+   */
+  function isSuperset(setA, setB) {
+    if (setB.size === 0) return true; // Empty set is subset of everything
+    if (setA.size < setB.size) return false;
+    for (const elem of setB) {
+      if (!setA.has(elem)) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Checks if setA is a proper superset of setB (A is superset and A != B).
+   * @param {Set<string>} setA
+   * @param {Set<string>} setB
+   * @returns {boolean}
+   */
+  function isProperSuperset(setA, setB) {
+    return setA.size > setB.size && isSuperset(setA, setB);
+  }
+
+  /**
+   * Checks if two sets are equal (contain the same elements).
+   * @param {Set<string>} setA
+   * @param {Set<string>} setB
+   * @returns {boolean}
+   */
+  function setsAreEqual(setA, setB) {
+    if (setA.size !== setB.size) return false;
+    return isSuperset(setA, setB); // If sizes are equal, superset check is sufficient
+  }
+
+  /**
+   * Parses a comma-separated string into a Set of trimmed, non-empty attributes.
+   * @param {string} str
+   * @returns {Set<string>}
+   */
+  function parseAttributes(str) {
+    return new Set(
+      str
+        .split(",")
+        .map((attr) => attr.trim())
+        .filter((attr) => attr)
+    );
+  }
+
+  /**
+   * Converts a Set of attributes to a sorted string representation (for keys/comparison).
+   * @param {Set<string>} attributeSet
+   * @returns {string} Comma-separated sorted string
+   */
+  function setToSortedString(attributeSet) {
+    return Array.from(attributeSet).sort().join(", ");
+  }
+
+  /**
+   * Combines attributes from LHS and RHS of an FD into a single Set.
+   * @param {{lhs: Set<string>, rhs: Set<string>}} fd
+   * @returns {Set<string>}
+   */
+  function getFDAttributes(fd) {
+    return new Set([...fd.lhs, ...fd.rhs]);
+  }
+
+  /**
+   * Formats an FD for display, e.g. "{A, B} → {C}".
+   * @param {{lhs: Set<string>, rhs: Set<string>}} fd
+   * @returns {string}
+   */
+  function fdToString(fd) {
+    return `{${setToSortedString(fd.lhs)}} → {${setToSortedString(fd.rhs)}}`;
+  }
+
+  /**
+   * Formats an MVD for display, e.g. "{Course} ↠ {Teacher}".
+   * @param {{lhs: Set<string>, rhs: Set<string>}} mvd
+   * @returns {string}
+   */
+  function mvdToString(mvd) {
+    return `{${setToSortedString(mvd.lhs)}} ↠ {${setToSortedString(mvd.rhs)}}`;
+  }
+
+  /**
+   * Formats a join dependency for display, e.g. "*({P, S}, {J, P}, {J, S})".
+   * @param {Array<Set<string>>} jd - The components.
+   * @returns {string}
+   */
+  function jdToString(jd) {
+    return `*(${jd
+      .map((component) => `{${setToSortedString(component)}}`)
+      .join(", ")})`;
+  }
+
+  /**
+   * Converts a Set, an array or a comma-separated string into a Set of attributes.
+   * @param {Set<string>|Array<string>|string} value
+   * @returns {Set<string>}
+   */
+  function toAttributeSet(value) {
+    if (typeof value === "string") return parseAttributes(value);
+    return new Set(Array.from(value || [], (attr) => String(attr).trim()));
+  }
+
+  /**
+   * Builds a relation object from loosely typed input. Attributes mentioned
+   * only in the FDs are added to the attribute set, just like the page does.
+   * @param {Set<string>|Array<string>|string} attributes
+   * @param {Array<{lhs: *, rhs: *}>} [fds]
+   * @param {Map<string, {components: Array<string>, multivalued: boolean}>|Object} [attributeTypes]
+   *   - Non-atomic attributes (see parseAttributeDeclarations); a plain object is accepted too.
+   * @param {Array<{lhs: *, rhs: *}>} [mvds] - Multivalued dependencies X ↠ Y.
+   * @param {Array<Array<*>>} [jds] - Join dependencies *(R1, ..., Rn), as lists of components.
+   * @returns {{attributes: Set<string>, fds: Array<{lhs: Set<string>, rhs: Set<string>}>, attributeTypes?: Map, mvds?: Array, jds?: Array<Array<Set<string>>>}}
+   */
+  function createRelation(
+    attributes,
+    fds = [],
+    attributeTypes = null,
+    mvds = [],
+    jds = []
+  ) {
+    const toDependency = (dependency) => ({
+      lhs: toAttributeSet(dependency.lhs),
+      rhs: toAttributeSet(dependency.rhs),
+    });
+    const relation = {
+      attributes: toAttributeSet(attributes),
+      fds: fds.map(toDependency),
+    };
+    if (mvds && mvds.length > 0) relation.mvds = mvds.map(toDependency);
+    if (jds && jds.length > 0) {
+      relation.jds = jds.map((jd) => jd.map(toAttributeSet));
+    }
+    const types =
+      attributeTypes instanceof Map
+        ? attributeTypes
+        : new Map(Object.entries(attributeTypes || {}));
+    // Sub-attributes of composites may appear in FDs without being attributes themselves
+    const components = new Set();
+    types.forEach((type) =>
+      (type.components || []).forEach((attr) => components.add(attr))
+    );
+    relation.fds.concat(relation.mvds || []).forEach((dependency) => {
+      getFDAttributes(dependency).forEach((attr) => {
+        if (!components.has(attr)) relation.attributes.add(attr);
+      });
+    });
+    (relation.jds || []).forEach((jd) =>
+      jd.forEach((component) =>
+        component.forEach((attr) => {
+          if (!components.has(attr)) relation.attributes.add(attr);
+        })
+      )
+    );
+    if (types.size > 0) {
+      relation.attributeTypes = new Map(
+        Array.from(types, ([name, type]) => [
+          name,
+          {
+            components: Array.from(type.components || []),
+            multivalued: Boolean(type.multivalued),
+          },
+        ])
+      );
+    }
+    return relation;
+  }
+
+  /**
+   * Checks whether a relation declares composite or multivalued attributes.
+   * @param {{attributeTypes?: Map}} relation
+   * @returns {boolean}
+   */
+  function hasNonAtomicAttributes(relation) {
+    return Boolean(relation.attributeTypes && relation.attributeTypes.size > 0);
+  }
+
+  /**
+   * Checks whether a relation declares multivalued dependencies.
+   * @param {{mvds?: Array}} relation
+   * @returns {boolean}
+   */
+  function hasMultivaluedDependencies(relation) {
+    return Boolean(relation.mvds && relation.mvds.length > 0);
+  }
+
+  /**
+   * Checks whether a relation declares join dependencies.
+   * @param {{jds?: Array}} relation
+   * @returns {boolean}
+   */
+  function hasJoinDependencies(relation) {
+    return Boolean(relation.jds && relation.jds.length > 0);
+  }
+
+  // --- Core Logic Functions ---
+
+  // How many key combinations findCandidateKeys checks between progress reports
+  const PROGRESS_INTERVAL = 4096;
+
+  // Indexed FD sets, keyed by the FD array they were built from (see getClosureIndex)
+  const closureIndexCache = new WeakMap();
+  // Closures memoized per FD array are dropped once this many have been stored
+  const CLOSURE_MEMO_LIMIT = 50000;
+
+  /**
+   * Returns the attribute → FD index for an FD array, building it on first use.
+   * The index is reused while the array holds the same FD objects, so repeated
+   * closures within one analysis (one relation snapshot) share it and its memo;
+   * FD objects are treated as immutable once created.
+   * @param {Array<{lhs: Set<string>, rhs: Set<string>}>} fds
+   * @returns {{fds: Array<object>, lhsCounts: Int32Array, fdsByAttribute: Map<string, number[]>, memo: Map<string, Set<string>>}}
+   */
+  function getClosureIndex(fds) {
+    const cached = closureIndexCache.get(fds);
+    if (
+      cached &&
+      cached.fds.length === fds.length &&
+      cached.fds.every((fd, i) => fd === fds[i])
+    ) {
+      return cached;
+    }
+
+    const lhsCounts = new Int32Array(fds.length);
+    const fdsByAttribute = new Map();
+    fds.forEach((fd, i) => {
+      lhsCounts[i] = fd.lhs.size;
+      fd.lhs.forEach((attr) => {
+        if (!fdsByAttribute.has(attr)) fdsByAttribute.set(attr, []);
+        fdsByAttribute.get(attr).push(i);
+      });
+    });
+    const index = {
+      fds: fds.slice(),
+      lhsCounts,
+      fdsByAttribute,
+      memo: new Map(),
+    };
+    closureIndexCache.set(fds, index);
+    return index;
+  }
+
+  /**
+   * Calculates the closure of a set of attributes under the given FDs.
+   * Uses the linear-time algorithm: every FD keeps a counter of LHS attributes not
+   * yet in the closure, and each attribute added decrements the counters of the FDs
+   * whose LHS contains it (found through an attribute → FD index). An FD fires when
+   * its counter reaches zero. Results are memoized per FD array.
+   * @param {Set<string>} attributesToClose - The initial set of attributes.
+   * @param {Array<{lhs: Set<string>, rhs: Set<string>}>} fds - The functional dependencies.
+   * @param {Array<object>} [trace] - Explain mode: receives one entry per FD that fired,
+   *   in order, as {description, fd, added}. Traced calls bypass the memo.
+   * @returns {Set<string>} - The calculated closure.
+   */
+  function calculateClosure(attributesToClose, fds, trace = null) {
+    const index = getClosureIndex(fds);
+    const memoKey = Array.from(attributesToClose).sort().join("\u0000");
+    const memoized = trace ? null : index.memo.get(memoKey);
+    if (memoized) return new Set(memoized);
+
+    const closure = new Set(attributesToClose);
+    const remaining = index.lhsCounts.slice();
+    const pending = Array.from(closure);
+
+    const fire = (fd) => {
+      const added = [];
+      fd.rhs.forEach((attr) => {
+        if (!closure.has(attr)) {
+          closure.add(attr);
+          pending.push(attr);
+          added.push(attr);
+        }
+      });
+      if (trace) {
+        trace.push({
+          description: `${fdToString(fd)} applies: ${
+            added.length > 0 ? `add ${added.sort().join(", ")}` : "nothing new"
+          }; closure = {${setToSortedString(closure)}}`,
+          fd,
+          added,
+        });
+      }
+    };
+    // FDs with an empty LHS hold unconditionally
+    index.fds.forEach((fd, i) => {
+      if (remaining[i] === 0) fire(fd);
+    });
+
+    while (pending.length > 0) {
+      const attr = pending.pop();
+      const dependents = index.fdsByAttribute.get(attr);
+      if (!dependents) continue;
+      for (const i of dependents) {
+        remaining[i]--;
+        if (remaining[i] === 0) fire(index.fds[i]);
+      }
+    }
+
+    if (index.memo.size >= CLOSURE_MEMO_LIMIT) index.memo.clear();
+    index.memo.set(memoKey, closure);
+    return new Set(closure);
+  }
+
+  /**
+   * Generates all non-empty subsets of a given set of attributes.
+   * @param {Set<string>} attributeSet
+   * @returns {Array<Set<string>>}
+   */
+  function generateSubsets(attributeSet) {
+    const attributes = Array.from(attributeSet);
+    const subsets = [];
+    const n = attributes.length;
+
+    // Iterate from 1 (skip empty set) up to 2^n - 1
+    for (let i = 1; i < 1 << n; i++) {
+      const subset = new Set();
+      for (let j = 0; j < n; j++) {
+        // Check if the j-th bit is set in i
+        if ((i >> j) & 1) {
+          subset.add(attributes[j]);
+        }
+      }
+      subsets.push(subset);
+    }
+    return subsets;
+  }
+
+  // Most subsets a projected-dependency search tries (every subset of 16 attributes)
+  const SUBSET_SEARCH_LIMIT = 2 ** 16;
+
+  /**
+   * Visits the subsets of a list of attributes smallest first, lexicographically
+   * within a size, without building them up front. A branch is skipped as soon as
+   * `skip` rejects the attributes chosen so far, and the walk ends once a size has
+   * no subset left to visit.
+   * @param {string[]} attributes
+   * @param {function(Set<string>): boolean} visit - Returns true to stop the walk.
+   * @param {function(Set<string>): boolean} [skip] - Returns true to skip a subset and
+   *   every superset of it.
+   * @param {number} [limit] - Most subsets to visit; all of them by default.
+   * @returns {boolean} - Whether the walk ended early, because `visit` stopped it or
+   *   `limit` subsets were visited.
+   */
+  function walkSubsetsBySize(
+    attributes,
+    visit,
+    skip = () => false,
+    limit = Infinity
+  ) {
+    let stopped = false;
+    let visits = 0;
+    // Returns whether any subset of the branch was visited
+    function extend(size, start, chosen) {
+      const partial = new Set(chosen);
+      if (skip(partial)) return false;
+      if (chosen.length === size) {
+        // Only a subset beyond the limit ends the walk early
+        stopped = visits === limit || visit(partial) === true;
+        visits++;
+        return true;
+      }
+      let visited = false;
+      for (
+        let i = start;
+        !stopped && i <= attributes.length - (size - chosen.length);
+        i++
+      ) {
+        chosen.push(attributes[i]);
+        visited = extend(size, i + 1, chosen) || visited;
+        chosen.pop();
+      }
+      return visited;
+    }
+    for (let size = 0; size <= attributes.length && !stopped; size++) {
+      if (!extend(size, 0, [])) break;
+    }
+    return stopped;
+  }
+
+  /**
+   * Lists the attributes of a schema that appear on the LHS of some dependency.
+   * Only they can determine anything: X⁺ = X ∪ (X ∩ L)⁺ for these attributes L,
+   * so searches over subsets of a schema can be limited to them.
+   * @param {Set<string>} schema
+   * @param {Array<{lhs: Set<string>}>} dependencies
+   * @param {Set<string>} [excluded] - Attributes the search does not need to vary.
+   * @returns {string[]} - Sorted attributes.
+   */
+  function getSearchableAttributes(schema, dependencies, excluded = new Set()) {
+    const attributes = new Set();
+    dependencies.forEach((dependency) =>
+      dependency.lhs.forEach((attr) => {
+        if (schema.has(attr) && !excluded.has(attr)) attributes.add(attr);
+      })
+    );
+    return Array.from(attributes).sort();
+  }
+
+  /**
+   * Lists the attributes of a schema that the rest of the schema does not determine
+   * under the given FDs. They are in every key of the schema, and on the right-hand
+   * side of no non-trivial FD projected onto it.
+   * @param {Set<string>} schema
+   * @param {Array<{lhs: Set<string>, rhs: Set<string>}>} fds
+   * @returns {Set<string>}
+   */
+  function findUndeterminedAttributes(schema, fds) {
+    return new Set(
+      [...schema].filter((attr) => {
+        const rest = new Set(schema);
+        rest.delete(attr);
+        return !calculateClosure(rest, fds).has(attr);
+      })
+    );
+  }
+
+  /**
+   * Calculates the closure for the non-empty subsets of the relation's attributes,
+   * smallest first and lexicographically within a size.
+   * @param {{attributes: Set<string>, fds: Array}} relation
+   * @param {number} [limit] - Largest number of subsets to close; all of them by default.
+   * @returns {Map<string, Set<string>>} Map where key is sorted subset string, value is closure Set.
+   */
+  function calculateAllSubsetClosures(relation, limit = Infinity) {
+    const closures = new Map();
+    if (limit <= 0) return closures;
+    walkSubsetsBySize(Array.from(relation.attributes).sort(), (subset) => {
+      if (subset.size === 0) return false;
+      closures.set(
+        setToSortedString(subset),
+        calculateClosure(subset, relation.fds)
+      );
+      return closures.size >= limit;
+    });
+    return closures;
+  }
+
+  /**
+   * Classifies attributes by where they occur in the FDs, for the candidate key search:
+   * - required: never on a RHS (LHS-only or in no FD), so in every candidate key;
+   * - excluded: on a RHS but never on a LHS (RHS-only), so in no candidate key;
+   * - undetermined: on both sides, may or may not be part of a key.
+   * Trivial parts of an FD (RHS attributes also on its LHS) are ignored.
+   * @param {{attributes: Set<string>, fds: Array}} relation
+   * @returns {{required: Set<string>, excluded: Set<string>, undetermined: Set<string>}}
+   */
+  function classifyKeyAttributes(relation) {
+    const onLHS = new Set();
+    const onRHS = new Set();
+    relation.fds.forEach((fd) => {
+      fd.lhs.forEach((attr) => onLHS.add(attr));
+      fd.rhs.forEach((attr) => {
+        if (!fd.lhs.has(attr)) onRHS.add(attr);
+      });
+    });
+
+    const classification = {
+      required: new Set(),
+      excluded: new Set(),
+      undetermined: new Set(),
+    };
+    Array.from(relation.attributes)
+      .sort()
+      .forEach((attr) => {
+        if (!onRHS.has(attr)) classification.required.add(attr);
+        else if (!onLHS.has(attr)) classification.excluded.add(attr);
+        else classification.undetermined.add(attr);
+      });
+    return classification;
+  }
+
+  /**
+   * Finds all candidate keys for the relation.
+   * A candidate key is a minimal superkey. Every key consists of the required
+   * attributes (see classifyKeyAttributes) plus a subset of the undetermined ones;
+   * those subsets are tried smallest first and supersets of keys already found are
+   * skipped, so only 2^(undetermined) combinations are ever considered.
+   * @param {{attributes: Set<string>, fds: Array}} relation
+   * @param {{onProgress?: function({checked: number, total: number, keysFound: number}): void}} [options]
+   *   - onProgress is called periodically with the number of combinations checked so far.
+   * @returns {Array<Set<string>>} - An array of candidate keys (each key is a Set).
+   */
+  function findCandidateKeys(relation, options = {}) {
+    const { attributes, fds } = relation;
+    if (attributes.size === 0) return [];
+
+    const { required, undetermined } = classifyKeyAttributes(relation);
+    const optional = Array.from(undetermined);
+    const total = 2 ** optional.length;
+    const onProgress = options.onProgress || (() => {});
+    const candidateKeys = [];
+    let checked = 0;
+
+    const isSuperkey = (candidate) =>
+      isSuperset(calculateClosure(candidate, fds), attributes);
+
+    const binomial = (n, k) => {
+      let result = 1;
+      for (let i = 1; i <= k; i++) result = (result * (n - k + i)) / i;
+      return Math.round(result);
+    };
+    const reportProgress = () =>
+      onProgress({ checked, total, keysFound: candidateKeys.length });
+
+    /**
+     * Visits all combinations of the given size in lexicographic order. Branches
+     * whose chosen attributes already contain a key are skipped as a whole.
+     * @returns {boolean} - Whether any combination of the branch was tested.
+     */
+    function visit(size, start, chosen) {
+      const remaining = size - chosen.length;
+      const partial = new Set([...required, ...chosen]);
+      if (candidateKeys.some((key) => isSuperset(partial, key))) {
+        checked += binomial(optional.length - start, remaining);
+        return false;
+      }
+      if (remaining === 0) {
+        checked++;
+        if (checked % PROGRESS_INTERVAL === 0) reportProgress();
+        if (isSuperkey(partial)) candidateKeys.push(partial);
+        return true;
+      }
+      let tested = false;
+      for (let i = start; i <= optional.length - remaining; i++) {
+        chosen.push(optional[i]);
+        tested = visit(size, i + 1, chosen) || tested;
+        chosen.pop();
+      }
+      return tested;
+    }
+
+    for (let size = 0; size <= optional.length; size++) {
+      // When every combination of one size contains a key, so do all larger ones
+      if (!visit(size, 0, [])) break;
+      reportProgress();
+    }
+    checked = total;
+    reportProgress();
+
+    // Sort candidate keys for consistent output (by size then lexicographically)
+    candidateKeys.sort((a, b) => {
+      if (a.size !== b.size) {
+        return a.size - b.size;
+      }
+      return setToSortedString(a).localeCompare(setToSortedString(b));
+    });
+    return candidateKeys;
+  }
+
+  /**
+   * Explains a set of candidate keys: how the attributes were classified and, for
+   * each key, the closure derivation showing it determines every attribute.
+   * @param {{attributes: Set<string>, fds: Array}} relation
+   * @param {Array<Set<string>>} candidateKeys
+   * @returns {Array<{description: string, steps?: Array<object>}>}
+   */
+  function explainCandidateKeys(relation, candidateKeys) {
+    const { required, excluded, undetermined } =
+      classifyKeyAttributes(relation);
+    const list = (attrs) =>
+      attrs.size > 0 ? `{${setToSortedString(attrs)}}` : "none";
+    const trace = [
+      {
+        description: `In every key (never on a right-hand side): ${list(
+          required
+        )}`,
+      },
+      {
+        description: `In no key (only on right-hand sides): ${list(excluded)}`,
+      },
+      {
+        description: `Undetermined (on both sides): ${list(undetermined)}`,
+      },
+    ];
+    candidateKeys.forEach((key) => {
+      const steps = [];
+      calculateClosure(key, relation.fds, steps);
+      trace.push({
+        description: `{${setToSortedString(
+          key
+        )}}+ contains every attribute, and no proper subset does: candidate key`,
+        steps,
+      });
+    });
+    return trace;
+  }
+
+  /**
+   * Finds the candidate keys of a sub-relation (a schema produced by a decomposition)
+   * under the FDs of the original relation: the minimal X ⊆ schema with X+ ⊇ schema.
+   * As in findCandidateKeys, attributes the rest of the schema does not determine
+   * are in every key, and the others only need to be tried when they appear on a
+   * LHS (see getSearchableAttributes). Their subsets are tried smallest first and
+   * supersets of keys already found are skipped. After SUBSET_SEARCH_LIMIT subsets
+   * the search gives up and returns the keys found so far, or, when there are none,
+   * one key obtained by dropping attributes from a superkey. When FDs with an empty
+   * LHS determine the whole schema, the walk stops at its first subset: the empty
+   * set is then the only key, as in findCandidateKeys.
+   * @param {Set<string>} schema - Attributes of the sub-relation.
+   * @param {Array<{lhs: Set<string>, rhs: Set<string>}>} fds - FDs of the original relation.
+   * @param {Array<Set<string>>} [unverified] - Receives the schema when the search gave
+   *   up, so that it may have more keys than returned.
+   * @returns {Array<Set<string>>} - Keys sorted by size, then lexicographically.
+   */
+  function findProjectedCandidateKeys(schema, fds, unverified = null) {
+    const required = findUndeterminedAttributes(schema, fds);
+    const optional = getSearchableAttributes(schema, fds, required);
+    const keys = [];
+    const withRequired = (subset) => new Set([...required, ...subset]);
+    const isSuperkey = (candidate) =>
+      isSuperset(calculateClosure(candidate, fds), schema);
+
+    const endedEarly = walkSubsetsBySize(
+      optional,
+      (subset) => {
+        const candidate = withRequired(subset);
+        if (isSuperkey(candidate)) keys.push(candidate);
+        return false;
+      },
+      (subset) => {
+        const candidate = withRequired(subset);
+        return keys.some((key) => isSuperset(candidate, key));
+      },
+      SUBSET_SEARCH_LIMIT
+    );
+    if (endedEarly) {
+      if (keys.length === 0) {
+        // The required and LHS attributes determine the rest of the schema
+        const key = withRequired(optional);
+        optional.forEach((attr) => {
+          key.delete(attr);
+          if (!isSuperkey(key)) key.add(attr);
+        });
+        keys.push(key);
+      }
+      if (unverified) unverified.push(schema);
+    }
+    return keys.sort(
+      (a, b) =>
+        a.size - b.size ||
+        setToSortedString(a).localeCompare(setToSortedString(b))
+    );
+  }
+
+  /**
+   * Collects the prime attributes (attributes part of *any* candidate key).
+   * @param {Array<Set<string>>} candidateKeys
+   * @returns {Set<string>}
+   */
+  function getPrimeAttributes(candidateKeys) {
+    const primeAttributes = new Set();
+    candidateKeys.forEach((key) => {
+      key.forEach((attr) => primeAttributes.add(attr));
+    });
+    return primeAttributes;
+  }
+
+  /**
+   * Finds the elementary keys: candidate keys K on which some attribute A outside K
+   * depends elementarily, i.e. no proper subset of K determines A (Zaniolo).
+   * @param {{attributes: Set<string>, fds: Array}} relation
+   * @param {Array<Set<string>>} candidateKeys
+   * @returns {Array<Set<string>>}
+   */
+  function findElementaryKeys(relation, candidateKeys) {
+    const { attributes, fds } = relation;
+    return candidateKeys.filter((key) => {
+      // Closure is monotone, so only the subsets one attribute short matter
+      const reachable = new Set();
+      key.forEach((attr) => {
+        const smaller = new Set([...key].filter((other) => other !== attr));
+        calculateClosure(smaller, fds).forEach((a) => reachable.add(a));
+      });
+      return [...attributes].some(
+        (attr) => !key.has(attr) && !reachable.has(attr)
+      );
+    });
+  }
+
+  /**
+   * Shrinks the LHS of X → A until no attribute can be dropped, which makes the FD
+   * elementary: A depends on the whole LHS and on no proper subset of it.
+   * @param {Set<string>} lhs - X, with A in its closure.
+   * @param {string} attr - A, not in X.
+   * @param {Array} fds
+   * @returns {{lhs: Set<string>, rhs: Set<string>}}
+   */
+  function reduceToElementaryFD(lhs, attr, fds) {
+    const reduced = new Set(lhs);
+    Array.from(lhs)
+      .sort()
+      .forEach((candidate) => {
+        reduced.delete(candidate);
+        if (!calculateClosure(reduced, fds).has(attr)) reduced.add(candidate);
+      });
+    return { lhs: reduced, rhs: new Set([attr]) };
+  }
+
+  const ELEMENTARY_FD_SEARCH_LIMIT = 12;
+
+  /**
+   * Lists every elementary FD X → A implied by the relation's FDs: A is not in X and no
+   * proper subset of X determines A. Only attributes on some LHS can be part of such
+   * an X, so the search walks the subsets of those attributes, smallest first.
+   * @param {{attributes: Set<string>, fds: Array}} relation
+   * @param {number} [limit] - Largest number of LHS attributes to search.
+   * @returns {Array<{lhs: Set<string>, rhs: Set<string>}>|null} - Single-attribute FDs sorted
+   *   by LHS size, or null when more than `limit` attributes appear on a LHS.
+   */
+  function findElementaryFDs(relation, limit = ELEMENTARY_FD_SEARCH_LIMIT) {
+    const { attributes, fds } = relation;
+    const lhsAttributes = new Set(
+      fds.flatMap((fd) => [...fd.lhs]).filter((attr) => attributes.has(attr))
+    );
+    if (lhsAttributes.size > limit) return null;
+
+    const determinants = new Map(); // attribute -> minimal determinants found so far
+    const elementary = [];
+    generateSubsets(lhsAttributes)
+      .sort((a, b) => a.size - b.size)
+      .forEach((subset) => {
+        calculateClosure(subset, fds).forEach((attr) => {
+          if (subset.has(attr) || !attributes.has(attr)) return;
+          const found = determinants.get(attr) || [];
+          if (found.some((smaller) => isSuperset(subset, smaller))) return;
+          found.push(subset);
+          determinants.set(attr, found);
+          elementary.push({ lhs: subset, rhs: new Set([attr]) });
+        });
+      });
+    return elementary;
+  }
+
+  /**
+   * Classifies every FD that violates a normal form:
+   * - "partial": a non-prime attribute depends on a proper subset of a candidate key (violates 2NF, 3NF, EKNF, BCNF);
+   * - "transitive": a non-prime attribute depends on a set that is not a superkey and not part of a key,
+   *   i.e. key → X → A (violates 3NF, EKNF, BCNF);
+   * - "non-superkey": the determinant is not a superkey but only prime attributes depend on it (violates
+   *   BCNF, and EKNF too when one of them belongs to no elementary key).
+   * Trivial parts of an FD (RHS attributes also on its LHS) are ignored.
+   * @param {{attributes: Set<string>, fds: Array}} relation
+   * @param {Array<Set<string>>} candidateKeys - Pre-calculated candidate keys.
+   * @returns {Array<{fd: {lhs: Set<string>, rhs: Set<string>}, type: "partial"|"transitive"|"non-superkey", key: Set<string>|null, nonPrime: Set<string>, violates: string[], description: string}>}
+   *   - fd is the violating FD without its trivial part; key is the candidate key a partial dependency
+   *     splits; nonPrime holds the non-prime RHS attributes.
+   */
+  function classifyViolations(relation, candidateKeys) {
+    const { attributes, fds } = relation;
+    const primeAttributes = getPrimeAttributes(candidateKeys);
+    const elementaryKeyAttributes = getPrimeAttributes(
+      findElementaryKeys(relation, candidateKeys)
+    );
+    const violations = [];
+
+    for (const original of fds) {
+      const rhs = new Set(
+        [...original.rhs].filter((attr) => !original.lhs.has(attr))
+      );
+      // Trivial dependencies don't violate NFs
+      if (rhs.size === 0) continue;
+      const fd = { lhs: original.lhs, rhs };
+
+      // For every non-trivial FD X -> Y, X must be a superkey (BCNF)
+      if (isSuperset(calculateClosure(fd.lhs, fds), attributes)) continue;
+
+      const nonPrime = new Set([...rhs].filter((a) => !primeAttributes.has(a)));
+      const key =
+        nonPrime.size > 0
+          ? candidateKeys.find((k) => isProperSuperset(k, fd.lhs)) || null
+          : null;
+      const fdString = fdToString(fd);
+      const nonPrimeString = setToSortedString(nonPrime);
+
+      if (key) {
+        violations.push({
+          fd,
+          type: "partial",
+          key,
+          nonPrime,
+          violates: ["2NF", "3NF", "EKNF", "BCNF"],
+          description: `${fdString}: partial dependency — non-prime ${nonPrimeString} depends on {${setToSortedString(
+            fd.lhs
+          )}}, a proper subset of key {${setToSortedString(key)}}`,
+        });
+      } else if (nonPrime.size > 0) {
+        violations.push({
+          fd,
+          type: "transitive",
+          key: null,
+          nonPrime,
+          violates: ["3NF", "EKNF", "BCNF"],
+          description: `${fdString}: transitive dependency — non-prime ${nonPrimeString} depends on {${setToSortedString(
+            fd.lhs
+          )}}, which is not a superkey`,
+        });
+      } else {
+        const nonElementary = new Set(
+          [...rhs].filter((a) => !elementaryKeyAttributes.has(a))
+        );
+        violations.push({
+          fd,
+          type: "non-superkey",
+          key: null,
+          nonPrime,
+          violates: nonElementary.size > 0 ? ["EKNF", "BCNF"] : ["BCNF"],
+          description:
+            nonElementary.size > 0
+              ? `${fdString}: determinant {${setToSortedString(
+                  fd.lhs
+                )}} is not a superkey and ${setToSortedString(
+                  nonElementary
+                )} belongs to no elementary key`
+              : `${fdString}: determinant {${setToSortedString(
+                  fd.lhs
+                )}} is not a superkey (only prime attributes depend on it)`,
+        });
+      }
+    }
+    return violations;
+  }
+
+  /**
+   * Checks the highest normal form (BCNF, EKNF, 3NF, 2NF, 1NF) the relation satisfies.
+   * A relation with composite or multivalued attributes is not in 1NF and therefore
+   * in no higher form; its FDs are not examined. Otherwise the verdicts follow from
+   * classifyViolations: any violation breaks BCNF, transitive and partial
+   * dependencies and non-superkey determinants of attributes outside every
+   * elementary key break EKNF, transitive and partial dependencies break 3NF,
+   * partial dependencies break 2NF.
+   * 4NF is only decided for relations with MVDs (with FDs alone it coincides with
+   * BCNF): it additionally requires the LHS of every non-trivial MVD to be a superkey.
+   * Such MVDs are added to `classified` with type "multivalued".
+   * 5NF (project-join normal form) is likewise only decided for relations with join
+   * dependencies: every non-trivial JD must be implied by the candidate keys (see
+   * isJoinDependencyImpliedByKeys); the others are classified with type "join".
+   * @param {{attributes: Set<string>, fds: Array, mvds?: Array, jds?: Array}} relation
+   * @param {Array<Set<string>>} candidateKeys - Pre-calculated candidate keys.
+   * @returns {object} - { is1NF: boolean, is2NF: boolean, is3NF: boolean, isEKNF: boolean, isBCNF: boolean, is4NF: boolean|null, is5NF: boolean|null, violations: { '1NF': string[], '2NF': string[], '3NF': string[], 'EKNF': string[], 'BCNF': string[], '4NF': string[], '5NF': string[] }, classified: Array<object> }
+   *   - is4NF is null when the relation has no MVDs, is5NF when it has no JDs.
+   */
+  function checkNormalForms(relation, candidateKeys) {
+    const { attributes, fds } = relation;
+    const hasMVDs = hasMultivaluedDependencies(relation);
+    const hasJDs = hasJoinDependencies(relation);
+    const results = {
+      isBCNF: true,
+      isEKNF: true,
+      is3NF: true,
+      is2NF: true,
+      is1NF: true,
+      is4NF: hasMVDs ? true : null,
+      is5NF: hasJDs ? true : null,
+      violations: {
+        "5NF": [],
+        "4NF": [],
+        BCNF: [],
+        EKNF: [],
+        "3NF": [],
+        "2NF": [],
+        "1NF": [],
+      },
+      classified: [],
+    };
+
+    // --- 1NF Check ---
+    // Every attribute must be atomic; higher forms presuppose 1NF
+    if (hasNonAtomicAttributes(relation)) {
+      results.violations["1NF"] = describeNonAtomicAttributes(relation);
+      results.is1NF = results.is2NF = results.is3NF = false;
+      results.isEKNF = results.isBCNF = false;
+      if (hasMVDs) results.is4NF = false;
+      if (hasJDs) results.is5NF = false;
+      return results;
+    }
+
+    // An empty relation or one with no FDs is trivially in BCNF
+    if (attributes.size > 0 && fds.length > 0) {
+      if (candidateKeys.length === 0) {
+        console.warn("Cannot check normal forms without candidate keys.");
+        // Cannot confirm
+        results.isBCNF = results.isEKNF = results.is3NF = results.is2NF = false;
+      } else {
+        results.classified = classifyViolations(relation, candidateKeys);
+        results.classified.forEach((violation) => {
+          violation.violates.forEach((form) => {
+            results.violations[form].push(fdToString(violation.fd));
+          });
+        });
+        results.isBCNF = results.violations.BCNF.length === 0;
+        results.isEKNF = results.violations.EKNF.length === 0;
+        results.is3NF = results.violations["3NF"].length === 0;
+        results.is2NF = results.violations["2NF"].length === 0;
+      }
+    }
+
+    // --- 4NF Check ---
+    // Every FD is also an MVD, so each BCNF violation breaks 4NF as well
+    if (hasMVDs) {
+      results.classified.forEach((violation) => {
+        violation.violates.push("4NF");
+        results.violations["4NF"].push(fdToString(violation.fd));
+      });
+      relation.mvds.forEach((mvd) => {
+        if (isTrivialMVD(mvd, attributes)) return;
+        if (
+          isSuperset(calculateClosureWithMVDs(mvd.lhs, relation), attributes)
+        ) {
+          return;
+        }
+        const mvdString = mvdToString(mvd);
+        results.classified.push({
+          fd: mvd,
+          type: "multivalued",
+          key: null,
+          nonPrime: new Set(),
+          violates: ["4NF"],
+          description: `${mvdString}: multivalued dependency — {${setToSortedString(
+            mvd.lhs
+          )}} is not a superkey, so independent facts about it share one relation`,
+        });
+        results.violations["4NF"].push(mvdString);
+      });
+      results.is4NF = results.violations["4NF"].length === 0;
+    }
+
+    // --- 5NF Check ---
+    // 5NF includes 4NF (and BCNF), so every violation found so far breaks it too
+    if (hasJDs) {
+      results.classified.forEach((violation) => {
+        violation.violates.push("5NF");
+        results.violations["5NF"].push(
+          violation.type === "multivalued"
+            ? mvdToString(violation.fd)
+            : fdToString(violation.fd)
+        );
+      });
+      relation.jds.forEach((jd) => {
+        if (isTrivialJD(jd, attributes)) return;
+        if (isJoinDependencyImpliedByKeys(jd, attributes, candidateKeys)) {
+          return;
+        }
+        const jdString = jdToString(jd);
+        results.classified.push({
+          fd: null,
+          jd,
+          type: "join",
+          key: null,
+          nonPrime: new Set(),
+          violates: ["5NF"],
+          description: `${jdString}: join dependency not implied by the candidate keys — the relation can be rebuilt from these projections, so it stores facts redundantly`,
+        });
+        results.violations["5NF"].push(jdString);
+      });
+      results.is5NF = results.violations["5NF"].length === 0;
+    }
+    return results;
+  }
+
+  /**
+   * Calculates a decomposition into 2NF.
+   * Strategy:
+   * 1. Identify partial dependencies (X->A where X is proper subset of a key, A is non-prime).
+   * 2. Create relations for each partial dependency: R(X U A).
+   * 3. Create one relation containing a candidate key and all attributes not involved in partial dependencies.
+   * NOTE: This is a common interpretation; others exist. This aims for dependency preservation.
+   * @param {{attributes: Set<string>, fds: Array}} relation
+   * @param {Array<Set<string>>} candidateKeys - Pre-calculated candidate keys.
+   * @returns {Array<Set<string>>} - Array of relation schemas (Sets of attributes).
+   */
+  function calculate2NFDecomposition(relation, candidateKeys) {
+    const { attributes, fds } = relation;
+    const decomposition = [];
+
+    if (candidateKeys.length === 0) return [];
+
+    const primeAttributes = getPrimeAttributes(candidateKeys);
+
+    // Find and process partial dependencies
+    const partialFDs = [];
+    for (const fd of fds) {
+      for (const key of candidateKeys) {
+        // Check if LHS is proper subset of key
+        if (isProperSuperset(key, fd.lhs)) {
+          // Check if RHS contains non-prime attributes
+          const nonPrimeRHS = new Set(
+            [...fd.rhs].filter((attr) => !primeAttributes.has(attr))
+          );
+          if (nonPrimeRHS.size > 0) {
+            // Found a partial dependency: fd.lhs -> nonPrimeRHS
+            partialFDs.push(new Set([...fd.lhs, ...nonPrimeRHS]));
+            // Processing all keys ensures we capture all such relations.
+          }
+        }
+      }
+    }
+
+    // Add schemas for partial dependencies (ensure uniqueness)
+    const uniquePartialSchemas = new Map();
+    partialFDs.forEach((schema) => {
+      uniquePartialSchemas.set(setToSortedString(schema), schema);
+    });
+    uniquePartialSchemas.forEach((schema) => decomposition.push(schema));
+
+    // Create a relation for (at least) one candidate key and remaining attributes
+    // Attributes remaining = (All Attributes) - (Non-Prime attributes involved in partial dependencies)
+    // This ensures the key is present and attributes only fully dependent on the key are kept with it.
+    const remainingAttributes = new Set(attributes);
+    partialFDs.forEach((schema) => {
+      schema.forEach((attr) => {
+        // Only remove non-prime attributes that were part of a partial dependency
+        if (!primeAttributes.has(attr)) {
+          remainingAttributes.delete(attr);
+        }
+      });
+    });
+
+    // Ensure at least one full key is present in the remaining schema.
+    // If remainingAttributes doesn't contain a full key, add one.
+    // This usually happens naturally if we didn't aggressively remove primes.
+    let keyInRemaining = false;
+    if (remainingAttributes.size > 0) {
+      for (const key of candidateKeys) {
+        if (isSuperset(remainingAttributes, key)) {
+          keyInRemaining = true;
+          break;
+        }
+      }
+      // Add the remaining attributes as a schema
+      decomposition.push(remainingAttributes);
+
+      if (!keyInRemaining) {
+        console.warn(
+          "2NF: Key loss detected after removing partials. Adding a key schema."
+        );
+        // Add a schema containing just one candidate key if none is covered
+        decomposition.push(new Set(candidateKeys[0]));
+      }
+    } else if (attributes.size > 0) {
+      // If removing partial dependencies removed everything, add back a key
+      console.warn(
+        "2NF: All attributes removed by partials. Adding a key schema."
+      );
+      decomposition.push(new Set(candidateKeys[0]));
+    }
+
+    // Final step: Refine decomposition - remove schemas that are subsets of others
+    const finalDecomposition = [];
+    const sortedDecomp = decomposition
+      .map((s) => ({ set: s, key: setToSortedString(s) }))
+      .sort((a, b) => b.set.size - a.set.size); // Sort by size descending
+
+    for (let i = 0; i < sortedDecomp.length; i++) {
+      let isSubset = false;
+      for (let j = 0; j < i; j++) {
+        // Check against larger sets already added
+        if (isSuperset(sortedDecomp[j].set, sortedDecomp[i].set)) {
+          isSubset = true;
+          break;
+        }
+      }
+      if (!isSubset) {
+        // Ensure we don't add duplicate schemas (e.g., if remainingAttrs matched a partial)
+        if (
+          !finalDecomposition.some((existing) =>
+            setsAreEqual(existing, sortedDecomp[i].set)
+          )
+        ) {
+          finalDecomposition.push(sortedDecomp[i].set);
+        }
+      }
+    }
+
+    return finalDecomposition;
+  }
+
+  /**
+   * Calculates the Minimal Cover (Canonical Cover) of the functional dependencies.
+   * @param {Array<{lhs: Set<string>, rhs: Set<string>}>} fds - Input functional dependencies.
+   * @param {Array<object>} [trace] - Explain mode: receives {description} entries for every
+   *   RHS split, extraneous LHS attribute and redundant FD.
+   * @returns {Array<{lhs: Set<string>, rhs: Set<string>}>} - Minimal cover FDs.
+   */
+  function calculateMinimalCover(fds, trace = null) {
+    if (fds.length === 0) return [];
+    const record = (description) => trace && trace.push({ description });
+
+    // Work on a copy
+    let currentFDs = fds.map((fd) => ({
+      lhs: new Set(fd.lhs),
+      rhs: new Set(fd.rhs),
+    }));
+
+    // Step 1: Decompose RHS to singleton attributes
+    let singletonFDs = [];
+    currentFDs.forEach((fd) => {
+      const parts = [];
+      fd.rhs.forEach((attr) => {
+        const part = { lhs: new Set(fd.lhs), rhs: new Set([attr]) };
+        singletonFDs.push(part);
+        parts.push(part);
+      });
+      if (parts.length > 1) {
+        record(
+          `Split ${fdToString(fd)} into ${parts.map(fdToString).join(", ")}`
+        );
+      }
+    });
+    currentFDs = singletonFDs;
+
+    // Step 2: Remove redundant attributes from LHS
+    let reducedLHSFDs = [];
+    for (const fd of currentFDs) {
+      let currentLHS = new Set(fd.lhs);
+      // Try removing each attribute from LHS one by one
+      for (const attrToRemove of fd.lhs) {
+        if (currentLHS.size <= 1) break; // Cannot reduce further
+
+        const testLHS = new Set(currentLHS);
+        testLHS.delete(attrToRemove);
+
+        // Check if the attribute in RHS can still be derived without attrToRemove
+        // Closure must be calculated using ALL current FDs (before this specific reduction)
+        const closure = calculateClosure(testLHS, currentFDs);
+        if (closure.has([...fd.rhs][0])) {
+          // Check if the single RHS attribute is in the closure
+          record(
+            `${attrToRemove} is extraneous in ${fdToString({
+              lhs: currentLHS,
+              rhs: fd.rhs,
+            })}: {${setToSortedString(testLHS)}}+ = {${setToSortedString(
+              closure
+            )}} already contains ${[...fd.rhs][0]}`
+          );
+          currentLHS = testLHS; // Removal was successful, update LHS for next iteration
+        }
+      }
+      // Add potentially reduced FD, ensuring LHS is not empty
+      if (currentLHS.size > 0) {
+        reducedLHSFDs.push({ lhs: currentLHS, rhs: new Set(fd.rhs) });
+      }
+    }
+    currentFDs = reducedLHSFDs;
+
+    // Step 3: Remove redundant FDs
+    // FDs already removed must not be used to justify removing others (e.g. two copies of A → C)
+    let minimalCover = currentFDs.slice();
+    for (const fdToCheck of currentFDs) {
+      // Temporarily remove fdToCheck and see if its RHS can still be derived from its LHS using the *other* FDs
+      const otherFDs = minimalCover.filter((fd) => fd !== fdToCheck);
+
+      const closure = calculateClosure(fdToCheck.lhs, otherFDs);
+
+      // If the RHS attribute is NOT in the closure calculated WITHOUT this FD, then the FD is necessary.
+      if (closure.has([...fdToCheck.rhs][0])) {
+        minimalCover = otherFDs;
+        record(
+          `Remove redundant ${fdToString(
+            fdToCheck
+          )}: without it {${setToSortedString(
+            fdToCheck.lhs
+          )}}+ = {${setToSortedString(closure)}} still contains ${
+            [...fdToCheck.rhs][0]
+          }`
+        );
+      }
+    }
+
+    // Optional Step 4: Combine FDs with the same LHS (often done for presentation)
+    const result = combineFDsByLHS(minimalCover);
+    if (result.length < minimalCover.length) {
+      record("Combine the remaining FDs that share a left-hand side");
+    }
+    record(`Minimal cover: ${result.map(fdToString).join("; ") || "(empty)"}`);
+    return result;
+  }
+
+  /**
+   * Merges FDs that share a left-hand side into one FD, keeping first-seen order.
+   * @param {Array<{lhs: Set<string>, rhs: Set<string>}>} fds
+   * @returns {Array<{lhs: Set<string>, rhs: Set<string>}>}
+   */
+  function combineFDsByLHS(fds) {
+    const combinedFDsMap = new Map();
+    fds.forEach((fd) => {
+      const lhsKey = setToSortedString(fd.lhs);
+      if (!combinedFDsMap.has(lhsKey)) {
+        combinedFDsMap.set(lhsKey, { lhs: fd.lhs, rhs: new Set() });
+      }
+      fd.rhs.forEach((attr) => combinedFDsMap.get(lhsKey).rhs.add(attr));
+    });
+    return Array.from(combinedFDsMap.values());
+  }
+
+  /**
+   * Describes an FD set independently of the order its FDs and RHS attributes were
+   * written in, so that equal covers compare equal.
+   * @param {Array<{lhs: Set<string>, rhs: Set<string>}>} fds
+   * @returns {string}
+   */
+  function getCanonicalFDString(fds) {
+    return fds
+      .flatMap((fd) =>
+        [...fd.rhs].map((attr) =>
+          fdToString({ lhs: fd.lhs, rhs: new Set([attr]) })
+        )
+      )
+      .sort()
+      .join("; ");
+  }
+
+  const MINIMAL_COVER_LIMIT = 20;
+  const MINIMAL_COVER_SEARCH_BUDGET = 50000;
+
+  /**
+   * Enumerates the distinct minimal covers of an FD set. calculateMinimalCover finds
+   * just one of them, which depends on the order of the FDs and of their LHS attributes.
+   * Every minimal cover is an irredundant set of elementary FDs (see findElementaryFDs)
+   * equivalent to the input, so the search adds elementary FDs one at a time, never
+   * keeping a set in which some FD follows from the others.
+   * @param {Array<{lhs: Set<string>, rhs: Set<string>}>} fds
+   * @param {number} [limit] - Most covers to return.
+   * @returns {{covers: Array<Array<{lhs: Set<string>, rhs: Set<string>}>>, complete: boolean}}
+   *   - covers[0] is the cover calculateMinimalCover returns; FDs sharing a LHS are combined.
+   *   complete is false when the limit or the search budget cut the enumeration short.
+   */
+  function enumerateMinimalCovers(fds, limit = MINIMAL_COVER_LIMIT) {
+    const defaultCover = calculateMinimalCover(fds);
+    const covers = [defaultCover];
+    const seen = new Set([getCanonicalFDString(defaultCover)]);
+    const attributes = new Set(fds.flatMap((fd) => [...getFDAttributes(fd)]));
+    const elementary = findElementaryFDs({ attributes, fds });
+    if (!elementary) return { covers, complete: false };
+
+    const target = fds.filter((fd) => !isSuperset(fd.lhs, fd.rhs));
+    const isEquivalent = (set) =>
+      target.every((fd) => isSuperset(calculateClosure(fd.lhs, set), fd.rhs));
+    const isRedundant = (set) =>
+      set.some((fd) =>
+        isSuperset(
+          calculateClosure(
+            fd.lhs,
+            set.filter((other) => other !== fd)
+          ),
+          fd.rhs
+        )
+      );
+
+    let complete = true;
+    let budget = MINIMAL_COVER_SEARCH_BUDGET;
+    const chosen = [];
+    const visit = (start) => {
+      if (--budget < 0) {
+        complete = false;
+        return;
+      }
+      if (isEquivalent(chosen)) {
+        const cover = combineFDsByLHS(chosen.slice());
+        const key = getCanonicalFDString(cover);
+        if (seen.has(key)) return;
+        if (covers.length >= limit) {
+          complete = false;
+          return;
+        }
+        seen.add(key);
+        covers.push(cover);
+        return;
+      }
+      for (let i = start; i < elementary.length && complete; i++) {
+        chosen.push(elementary[i]);
+        // Adding FDs never makes a redundant FD necessary again
+        if (!isRedundant(chosen)) visit(i + 1);
+        chosen.pop();
+      }
+    };
+    visit(0);
+    return { covers, complete };
+  }
+
+  /**
+   * Compares two decompositions schema by schema.
+   * @param {Array<Set<string>>} before
+   * @param {Array<Set<string>>} after
+   * @returns {{kept: Array<Set<string>>, removed: Array<Set<string>>, added: Array<Set<string>>}}
+   *   - removed holds schemas only in `before`, added those only in `after`.
+   */
+  function diffDecompositions(before, after) {
+    const contains = (schemas, schema) =>
+      schemas.some((other) => setsAreEqual(other, schema));
+    return {
+      kept: before.filter((schema) => contains(after, schema)),
+      removed: before.filter((schema) => !contains(after, schema)),
+      added: after.filter((schema) => !contains(before, schema)),
+    };
+  }
+
+  /**
+   * Calculates the 3NF decomposition using the Synthesis Algorithm.
+   * Ensures Lossless Join and Dependency Preservation.
+   * @param {{attributes: Set<string>, fds: Array}} relation
+   * @param {Array<Set<string>>} candidateKeys - Pre-calculated candidate keys.
+   * @param {Array<object>} [trace] - Explain mode: receives {description} entries for every
+   *   schema created, the key schema and every schema dropped as redundant.
+   * @param {Array<{lhs: Set<string>, rhs: Set<string>}>} [minimalCover] - The cover to
+   *   synthesize from (e.g. one of enumerateMinimalCovers); by default calculateMinimalCover's.
+   * @returns {Array<Set<string>>} - Array of relation schemas (Sets of attributes).
+   */
+  function calculate3NFDecomposition(
+    relation,
+    candidateKeys,
+    trace = null,
+    minimalCover = calculateMinimalCover(relation.fds)
+  ) {
+    const record = (description) => trace && trace.push({ description });
+    // Step 1: Find a Minimal Cover
+    if (minimalCover.length === 0 && relation.attributes.size > 0) {
+      // If no FDs, the whole relation is the only schema
+      return [new Set(relation.attributes)];
+    }
+
+    // Step 2: Create relation schemas for each FD in the minimal cover
+    const decompositionSchemas = new Map(); // Use Map for uniqueness: key=sorted_string, value=Set<string>
+    for (const fd of minimalCover) {
+      const schemaAttributes = getFDAttributes(fd); // Combine LHS U RHS
+      const schemaKey = setToSortedString(schemaAttributes);
+      if (!decompositionSchemas.has(schemaKey)) {
+        decompositionSchemas.set(schemaKey, schemaAttributes);
+        record(`${fdToString(fd)} gives R(${schemaKey})`);
+      }
+    }
+
+    // Step 3: Check if any schema contains a candidate key
+    let keyIsCovered = false;
+    if (candidateKeys.length > 0) {
+      for (const schemaAttributes of decompositionSchemas.values()) {
+        for (const key of candidateKeys) {
+          if (isSuperset(schemaAttributes, key)) {
+            keyIsCovered = true;
+            break;
+          }
+        }
+        if (keyIsCovered) break;
+      }
+    } else {
+      // Should have been handled by candidate key finding or earlier checks
+      console.warn(
+        "3NF: No candidate keys provided or found. Decomposition might be incomplete."
+      );
+    }
+
+    // Step 4: Add a candidate key relation IF none was covered
+    if (!keyIsCovered && candidateKeys.length > 0) {
+      // Select one candidate key (e.g., the first one) and add its schema
+      const keyToAdd = candidateKeys[0];
+      const schemaKey = setToSortedString(keyToAdd);
+      // Add the key schema if it's not already somehow present
+      if (!decompositionSchemas.has(schemaKey)) {
+        decompositionSchemas.set(schemaKey, keyToAdd);
+        record(
+          `No schema contains a candidate key: add R(${schemaKey}) for key {${schemaKey}}`
+        );
+      }
+    } else if (keyIsCovered) {
+      record("A schema already contains a candidate key; no key schema needed");
+    }
+
+    // Step 5: Refine decomposition - remove schemas that are subsets of others
+    const finalDecompositionSets = [];
+    const sortedSchemas = Array.from(decompositionSchemas.values()).sort(
+      (a, b) => b.size - a.size
+    ); // Sort by size descending
+
+    for (let i = 0; i < sortedSchemas.length; i++) {
+      let isSubset = false;
+      for (let j = 0; j < finalDecompositionSets.length; j++) {
+        // Check against those already added
+        if (setsAreEqual(sortedSchemas[i], finalDecompositionSets[j])) {
+          // Check exact duplicate
+          isSubset = true; // Treat as subset to avoid adding again
+          break;
+        }
+        if (isSuperset(finalDecompositionSets[j], sortedSchemas[i])) {
+          // Check if it's a subset of an existing one
+          isSubset = true;
+          record(
+            `Drop R(${setToSortedString(
+              sortedSchemas[i]
+            )}): contained in R(${setToSortedString(
+              finalDecompositionSets[j]
+            )})`
+          );
+          break;
+        }
+        // Also check if an existing one is a subset of the current one
+        if (isProperSuperset(sortedSchemas[i], finalDecompositionSets[j])) {
+          // If the current schema makes an already added one redundant, remove the smaller one
+          finalDecompositionSets.splice(j, 1);
+          j--; // Adjust index after removal
+        }
+      }
+      if (!isSubset) {
+        finalDecompositionSets.push(sortedSchemas[i]);
+      }
+    }
+
+    return finalDecompositionSets;
+  }
+
+  /**
+   * Finds a BCNF violation in a sub-relation under the dependencies projected onto it.
+   * An attribute set X ⊆ schema violates BCNF when X⁺ ∩ schema contains attributes
+   * beyond X but not the whole schema; the violating FD is X → (X⁺ ∩ schema) − X.
+   * The LHS of the given FDs are tried first. They decide the question when the schema
+   * holds every attribute of the FDs (e.g. the original relation); otherwise the subsets
+   * of the schema's LHS attributes are walked smallest first (see getSearchableAttributes),
+   * so violations of implied FDs are found as well. The walk gives up after
+   * SUBSET_SEARCH_LIMIT subsets; the schema is then added to `unverified`.
+   * @param {Set<string>} schema - Attributes of the sub-relation.
+   * @param {Array<{lhs: Set<string>, rhs: Set<string>}>} fds - FDs of the original relation.
+   * @param {Array<Set<string>>} [unverified] - Receives the schema when null is returned
+   *   because the walk gave up, not because the schema was shown to be in BCNF.
+   * @returns {{lhs: Set<string>, rhs: Set<string>}|null} - The violating FD, or null if
+   *   none was found.
+   */
+  function findBCNFViolation(schema, fds, unverified = null) {
+    // Every relation with at most two attributes is in BCNF
+    if (schema.size <= 2) return null;
+
+    const superkeys = [];
+    const testLHS = (lhs) => {
+      if (superkeys.some((key) => isSuperset(lhs, key))) return null;
+      const projectedClosure = new Set(
+        [...calculateClosure(lhs, fds)].filter((attr) => schema.has(attr))
+      );
+      if (isSuperset(projectedClosure, schema)) {
+        superkeys.push(lhs);
+        return null;
+      }
+      const rhs = new Set(
+        [...projectedClosure].filter((attr) => !lhs.has(attr))
+      );
+      return rhs.size > 0 ? { lhs: new Set(lhs), rhs } : null;
+    };
+
+    for (const fd of fds) {
+      if (!isSuperset(schema, fd.lhs)) continue;
+      const violation = testLHS(fd.lhs);
+      if (violation) return violation;
+    }
+    // The FDs projected onto such a schema are the given FDs themselves
+    if (
+      fds.every(
+        (fd) => isSuperset(schema, fd.lhs) && isSuperset(schema, fd.rhs)
+      )
+    ) {
+      return null;
+    }
+    // Only trivial FDs hold when no attribute is determined by the others
+    if (findUndeterminedAttributes(schema, fds).size === schema.size) {
+      return null;
+    }
+
+    let violation = null;
+    const endedEarly = walkSubsetsBySize(
+      getSearchableAttributes(schema, fds),
+      (subset) => {
+        violation = testLHS(subset);
+        return violation !== null;
+      },
+      (subset) => superkeys.some((key) => isSuperset(subset, key)),
+      SUBSET_SEARCH_LIMIT
+    );
+    if (!violation && endedEarly && unverified) unverified.push(schema);
+    return violation;
+  }
+
+  /**
+   * Calculates the BCNF decomposition using the Analysis Algorithm.
+   * Each sub-relation is tested against its projected dependencies (see findBCNFViolation)
+   * and split on the violating FD X → Y into X ∪ Y and R − Y, until no violation remains.
+   * Ensures Lossless Join but may not preserve all dependencies.
+   * @param {{attributes: Set<string>, fds: Array}} relation
+   * @param {Array<object>} [trace] - Explain mode: receives {description} entries for every
+   *   split (with the violating FD) and every schema found to be in BCNF.
+   * @param {Array<Set<string>>} [unverified] - Receives the schemas kept without a
+   *   complete search for violations (see findBCNFViolation).
+   * @returns {Array<Set<string>>} - Array of relation schemas (Sets of attributes).
+   */
+  function calculateBCNFDecomposition(
+    relation,
+    trace = null,
+    unverified = null
+  ) {
+    const record = (description) => trace && trace.push({ description });
+    const { attributes, fds } = relation;
+    if (attributes.size === 0) return [];
+
+    const resultSchemas = [];
+    const relationsToProcess = [new Set(attributes)]; // Start with the universal relation
+
+    while (relationsToProcess.length > 0) {
+      const currentRelationSet = relationsToProcess.pop();
+      const skipped = [];
+      const violation = findBCNFViolation(currentRelationSet, fds, skipped);
+
+      if (skipped.length > 0) {
+        record(
+          `R(${setToSortedString(
+            currentRelationSet
+          )}) has no BCNF violation among the first ${SUBSET_SEARCH_LIMIT} attribute sets tried; it was not checked further`
+        );
+        if (unverified) unverified.push(currentRelationSet);
+        resultSchemas.push(currentRelationSet);
+        continue;
+      }
+      if (!violation) {
+        record(`R(${setToSortedString(currentRelationSet)}) is in BCNF`);
+        resultSchemas.push(currentRelationSet);
+        continue;
+      }
+
+      // R1 = X ∪ Y and R2 = R − Y; both are strictly smaller than R, so the loop terminates
+      const r1 = new Set([...violation.lhs, ...violation.rhs]);
+      const r2 = new Set(
+        [...currentRelationSet].filter((attr) => !violation.rhs.has(attr))
+      );
+      record(
+        `R(${setToSortedString(
+          currentRelationSet
+        )}) violates BCNF with ${fdToString(violation)} ({${setToSortedString(
+          violation.lhs
+        )}} is not a superkey): split into R(${setToSortedString(
+          r1
+        )}) and R(${setToSortedString(r2)})`
+      );
+      relationsToProcess.push(r2, r1);
+    }
+
+    // Drop duplicates and schemas contained in another schema; every schema
+    // left was found to be in BCNF above, or is listed in `unverified`
+    return resultSchemas.filter(
+      (schema, i) =>
+        !resultSchemas.some(
+          (other, j) =>
+            (j < i && setsAreEqual(schema, other)) ||
+            isProperSuperset(other, schema)
+        )
+    );
+  }
+
+  /**
+   * Calculates the closure of X under the union of the FDs projected onto each
+   * schema of a decomposition, without enumerating the projections: the part of
+   * (Z ∩ Ri)⁺ that lies inside Ri is added to Z for every Ri until Z stops growing.
+   * @param {Set<string>} attributesToClose - Starting attribute set X.
+   * @param {Array<Set<string>>} decomposition - Relation schemas.
+   * @param {Array<{lhs: Set<string>, rhs: Set<string>}>} fds - FDs of the original relation.
+   * @returns {Set<string>}
+   */
+  function calculateProjectedClosure(attributesToClose, decomposition, fds) {
+    const closure = new Set(attributesToClose);
+    let changed = true;
+    while (changed) {
+      changed = false;
+      for (const schema of decomposition) {
+        const inside = new Set([...closure].filter((attr) => schema.has(attr)));
+        calculateClosure(inside, fds).forEach((attr) => {
+          if (schema.has(attr) && !closure.has(attr)) {
+            closure.add(attr);
+            changed = true;
+          }
+        });
+      }
+    }
+    return closure;
+  }
+
+  /**
+   * Checks whether a decomposition preserves the dependencies of the original relation:
+   * every FD of the minimal cover must follow from the FDs projected onto the schemas.
+   * @param {Array<Set<string>>} decomposition - Relation schemas.
+   * @param {Array<{lhs: Set<string>, rhs: Set<string>}>} fds - FDs of the original relation.
+   * @returns {{preserved: boolean, lostFDs: Array<{lhs: Set<string>, rhs: Set<string>}>}}
+   *   - lostFDs holds the minimal cover FDs (restricted to their lost RHS attributes) that are not implied.
+   */
+  function checkDependencyPreservation(decomposition, fds) {
+    const lostFDs = [];
+    calculateMinimalCover(fds).forEach((fd) => {
+      const closure = calculateProjectedClosure(fd.lhs, decomposition, fds);
+      const lostRHS = new Set([...fd.rhs].filter((attr) => !closure.has(attr)));
+      if (lostRHS.size > 0) {
+        lostFDs.push({ lhs: new Set(fd.lhs), rhs: lostRHS });
+      }
+    });
+    return { preserved: lostFDs.length === 0, lostFDs };
+  }
+
+  // --- FD Set Comparison ---
+
+  /**
+   * Tests whether a set of FDs implies X → Y, which holds exactly when Y ⊆ X+.
+   * @param {Array<{lhs: Set<string>, rhs: Set<string>}>} fds
+   * @param {{lhs: Set<string>, rhs: Set<string>}} fd - The FD X → Y to test.
+   * @returns {{implied: boolean, closure: Set<string>, missing: Set<string>}}
+   *   - closure is X+ under fds (the witness), missing the attributes of Y outside it.
+   */
+  function impliesFD(fds, fd) {
+    const closure = calculateClosure(fd.lhs, fds);
+    const missing = new Set([...fd.rhs].filter((attr) => !closure.has(attr)));
+    return { implied: missing.size === 0, closure, missing };
+  }
+
+  /**
+   * Compares two FD sets: F ⊨ G when every FD of G follows from F, and F and G are
+   * equivalent when each implies the other. Every FD that does not follow is listed
+   * with the closure of its LHS under the other set as witness. The minimal covers
+   * of both sets are returned as well, since equivalent sets rarely look alike as entered.
+   * @param {Array<{lhs: Set<string>, rhs: Set<string>}>} f
+   * @param {Array<{lhs: Set<string>, rhs: Set<string>}>} g
+   * @returns {{
+   *   fImpliesG: boolean,
+   *   gImpliesF: boolean,
+   *   equivalent: boolean,
+   *   notImpliedByF: Array<{fd: object, closure: Set<string>, missing: Set<string>}>,
+   *   notImpliedByG: Array<{fd: object, closure: Set<string>, missing: Set<string>}>,
+   *   minimalCoverF: Array<{lhs: Set<string>, rhs: Set<string>}>,
+   *   minimalCoverG: Array<{lhs: Set<string>, rhs: Set<string>}>
+   * }} - notImpliedByF holds the FDs of G that F does not imply, and vice versa.
+   */
+  function compareFDSets(f, g) {
+    const notImplied = (fds, others) =>
+      others
+        .map((fd) => ({ fd, ...impliesFD(fds, fd) }))
+        .filter(({ implied }) => !implied)
+        .map(({ fd, closure, missing }) => ({ fd, closure, missing }));
+    const notImpliedByF = notImplied(f, g);
+    const notImpliedByG = notImplied(g, f);
+    return {
+      fImpliesG: notImpliedByF.length === 0,
+      gImpliesF: notImpliedByG.length === 0,
+      equivalent: notImpliedByF.length === 0 && notImpliedByG.length === 0,
+      notImpliedByF,
+      notImpliedByG,
+      minimalCoverF: calculateMinimalCover(f),
+      minimalCoverG: calculateMinimalCover(g),
+    };
+  }
+
+  // --- Multivalued Dependencies ---
+
+  /**
+   * Applies the complementation rule: X ↠ Y holds in R exactly when X ↠ R − X − Y does.
+   * @param {{lhs: Set<string>, rhs: Set<string>}} mvd
+   * @param {Set<string>} attributes - Attributes of R.
+   * @returns {{lhs: Set<string>, rhs: Set<string>}}
+   */
+  function complementMVD(mvd, attributes) {
+    return {
+      lhs: new Set(mvd.lhs),
+      rhs: new Set(
+        [...attributes].filter(
+          (attr) => !mvd.lhs.has(attr) && !mvd.rhs.has(attr)
+        )
+      ),
+    };
+  }
+
+  /**
+   * Checks whether an MVD X ↠ Y holds in every instance of R: Y ⊆ X or X ∪ Y = R.
+   * @param {{lhs: Set<string>, rhs: Set<string>}} mvd
+   * @param {Set<string>} attributes - Attributes of R.
+   * @returns {boolean}
+   */
+  function isTrivialMVD(mvd, attributes) {
+    return (
+      isSuperset(mvd.lhs, mvd.rhs) ||
+      isSuperset(new Set([...mvd.lhs, ...mvd.rhs]), attributes)
+    );
+  }
+
+  /**
+   * Calculates the dependency basis of X under the FDs and MVDs of a relation
+   * (Beeri's algorithm): the finest partition of R − X such that X ↠ Y follows
+   * exactly when Y − X is a union of blocks. Starting from the single block R − X,
+   * a block B is split into B ∩ W and B − W by any V ↠ W with V disjoint from B.
+   * Every FD V → W takes part as V ↠ A for each A in W (replication rule).
+   * @param {Set<string>} attributesToClose - The set X.
+   * @param {{attributes: Set<string>, fds: Array, mvds?: Array}} relation
+   * @param {Array<object>} [trace] - Explain mode: receives a {description} entry per split.
+   * @returns {Array<Set<string>>} - The blocks, ordered by their sorted attribute names.
+   */
+  function calculateDependencyBasis(attributesToClose, relation, trace = null) {
+    const record = (description) => trace && trace.push({ description });
+    const rules = (relation.mvds || [])
+      .map((mvd) => ({ lhs: mvd.lhs, rhs: mvd.rhs, source: mvdToString(mvd) }))
+      .concat(
+        relation.fds.flatMap((fd) =>
+          [...fd.rhs].map((attr) => ({
+            lhs: fd.lhs,
+            rhs: new Set([attr]),
+            source: `${fdToString(fd)} (as {${setToSortedString(
+              fd.lhs
+            )}} ↠ {${attr}})`,
+          }))
+        )
+      );
+
+    const blocks = [
+      new Set(
+        [...relation.attributes].filter((attr) => !attributesToClose.has(attr))
+      ),
+    ].filter((block) => block.size > 0);
+
+    let changed = true;
+    while (changed) {
+      changed = false;
+      for (const rule of rules) {
+        for (let i = 0; i < blocks.length; i++) {
+          const block = blocks[i];
+          if ([...rule.lhs].some((attr) => block.has(attr))) continue;
+          const inside = new Set(
+            [...block].filter((attr) => rule.rhs.has(attr))
+          );
+          if (inside.size === 0 || inside.size === block.size) continue;
+          const outside = new Set(
+            [...block].filter((attr) => !rule.rhs.has(attr))
+          );
+          blocks.splice(i, 1, inside, outside);
+          record(
+            `Split {${setToSortedString(block)}} with ${
+              rule.source
+            } into {${setToSortedString(inside)}} and {${setToSortedString(
+              outside
+            )}}`
+          );
+          changed = true;
+        }
+      }
+    }
+    return blocks.sort((a, b) =>
+      setToSortedString(a).localeCompare(setToSortedString(b))
+    );
+  }
+
+  /**
+   * Checks whether the FDs and MVDs of a relation imply an MVD X ↠ Y, using the
+   * dependency basis of X.
+   * @param {{attributes: Set<string>, fds: Array, mvds?: Array}} relation
+   * @param {{lhs: Set<string>, rhs: Set<string>}} mvd
+   * @returns {boolean}
+   */
+  function impliesMVD(relation, mvd) {
+    const target = new Set([...mvd.rhs].filter((attr) => !mvd.lhs.has(attr)));
+    return calculateDependencyBasis(mvd.lhs, relation).every(
+      (block) =>
+        isSuperset(target, block) ||
+        ![...block].some((attr) => target.has(attr))
+    );
+  }
+
+  /**
+   * Calculates the closure X⁺ under FDs and MVDs together. Besides the FDs, MVDs
+   * can imply FDs through the coalescence rule; by Beeri's theorem X → A holds
+   * exactly when A ∈ X, or {A} is a block of the dependency basis of X and some
+   * FD V → W has A ∈ W − V. Without MVDs this equals calculateClosure.
+   * @param {Set<string>} attributesToClose
+   * @param {{attributes: Set<string>, fds: Array, mvds?: Array}} relation
+   * @returns {Set<string>}
+   */
+  function calculateClosureWithMVDs(attributesToClose, relation) {
+    if (!hasMultivaluedDependencies(relation)) {
+      return calculateClosure(attributesToClose, relation.fds);
+    }
+    const determined = new Set();
+    relation.fds.forEach((fd) =>
+      fd.rhs.forEach((attr) => {
+        if (!fd.lhs.has(attr)) determined.add(attr);
+      })
+    );
+    const closure = new Set(attributesToClose);
+    calculateDependencyBasis(attributesToClose, relation).forEach((block) => {
+      if (block.size !== 1) return;
+      const [attr] = block;
+      if (determined.has(attr)) closure.add(attr);
+    });
+    return closure;
+  }
+
+  /**
+   * Finds a 4NF violation in a sub-relation. For X ⊆ schema that is not a superkey
+   * of it, an FD X → A with A in the schema is reported first (as in BCNF); otherwise
+   * X violates 4NF when the blocks of its dependency basis split schema − X into two or
+   * more parts, and the violating MVD is X ↠ (one part, preferably one overlapping a
+   * given MVD). As in findBCNFViolation the LHS of the given dependencies are tried
+   * first, which is enough for the original relation; for a sub-relation the subsets
+   * of its LHS attributes are walked smallest first, up to SUBSET_SEARCH_LIMIT of them.
+   * Without MVDs, 4NF is BCNF and the search is findBCNFViolation's.
+   * @param {Set<string>} schema - Attributes of the sub-relation.
+   * @param {{attributes: Set<string>, fds: Array, mvds?: Array}} relation - The original relation.
+   * @param {Array<Set<string>>} [unverified] - Receives the schema when null is returned
+   *   because the walk gave up, not because the schema was shown to be in 4NF.
+   * @returns {{lhs: Set<string>, rhs: Set<string>, functional: boolean}|null} - The violating
+   *   dependency (functional when it is an FD), or null if none was found.
+   */
+  function find4NFViolation(schema, relation, unverified = null) {
+    // Every MVD of a relation with at most two attributes is trivial
+    if (schema.size <= 2) return null;
+    if (!hasMultivaluedDependencies(relation)) {
+      const violation = findBCNFViolation(schema, relation.fds, unverified);
+      return violation && { ...violation, functional: true };
+    }
+
+    const superkeys = [];
+    const testLHS = (lhs, preferred = new Set()) => {
+      if (superkeys.some((key) => isSuperset(lhs, key))) return null;
+      const closure = calculateClosureWithMVDs(lhs, relation);
+      if (isSuperset(closure, schema)) {
+        superkeys.push(lhs);
+        return null;
+      }
+      const rest = [...schema].filter((attr) => !lhs.has(attr));
+      const determined = new Set(rest.filter((attr) => closure.has(attr)));
+      if (determined.size > 0) {
+        return { lhs: new Set(lhs), rhs: determined, functional: true };
+      }
+
+      const parts = calculateDependencyBasis(lhs, relation)
+        .map((block) => new Set([...block].filter((attr) => schema.has(attr))))
+        .filter((part) => part.size > 0);
+      if (parts.length < 2) return null;
+      const part =
+        parts.find((candidate) =>
+          [...candidate].some((attr) => preferred.has(attr))
+        ) || parts[0];
+      return { lhs: new Set(lhs), rhs: part, functional: false };
+    };
+
+    const dependencies = (relation.mvds || []).concat(relation.fds);
+    for (const dependency of dependencies) {
+      if (!isSuperset(schema, dependency.lhs)) continue;
+      const violation = testLHS(dependency.lhs, dependency.rhs);
+      if (violation) return violation;
+    }
+    if (schema.size === relation.attributes.size) return null;
+
+    let violation = null;
+    const endedEarly = walkSubsetsBySize(
+      getSearchableAttributes(schema, dependencies),
+      (subset) => {
+        violation = testLHS(subset);
+        return violation !== null;
+      },
+      (subset) => superkeys.some((key) => isSuperset(subset, key)),
+      SUBSET_SEARCH_LIMIT
+    );
+    if (!violation && endedEarly && unverified) unverified.push(schema);
+    return violation;
+  }
+
+  /**
+   * Calculates a 4NF decomposition the way calculateBCNFDecomposition reaches BCNF:
+   * each sub-relation with a violation X ↠ Y (see find4NFViolation) is split into
+   * X ∪ Y and R − Y. Lossless by the MVD itself; dependencies may be lost.
+   * @param {{attributes: Set<string>, fds: Array, mvds?: Array}} relation
+   * @param {Array<object>} [trace] - Explain mode: receives {description} entries for every
+   *   split (with the violating MVD) and every schema found to be in 4NF.
+   * @param {Array<Set<string>>} [schemas] - Sub-relations to start from instead of R itself.
+   * @param {Array<Set<string>>} [unverified] - Receives the schemas kept without a
+   *   complete search for violations (see find4NFViolation).
+   * @returns {Array<Set<string>>} - Array of relation schemas (Sets of attributes).
+   */
+  function calculate4NFDecomposition(
+    relation,
+    trace = null,
+    schemas = null,
+    unverified = null
+  ) {
+    const record = (description) => trace && trace.push({ description });
+    const { attributes } = relation;
+    if (attributes.size === 0) return [];
+
+    const resultSchemas = [];
+    const relationsToProcess = (schemas || [attributes])
+      .map((schema) => new Set(schema))
+      .reverse();
+
+    while (relationsToProcess.length > 0) {
+      const currentRelationSet = relationsToProcess.pop();
+      const skipped = [];
+      const violation = find4NFViolation(currentRelationSet, relation, skipped);
+
+      if (skipped.length > 0) {
+        record(
+          `R(${setToSortedString(
+            currentRelationSet
+          )}) has no 4NF violation among the first ${SUBSET_SEARCH_LIMIT} attribute sets tried; it was not checked further`
+        );
+        if (unverified) unverified.push(currentRelationSet);
+        resultSchemas.push(currentRelationSet);
+        continue;
+      }
+      if (!violation) {
+        record(`R(${setToSortedString(currentRelationSet)}) is in 4NF`);
+        resultSchemas.push(currentRelationSet);
+        continue;
+      }
+
+      const r1 = new Set([...violation.lhs, ...violation.rhs]);
+      const r2 = new Set(
+        [...currentRelationSet].filter((attr) => !violation.rhs.has(attr))
+      );
+      record(
+        `R(${setToSortedString(currentRelationSet)}) violates 4NF with ${
+          violation.functional ? fdToString(violation) : mvdToString(violation)
+        } ({${setToSortedString(
+          violation.lhs
+        )}} is not a superkey): split into R(${setToSortedString(
+          r1
+        )}) and R(${setToSortedString(r2)})`
+      );
+      relationsToProcess.push(r2, r1);
+    }
+
+    // Drop duplicates and schemas contained in another schema; every schema
+    // left was found to be in 4NF above, or is listed in `unverified`
+    return resultSchemas.filter(
+      (schema, i) =>
+        !resultSchemas.some(
+          (other, j) =>
+            (j < i && setsAreEqual(schema, other)) ||
+            isProperSuperset(other, schema)
+        )
+    );
+  }
+
+  // --- Join Dependencies ---
+
+  /**
+   * Checks whether a join dependency holds in every instance of R: some component is R itself.
+   * @param {Array<Set<string>>} jd
+   * @param {Set<string>} attributes - Attributes of R.
+   * @returns {boolean}
+   */
+  function isTrivialJD(jd, attributes) {
+    return jd.some((component) => isSuperset(component, attributes));
+  }
+
+  /**
+   * Lists the join dependencies whose components do not cover every attribute of
+   * the relation; a JD over R must, since it states that R is the join of its projections.
+   * @param {{attributes: Set<string>, jds?: Array}} relation
+   * @returns {Array<{jd: Array<Set<string>>, missing: Set<string>}>}
+   */
+  function findUncoveredJoinDependencies(relation) {
+    return (relation.jds || [])
+      .map((jd) => {
+        const covered = new Set(jd.flatMap((component) => [...component]));
+        return {
+          jd,
+          missing: new Set(
+            [...relation.attributes].filter((attr) => !covered.has(attr))
+          ),
+        };
+      })
+      .filter(({ missing }) => missing.size > 0);
+  }
+
+  /**
+   * Tests whether the candidate keys imply a join dependency, by chasing the JD's
+   * tableau (one row per component, distinguished on its attributes) with the key
+   * dependencies K → R. Two rows that agree on a key are equated in every column,
+   * i.e. merged into one row distinguished on both components; the keys imply the
+   * JD exactly when some row ends up distinguished everywhere (Fagin).
+   * @param {Array<Set<string>>} jd
+   * @param {Set<string>} attributes - Attributes of R.
+   * @param {Array<Set<string>>} candidateKeys
+   * @param {Array<object>} [trace] - Explain mode: receives a {description} entry per merge
+   *   and one for the verdict.
+   * @returns {boolean}
+   */
+  function isJoinDependencyImpliedByKeys(
+    jd,
+    attributes,
+    candidateKeys,
+    trace = null
+  ) {
+    const record = (description) => trace && trace.push({ description });
+    const rows = jd.map((component) => new Set(component));
+    const findMerge = () => {
+      for (let i = 0; i < rows.length; i++) {
+        for (let j = i + 1; j < rows.length; j++) {
+          const key = candidateKeys.find(
+            (k) => isSuperset(rows[i], k) && isSuperset(rows[j], k)
+          );
+          if (key) return { i, j, key };
+        }
+      }
+      return null;
+    };
+
+    let merge;
+    while (
+      !rows.some((row) => isSuperset(row, attributes)) &&
+      (merge = findMerge())
+    ) {
+      const { i, j, key } = merge;
+      const merged = new Set([...rows[i], ...rows[j]]);
+      record(
+        `Rows for {${setToSortedString(rows[i])}} and {${setToSortedString(
+          rows[j]
+        )}} agree on key {${setToSortedString(
+          key
+        )}}: equate them into one row distinguished on {${setToSortedString(
+          merged
+        )}}`
+      );
+      rows.splice(j, 1);
+      rows[i] = merged;
+    }
+
+    const implied = rows.some((row) => isSuperset(row, attributes));
+    record(
+      implied
+        ? "A row is distinguished in every column: the keys imply the join dependency"
+        : "No two remaining rows agree on a key and none is distinguished everywhere: the keys do not imply the join dependency"
+    );
+    return implied;
+  }
+
+  /**
+   * Suggests a 5NF decomposition. When a join dependency is not implied by the keys,
+   * R is split into that JD's components (lossless by the JD itself) and each component
+   * is brought into 4NF under the projected FDs and MVDs; other JDs span several of the
+   * new relations and are not applied again. Without such a JD this is the 4NF
+   * decomposition (see calculate4NFDecomposition).
+   * @param {{attributes: Set<string>, fds: Array, mvds?: Array, jds?: Array}} relation
+   * @param {Array<Set<string>>} candidateKeys
+   * @param {Array<object>} [trace] - Explain mode: receives the key chase of every JD
+   *   (as sub-steps) followed by the 4NF splits.
+   * @param {Array<Set<string>>} [unverified] - Receives the schemas kept without a
+   *   complete search for 4NF violations (see find4NFViolation).
+   * @returns {Array<Set<string>>} - Array of relation schemas (Sets of attributes).
+   */
+  function calculate5NFDecomposition(
+    relation,
+    candidateKeys,
+    trace = null,
+    unverified = null
+  ) {
+    const { attributes } = relation;
+    let violating = null;
+    for (const jd of relation.jds || []) {
+      if (isTrivialJD(jd, attributes)) continue;
+      const steps = [];
+      const implied = isJoinDependencyImpliedByKeys(
+        jd,
+        attributes,
+        candidateKeys,
+        steps
+      );
+      if (trace) {
+        trace.push({
+          description: `Chase ${jdToString(jd)} with the candidate keys`,
+          steps,
+        });
+      }
+      if (!implied) {
+        violating = jd;
+        break;
+      }
+    }
+    if (!violating) {
+      return calculate4NFDecomposition(relation, trace, null, unverified);
+    }
+
+    if (trace) {
+      trace.push({
+        description: `Split R(${setToSortedString(
+          attributes
+        )}) into the components of ${jdToString(violating)}`,
+      });
+    }
+    return calculate4NFDecomposition(relation, trace, violating, unverified);
+  }
+
+  /**
+   * Lists the 1NF violations of a relation, one per non-atomic attribute.
+   * @param {{attributeTypes?: Map}} relation
+   * @returns {string[]} - e.g. "Address is composite (City, Street)".
+   */
+  function describeNonAtomicAttributes(relation) {
+    if (!hasNonAtomicAttributes(relation)) return [];
+    return Array.from(relation.attributeTypes.keys())
+      .sort()
+      .map((name) => {
+        const { components, multivalued } = relation.attributeTypes.get(name);
+        const kinds = [];
+        if (components.length > 0) {
+          kinds.push(`composite (${components.join(", ")})`);
+        }
+        if (multivalued) kinds.push("multivalued");
+        return `${name} is ${kinds.join(" and ")}`;
+      });
+  }
+
+  /**
+   * Transforms a relation with non-atomic attributes into 1NF:
+   * 1. composite attributes are replaced by their components, in the attribute
+   *    set and in every FD that mentions them;
+   * 2. each multivalued attribute moves to its own relation together with a
+   *    candidate key of the remaining relation (its own key then follows from the
+   *    FDs kept inside it, and is all of its attributes when there are none).
+   * FDs are kept in every relation that contains all of their attributes; FDs that
+   * fit in none (e.g. key → multivalued attribute) are reported as dropped.
+   * @param {{attributes: Set<string>, fds: Array, attributeTypes?: Map}} relation
+   * @returns {{
+   *   relation: {attributes: Set<string>, fds: Array},
+   *   relations: Array<{name: string, attributes: Set<string>, fds: Array}>,
+   *   droppedFDs: Array<{lhs: Set<string>, rhs: Set<string>}>,
+   *   steps: Array<{description: string}>
+   * }} - relation is the flattened main relation; relations are the extracted multivalued ones.
+   */
+  function transformTo1NF(relation) {
+    const types = relation.attributeTypes || new Map();
+    const steps = [];
+    const expand = (attrs) => {
+      const expanded = new Set();
+      attrs.forEach((attr) => {
+        const type = types.get(attr);
+        if (type && type.components.length > 0) {
+          type.components.forEach((component) => expanded.add(component));
+        } else {
+          expanded.add(attr);
+        }
+      });
+      return expanded;
+    };
+
+    // Step 1: Flatten composite attributes
+    Array.from(types.keys())
+      .sort()
+      .forEach((name) => {
+        const { components } = types.get(name);
+        if (components.length > 0 && relation.attributes.has(name)) {
+          steps.push({
+            description: `Flatten composite ${name} into ${components.join(
+              ", "
+            )}`,
+          });
+        }
+      });
+    const attributes = expand(relation.attributes);
+    const fds = relation.fds.map((fd) => ({
+      lhs: expand(fd.lhs),
+      rhs: expand(fd.rhs),
+    }));
+    const mvds = (relation.mvds || []).map((mvd) => ({
+      lhs: expand(mvd.lhs),
+      rhs: expand(mvd.rhs),
+    }));
+    const jds = (relation.jds || []).map((jd) => jd.map(expand));
+
+    // Step 2: Move multivalued attributes into relations of their own
+    const multivalued = Array.from(types.keys())
+      .sort()
+      .filter(
+        (name) => types.get(name).multivalued && relation.attributes.has(name)
+      );
+    const groups = multivalued.map((name) => expand(new Set([name])));
+    const multivaluedAttributes = new Set(
+      groups.flatMap((group) => [...group])
+    );
+    const mainAttributes = new Set(
+      [...attributes].filter((attr) => !multivaluedAttributes.has(attr))
+    );
+
+    // A multivalued attribute holds a set of values, so attributes outside it never
+    // determine it; only dependencies among its own components are kept
+    const droppedFDs = [];
+    const usableFDs = [];
+    fds.forEach((fd) => {
+      const rhs = new Set(fd.rhs);
+      groups.forEach((group) => {
+        if ([...fd.lhs].some((attr) => group.has(attr))) return;
+        group.forEach((attr) => rhs.delete(attr));
+      });
+      const removed = new Set([...fd.rhs].filter((attr) => !rhs.has(attr)));
+      if (removed.size > 0) {
+        const droppedFD = { lhs: fd.lhs, rhs: removed };
+        droppedFDs.push(droppedFD);
+        steps.push({
+          description: `Drop ${fdToString(
+            droppedFD
+          )}: a multivalued attribute is not functionally determined`,
+        });
+      }
+      if (rhs.size > 0) usableFDs.push({ lhs: fd.lhs, rhs });
+    });
+
+    const kept = new Set();
+    const fdsInside = (schema) =>
+      usableFDs.filter((fd, i) => {
+        if (!isSuperset(schema, getFDAttributes(fd))) return false;
+        kept.add(i);
+        return true;
+      });
+    const main = createRelation(
+      mainAttributes,
+      fdsInside(mainAttributes),
+      null,
+      mvds.filter((mvd) => {
+        if (isSuperset(mainAttributes, getFDAttributes(mvd))) return true;
+        steps.push({
+          description: `Drop ${mvdToString(
+            mvd
+          )}: it involves an attribute moved out of the relation`,
+        });
+        return false;
+      }),
+      jds.filter((jd) => {
+        if (jd.every((component) => isSuperset(mainAttributes, component))) {
+          return true;
+        }
+        steps.push({
+          description: `Drop ${jdToString(
+            jd
+          )}: it involves an attribute moved out of the relation`,
+        });
+        return false;
+      })
+    );
+    const key =
+      mainAttributes.size > 0 ? findCandidateKeys(main)[0] : new Set();
+
+    const relations = multivalued.map((name, index) => {
+      const schema = new Set([...key, ...groups[index]]);
+      const extracted = { name, ...createRelation(schema, fdsInside(schema)) };
+      steps.push({
+        description: `Move multivalued ${name} into R_${name}(${setToSortedString(
+          schema
+        )}) with key {${setToSortedString(
+          findCandidateKeys(extracted)[0]
+        )}}, linked by {${setToSortedString(key)}}`,
+      });
+      return extracted;
+    });
+
+    usableFDs
+      .filter((_, i) => !kept.has(i))
+      .forEach((fd) => {
+        droppedFDs.push(fd);
+        steps.push({
+          description: `Drop ${fdToString(
+            fd
+          )}: no 1NF relation contains all of its attributes`,
+        });
+      });
+    return { relation: main, relations, droppedFDs, steps };
+  }
+
+  /**
+   * Reports the highest normal form confirmed by checkNormalForms.
+   * "UNF" (unnormalized) means the relation has non-atomic attributes; "4NF" is only
+   * reported for relations with MVDs and "5NF" for relations with JDs.
+   * @param {{isBCNF: boolean, isEKNF?: boolean, is3NF: boolean, is2NF: boolean, is1NF?: boolean, is4NF?: boolean|null, is5NF?: boolean|null}} normalForms
+   * @returns {"5NF"|"4NF"|"BCNF"|"EKNF"|"3NF"|"2NF"|"1NF"|"UNF"}
+   */
+  function getHighestNormalForm(normalForms) {
+    if (normalForms.is1NF === false) return "UNF";
+    if (normalForms.is5NF) return "5NF";
+    if (normalForms.is4NF) return "4NF";
+    if (normalForms.isBCNF) return "BCNF";
+    if (normalForms.isEKNF) return "EKNF";
+    if (normalForms.is3NF) return "3NF";
+    if (normalForms.is2NF) return "2NF";
+    return "1NF";
+  }
+
+  const NORMAL_FORM_LADDER = [
+    ["1NF", "is1NF", "Every attribute is atomic."],
+    [
+      "2NF",
+      "is2NF",
+      "No non-prime attribute depends on a proper subset of a candidate key.",
+    ],
+    [
+      "3NF",
+      "is3NF",
+      "Every non-trivial FD X → A has a superkey X or a prime attribute A.",
+    ],
+    [
+      "EKNF",
+      "isEKNF",
+      "Every non-trivial FD X → A has a superkey X or an attribute A of an elementary key.",
+    ],
+    ["BCNF", "isBCNF", "Every non-trivial FD X → A has a superkey X."],
+    ["4NF", "is4NF", "Every non-trivial MVD X ↠ Y has a superkey X."],
+    ["5NF", "is5NF", "Every join dependency is implied by the candidate keys."],
+  ];
+
+  /**
+   * Lays out the normal forms from 1NF up to 5NF, each with whether it holds and why:
+   * the rule it satisfies, or the dependencies that break it. 4NF and 5NF hold null
+   * when the relation declares no MVDs or JDs, since they are not decided then. The
+   * EKNF rung also lists the elementary keys and, when the search is small enough,
+   * every elementary FD (see findElementaryFDs).
+   * @param {{attributes: Set<string>, fds: Array}} relation
+   * @param {Array<Set<string>>} candidateKeys
+   * @param {object} normalForms - Result of checkNormalForms.
+   * @returns {Array<{form: string, holds: boolean|null, evidence: string[], elementaryKeys?: Array<Set<string>>, elementaryFDs?: Array<object>|null}>}
+   */
+  function buildNormalFormLadder(relation, candidateKeys, normalForms) {
+    let firstBroken = null;
+    return NORMAL_FORM_LADDER.map(([form, flag, rule]) => {
+      const holds = normalForms[flag];
+      const rung = { form, holds, evidence: [] };
+      if (holds === null) {
+        rung.evidence.push(
+          form === "4NF"
+            ? "No multivalued dependencies were given (with FDs alone 4NF coincides with BCNF)."
+            : "No join dependencies were given."
+        );
+      } else if (holds) {
+        rung.evidence.push(rule);
+      } else if (normalForms.violations[form].length > 0) {
+        rung.evidence.push(
+          `Broken by ${normalForms.violations[form].join(", ")}.`
+        );
+      } else if (firstBroken) {
+        rung.evidence.push(
+          `Not reached: the relation is not in ${firstBroken}.`
+        );
+      } else {
+        rung.evidence.push("Cannot be confirmed without candidate keys.");
+      }
+      if (holds === false && !firstBroken) firstBroken = form;
+
+      if (form === "EKNF" && normalForms.is1NF) {
+        rung.elementaryKeys = findElementaryKeys(relation, candidateKeys);
+        rung.evidence.push(
+          `Elementary keys: ${
+            rung.elementaryKeys
+              .map((key) => `{${setToSortedString(key)}}`)
+              .join(", ") || "none"
+          }.`
+        );
+        // Every violating FD shrinks to an elementary one with the same fault
+        normalForms.classified
+          .filter((violation) => violation.violates.includes("EKNF"))
+          .forEach(({ fd }) =>
+            [...fd.rhs]
+              .filter(
+                (attr) => !rung.elementaryKeys.some((key) => key.has(attr))
+              )
+              .forEach((attr) => {
+                const elementary = reduceToElementaryFD(
+                  fd.lhs,
+                  attr,
+                  relation.fds
+                );
+                rung.evidence.push(
+                  `${fdToString(
+                    elementary
+                  )} is elementary, {${setToSortedString(
+                    elementary.lhs
+                  )}} is not a superkey and ${attr} is in no elementary key.`
+                );
+              })
+          );
+        rung.elementaryFDs = findElementaryFDs(relation);
+      }
+      return rung;
+    });
+  }
+
+  // --- Parsing ---
+
+  /**
+   * Splits text on commas that are not inside parentheses or braces.
+   * @param {string} text
+   * @returns {string[]}
+   */
+  function splitTopLevel(text) {
+    const parts = [];
+    let depth = 0;
+    let current = "";
+    for (const char of text) {
+      if (char === "(" || char === "{") depth++;
+      if (char === ")" || char === "}") depth--;
+      if (char === "," && depth === 0) {
+        parts.push(current);
+        current = "";
+      } else {
+        current += char;
+      }
+    }
+    parts.push(current);
+    return parts.map((part) => part.trim()).filter((part) => part);
+  }
+
+  /**
+   * Parses the attribute list with optional types:
+   *   StudentId, Address(Street, City, Zip), PhoneNumbers[], Courses(Code, Title)[]
+   * "Name(A, B)" declares a composite attribute with sub-attributes A and B,
+   * a trailing "[]" declares a multivalued attribute; plain names are atomic.
+   * @param {string} text
+   * @returns {{attributes: Set<string>, attributeTypes: Map<string, {components: string[], multivalued: boolean}>, errors: string[]}}
+   */
+  function parseAttributeDeclarations(text) {
+    const attributes = new Set();
+    const attributeTypes = new Map();
+    const errors = [];
+
+    splitTopLevel(text).forEach((item) => {
+      const match = item.match(/^([^()[\],]+?)\s*(?:\(([^()]*)\))?\s*(\[\])?$/);
+      if (!match) {
+        errors.push(`Cannot read attribute "${item}".`);
+        return;
+      }
+      const name = match[1].trim();
+      const components =
+        match[2] === undefined ? [] : Array.from(parseAttributes(match[2]));
+      if (match[2] !== undefined && components.length === 0) {
+        errors.push(
+          `Composite attribute ${name} needs at least one sub-attribute.`
+        );
+        return;
+      }
+      attributes.add(name);
+      if (components.length > 0 || match[3]) {
+        attributeTypes.set(name, {
+          components,
+          multivalued: Boolean(match[3]),
+        });
+      }
+    });
+    return { attributes, attributeTypes, errors };
+  }
+
+  /**
+   * Writes attributes back in the notation read by parseAttributeDeclarations.
+   * @param {Set<string>} attributes
+   * @param {Map<string, {components: string[], multivalued: boolean}>} [attributeTypes]
+   * @returns {string}
+   */
+  function formatAttributeDeclarations(attributes, attributeTypes = new Map()) {
+    return Array.from(attributes)
+      .sort()
+      .map((name) => {
+        const type = attributeTypes.get(name);
+        if (!type) return name;
+        const components =
+          type.components.length > 0 ? `(${type.components.join(", ")})` : "";
+        return `${name}${components}${type.multivalued ? "[]" : ""}`;
+      })
+      .join(", ");
+  }
+
+  const FD_ARROW_PATTERN = /->|→|=>/;
+  const MVD_ARROW_PATTERN = /->>|↠|=>>/;
+  const JD_PATTERN = /^\*\s*\((.*)\)$/;
+
+  /**
+   * Parses one side of an FD written in any of the common notations:
+   * "A, B", "A B", "{A,B}" or the textbook shorthand "AB" (read as A and B).
+   * A run of capital letters is only split into single letters when it is not
+   * itself a known attribute name and every letter is one; otherwise it is one
+   * attribute. Without any known attributes it cannot be told apart ("AB" or "ID").
+   * @param {string} side
+   * @param {Set<string>} knownAttributes
+   * @returns {Set<string>}
+   * @throws {Error} If a run of capital letters is ambiguous.
+   */
+  function parseFDSide(side, knownAttributes) {
+    const tokens = side
+      .trim()
+      .replace(/^\{(.*)\}$/, "$1")
+      .split(/[\s,]+/)
+      .filter((token) => token);
+
+    const attributes = new Set();
+    tokens.forEach((token) => {
+      const letters = token.split("");
+      if (
+        tokens.length !== 1 ||
+        !/^[A-Z]{2,}$/.test(token) ||
+        knownAttributes.has(token)
+      ) {
+        attributes.add(token);
+      } else if (knownAttributes.size === 0) {
+        throw new Error(
+          `"${token}" could be one attribute or the attributes ${letters.join(
+            ", "
+          )}; declare the attributes first or separate them with commas`
+        );
+      } else if (letters.every((letter) => knownAttributes.has(letter))) {
+        letters.forEach((letter) => attributes.add(letter));
+      } else {
+        attributes.add(token);
+      }
+    });
+    return attributes;
+  }
+
+  /**
+   * Parses a block of FDs, one per line or separated by semicolons.
+   * Accepts "AB -> C", "A,B → C", "{A,B}->{C,D}" and "A B => C". Text after "#" is ignored.
+   * Multivalued dependencies are written with a double arrow: "C ->> T", "C ↠ T" or "C =>> T".
+   * Join dependencies list their components inside "*( )": "*(SP, PJ, SJ)",
+   * "*({S, P}, {P, J}, {S, J})" or "*(R1(S, P), R2(P, J), R3(S, J))".
+   * @param {string} text
+   * @param {Set<string>} [knownAttributes] - Declared attribute names (never split as shorthand).
+   * @returns {{fds: Array<{lhs: Set<string>, rhs: Set<string>, line: number}>, mvds: Array<{lhs: Set<string>, rhs: Set<string>, line: number}>, jds: Array<{components: Array<Set<string>>, line: number}>, errors: Array<{line: number, message: string}>}}
+   */
+  function parseFDText(text, knownAttributes = new Set()) {
+    const fds = [];
+    const mvds = [];
+    const jds = [];
+    const errors = [];
+
+    /**
+     * Parses one FD, MVD or JD statement into the lists above.
+     * @param {string} statement
+     * @param {number} line
+     */
+    function parseStatement(statement, line) {
+      const jdMatch = statement.match(JD_PATTERN);
+      if (jdMatch) {
+        const components = splitTopLevel(jdMatch[1]).map((item) => {
+          const named = item.match(/^[\w$]+\s*\(([^()]*)\)$/);
+          return parseFDSide(named ? named[1] : item, knownAttributes);
+        });
+        const invalid = components.some(
+          (component) =>
+            component.size === 0 || /[(){}]/.test([...component].join(""))
+        );
+        if (invalid || components.length < 2) {
+          errors.push({
+            line,
+            message: `Expected a join dependency such as "*(AB, BC)" with at least two components, got "${statement}"`,
+          });
+          return;
+        }
+        jds.push({ components, line });
+        return;
+      }
+      const isMVD = MVD_ARROW_PATTERN.test(statement);
+      const parts = statement.split(
+        isMVD ? MVD_ARROW_PATTERN : FD_ARROW_PATTERN
+      );
+      if (
+        parts.length !== 2 ||
+        parts.some((side) => FD_ARROW_PATTERN.test(side))
+      ) {
+        errors.push({
+          line,
+          message: `Expected "LHS -> RHS" or "LHS ->> RHS", got "${statement}"`,
+        });
+        return;
+      }
+      // Braces may only wrap a whole side, e.g. "{A,B}"
+      const hasStrayBraces = parts.some((side) =>
+        /[{}]/.test(side.trim().replace(/^\{[^{}]*\}$/, ""))
+      );
+      if (hasStrayBraces) {
+        errors.push({
+          line,
+          message: `Unbalanced braces in "${statement}"`,
+        });
+        return;
+      }
+      const lhs = parseFDSide(parts[0], knownAttributes);
+      const rhs = parseFDSide(parts[1], knownAttributes);
+      if (lhs.size === 0 || rhs.size === 0) {
+        errors.push({
+          line,
+          message: "LHS and RHS must contain valid attributes.",
+        });
+        return;
+      }
+      (isMVD ? mvds : fds).push({ lhs, rhs, line });
+    }
+
+    text.split(/\r?\n/).forEach((rawLine, index) => {
+      const line = index + 1;
+      rawLine
+        .replace(/#.*$/, "")
+        .split(";")
+        .map((statement) => statement.trim())
+        .filter((statement) => statement)
+        .forEach((statement) => {
+          try {
+            parseStatement(statement, line);
+          } catch (error) {
+            errors.push({ line, message: error.message });
+          }
+        });
+    });
+
+    return { fds, mvds, jds, errors };
+  }
+
+  /**
+   * Parses a user-entered decomposition, one relation per line or separated by
+   * semicolons. Accepts "R1(A, B, C)", "{A, B}", "A, B" and the shorthand "AB".
+   * @param {string} text
+   * @param {Set<string>} [knownAttributes] - Declared attribute names (never split as shorthand).
+   * @returns {{schemas: Array<Set<string>>, errors: Array<{line: number, message: string}>}}
+   */
+  function parseDecompositionText(text, knownAttributes = new Set()) {
+    const schemas = [];
+    const errors = [];
+
+    text.split(/\r?\n/).forEach((rawLine, index) => {
+      rawLine
+        .split(";")
+        .map((statement) => statement.trim())
+        .filter((statement) => statement)
+        .forEach((statement) => {
+          // Strip an optional relation name: "R1(A, B)" -> "A, B"
+          const named = statement.match(/^[\w$]+\s*\(([^()]*)\)$/);
+          let schema;
+          try {
+            schema = parseFDSide(named ? named[1] : statement, knownAttributes);
+          } catch (error) {
+            errors.push({ line: index + 1, message: error.message });
+            return;
+          }
+          if (schema.size === 0 || /[(){}]/.test([...schema].join(""))) {
+            errors.push({
+              line: index + 1,
+              message: `Expected a relation such as "R1(A, B)", got "${statement}"`,
+            });
+            return;
+          }
+          schemas.push(schema);
+        });
+    });
+
+    return { schemas, errors };
+  }
+
+  /**
+   * Parses a plain-text schema description:
+   *
+   *   # comment
+   *   attributes: A, B, C, D
+   *   A, B -> C
+   *   C -> D
+   *
+   * The attributes line is optional (attributes used in FDs are always included)
+   * and may declare composite and multivalued attributes (see parseAttributeDeclarations).
+   * FD, MVD and JD lines accept every notation understood by parseFDText. A join
+   * dependency whose components leave out an attribute of the relation is an error.
+   * @param {string} text
+   * @returns {{relation: {attributes: Set<string>, fds: Array}, errors: Array<{line: number, message: string}>}}
+   */
+  function parseSchemaText(text) {
+    const attributes = new Set();
+    const attributeTypes = new Map();
+    const declarationErrors = [];
+
+    // Pull out the attribute declarations first, keeping line numbers intact
+    const fdLines = text.split(/\r?\n/).map((rawLine, index) => {
+      const match = rawLine.match(/^\s*attributes\s*:([^#]*)/i);
+      if (!match) return rawLine;
+      const declared = parseAttributeDeclarations(match[1]);
+      declared.attributes.forEach((attr) => attributes.add(attr));
+      declared.attributeTypes.forEach((type, name) =>
+        attributeTypes.set(name, type)
+      );
+      declared.errors.forEach((message) =>
+        declarationErrors.push({ line: index + 1, message })
+      );
+      return "";
+    });
+
+    const { fds, mvds, jds, errors } = parseFDText(
+      fdLines.join("\n"),
+      attributes
+    );
+    const withoutLine = ({ lhs, rhs }) => ({ lhs, rhs });
+    const relation = createRelation(
+      attributes,
+      fds.map(withoutLine),
+      attributeTypes,
+      mvds.map(withoutLine),
+      jds.map((jd) => jd.components)
+    );
+    findUncoveredJoinDependencies(relation).forEach(({ jd, missing }) => {
+      const { line } = jds[relation.jds.indexOf(jd)];
+      errors.push({
+        line,
+        message: `${jdToString(jd)} leaves out ${setToSortedString(
+          missing
+        )}; the components must cover every attribute.`,
+      });
+    });
+    return {
+      relation,
+      errors: declarationErrors.concat(errors).sort((a, b) => a.line - b.line),
+    };
+  }
+
+  // --- Full Analysis ---
+
+  /**
+   * Runs the complete analysis performed by the page's "Calculate All" button.
+   * Decompositions are only computed for the forms the relation does not already satisfy.
+   * A schema of the BCNF, 4NF or 5NF decomposition whose violation search gave up (see
+   * findBCNFViolation) is kept as it is and listed under analysis.unverified.
+   * A relation with non-atomic attributes is first transformed with transformTo1NF; the
+   * rest of the analysis is about the resulting 1NF relation (analysis.firstNormalForm.relation).
+   * @param {{attributes: Set<string>, fds: Array, attributeTypes?: Map}} relation
+   * @param {Array<Set<string>>} [candidateKeys] - Keys found beforehand (e.g. by the key worker),
+   *   of the 1NF relation when a transformation is needed.
+   * @param {{explain?: boolean}} [options] - With explain, the result also holds derivation
+   *   traces (see explainCandidateKeys, calculateMinimalCover and the decompositions).
+   * @returns {{
+   *   closureOfAll: Set<string>,
+   *   candidateKeys: Array<Set<string>>,
+   *   normalForms: object|null,
+   *   ladder?: Array<object>,
+   *   minimalCover: Array<{lhs: Set<string>, rhs: Set<string>}>,
+   *   decompositions: {"5NF"?: Array<Set<string>>, "4NF"?: Array<Set<string>>, BCNF?: Array<Set<string>>, "3NF"?: Array<Set<string>>, "2NF"?: Array<Set<string>>},
+   *   unverified?: {"5NF"?: Array<Set<string>>, "4NF"?: Array<Set<string>>, BCNF?: Array<Set<string>>},
+   *   traces?: {candidateKeys: Array<object>, minimalCover: Array<object>, "5NF"?: Array<object>, "4NF"?: Array<object>, BCNF?: Array<object>, "3NF"?: Array<object>},
+   *   firstNormalForm?: {violations: string[], relation: object, relations: Array<object>, droppedFDs: Array<object>, steps: Array<object>}
+   * }}
+   */
+  function analyzeRelation(relation, candidateKeys = null, options = {}) {
+    let firstNormalForm = null;
+    if (hasNonAtomicAttributes(relation)) {
+      firstNormalForm = {
+        violations: describeNonAtomicAttributes(relation),
+        ...transformTo1NF(relation),
+      };
+      relation = firstNormalForm.relation;
+    }
+    if (!candidateKeys) candidateKeys = findCandidateKeys(relation);
+
+    const traces = options.explain
+      ? {
+          candidateKeys: explainCandidateKeys(relation, candidateKeys),
+          minimalCover: [],
+        }
+      : null;
+    const analysis = {
+      closureOfAll: calculateClosure(relation.attributes, relation.fds),
+      candidateKeys,
+      normalForms: null,
+      minimalCover: calculateMinimalCover(
+        relation.fds,
+        traces && traces.minimalCover
+      ),
+      decompositions: {},
+    };
+    if (traces) analysis.traces = traces;
+    if (firstNormalForm) analysis.firstNormalForm = firstNormalForm;
+
+    if (candidateKeys.length === 0) return analysis;
+
+    const unverified = { "5NF": [], "4NF": [], BCNF: [] };
+
+    const normalForms = checkNormalForms(relation, candidateKeys);
+    analysis.normalForms = normalForms;
+    analysis.ladder = buildNormalFormLadder(
+      relation,
+      candidateKeys,
+      normalForms
+    );
+    if (!normalForms.isBCNF) {
+      if (traces) {
+        traces.BCNF = [];
+        traces["3NF"] = [];
+      }
+      analysis.decompositions.BCNF = calculateBCNFDecomposition(
+        relation,
+        traces && traces.BCNF,
+        unverified.BCNF
+      );
+      analysis.decompositions["3NF"] = calculate3NFDecomposition(
+        relation,
+        candidateKeys,
+        traces && traces["3NF"]
+      );
+    }
+    if (!normalForms.is2NF) {
+      analysis.decompositions["2NF"] = calculate2NFDecomposition(
+        relation,
+        candidateKeys
+      );
+    }
+    if (normalForms.is4NF === false) {
+      if (traces) traces["4NF"] = [];
+      analysis.decompositions["4NF"] = calculate4NFDecomposition(
+        relation,
+        traces && traces["4NF"],
+        null,
+        unverified["4NF"]
+      );
+    }
+    if (normalForms.is5NF === false) {
+      if (traces) traces["5NF"] = [];
+      analysis.decompositions["5NF"] = calculate5NFDecomposition(
+        relation,
+        candidateKeys,
+        traces && traces["5NF"],
+        unverified["5NF"]
+      );
+    }
+    Object.keys(unverified).forEach((form) => {
+      if (unverified[form].length === 0) delete unverified[form];
+    });
+    if (Object.keys(unverified).length > 0) analysis.unverified = unverified;
+    return analysis;
+  }
+
+  return {
+    // Helpers
+    isSuperset,
+    isProperSuperset,
+    setsAreEqual,
+    parseAttributes,
+    setToSortedString,
+    getFDAttributes,
+    fdToString,
+    mvdToString,
+    jdToString,
+    createRelation,
+    hasNonAtomicAttributes,
+    hasMultivaluedDependencies,
+    hasJoinDependencies,
+    parseAttributeDeclarations,
+    formatAttributeDeclarations,
+    parseFDText,
+    parseDecompositionText,
+    parseSchemaText,
+    // Core algorithms
+    calculateClosure,
+    generateSubsets,
+    calculateAllSubsetClosures,
+    classifyKeyAttributes,
+    findCandidateKeys,
+    explainCandidateKeys,
+    findProjectedCandidateKeys,
+    getPrimeAttributes,
+    findElementaryKeys,
+    findElementaryFDs,
+    classifyViolations,
+    checkNormalForms,
+    buildNormalFormLadder,
+    calculate2NFDecomposition,
+    calculateMinimalCover,
+    enumerateMinimalCovers,
+    diffDecompositions,
+    calculate3NFDecomposition,
+    findBCNFViolation,
+    calculateBCNFDecomposition,
+    calculateProjectedClosure,
+    checkDependencyPreservation,
+    impliesFD,
+    compareFDSets,
+    complementMVD,
+    isTrivialMVD,
+    calculateDependencyBasis,
+    impliesMVD,
+    calculateClosureWithMVDs,
+    find4NFViolation,
+    calculate4NFDecomposition,
+    isTrivialJD,
+    findUncoveredJoinDependencies,
+    isJoinDependencyImpliedByKeys,
+    calculate5NFDecomposition,
+    describeNonAtomicAttributes,
+    transformTo1NF,
+    getHighestNormalForm,
+    analyzeRelation,
+  };
+});
@@ -0,0 +1,24 @@
+-- Example DDL for the command-line tool and the "Import SQL DDL" panel
+CREATE TABLE customers (
+  customer_id INTEGER PRIMARY KEY,
+  email VARCHAR(255) NOT NULL UNIQUE,
+  name TEXT NOT NULL,
+  city TEXT,
+  city_zip VARCHAR(10)
+);
+
+CREATE TABLE orders (
+  order_id INTEGER PRIMARY KEY,
+  customer_id INTEGER NOT NULL REFERENCES customers (customer_id),
+  placed_at TIMESTAMP NOT NULL
+);
+
+CREATE TABLE line_items (
+  order_id INTEGER NOT NULL,
+  line_no INTEGER NOT NULL,
+  product_code VARCHAR(20) NOT NULL,
+  product_name TEXT,
+  quantity INTEGER NOT NULL,
+  PRIMARY KEY (order_id, line_no),
+  FOREIGN KEY (order_id) REFERENCES orders (order_id)
+);
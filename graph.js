@@ -0,0 +1,240 @@
+/**
+ * Dependency graph
+ *
+ * Lays out a relation's FDs as a directed hypergraph and renders it as SVG.
+ * Attributes are nodes arranged in columns: the first candidate key on the left,
+ * then each attribute in the column of the closure step that first reaches it.
+ * Every FD X → Y is a junction dot with a line from each attribute of X and an
+ * arrow to each attribute of Y. Nodes are marked as key, prime or non-prime and
+ * edges can carry the type of the normal-form violation they cause.
+ *
+ * Browser: loaded via <script src="graph.js"> after engine.js, exposed as `DependencyGraph`.
+ * Node:    const graph = require("./graph.js");
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./engine.js"));
+  } else {
+    root.DependencyGraph = factory(root.NormalizationEngine);
+  }
+})(typeof self !== "undefined" ? self : this, function (engine) {
+  "use strict";
+
+  const { getPrimeAttributes, isSuperset, fdToString } = engine;
+
+  const COLUMN_WIDTH = 170;
+  const ROW_HEIGHT = 56;
+  const NODE_HEIGHT = 28;
+  const CHAR_WIDTH = 8;
+  const MARGIN = 30;
+  const JUNCTION_SPACING = 14;
+
+  /**
+   * Escapes text for SVG markup.
+   * @param {string} text
+   * @returns {string}
+   */
+  function escapeXML(text) {
+    return String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+
+  /**
+   * Assigns every attribute a column: 0 for the key, then the round of the closure
+   * computation from the key in which the attribute is first derived.
+   * @param {{attributes: Set<string>, fds: Array}} relation
+   * @param {Set<string>} key
+   * @returns {Map<string, number>}
+   */
+  function assignColumns(relation, key) {
+    const columns = new Map();
+    key.forEach((attr) => columns.set(attr, 0));
+    for (let round = 1; ; round++) {
+      const reached = new Set(columns.keys());
+      const found = [];
+      relation.fds.forEach((fd) => {
+        if (!isSuperset(reached, fd.lhs)) return;
+        fd.rhs.forEach((attr) => {
+          if (!columns.has(attr) && !found.includes(attr)) found.push(attr);
+        });
+      });
+      if (found.length === 0) break;
+      found.forEach((attr) => columns.set(attr, round));
+    }
+    // Attributes the key does not reach (no key given) go in a last column
+    const last =
+      columns.size > 0 ? Math.max(...Array.from(columns.values())) + 1 : 0;
+    relation.attributes.forEach((attr) => {
+      if (!columns.has(attr)) columns.set(attr, last);
+    });
+    return columns;
+  }
+
+  /**
+   * Computes positions for the attribute nodes and FD junctions.
+   * @param {{attributes: Set<string>, fds: Array}} relation
+   * @param {Array<Set<string>>} candidateKeys
+   * @param {Array<object>} [violations] - classifyViolations output; FDs with a
+   *   violation on the same LHS and an RHS overlapping it get its type.
+   * @returns {{
+   *   width: number,
+   *   height: number,
+   *   nodes: Array<{attribute: string, kind: "key"|"prime"|"non-prime", x: number, y: number, width: number}>,
+   *   edges: Array<{index: number, fd: {lhs: Set<string>, rhs: Set<string>}, junction: {x: number, y: number}, violation: string|null}>
+   * }} - x and y are node and junction centres; edges follow relation.fds by index.
+   */
+  function layoutDependencyGraph(relation, candidateKeys, violations = []) {
+    const key = candidateKeys[0] || new Set();
+    const prime = getPrimeAttributes(candidateKeys);
+    const columns = assignColumns(relation, key);
+
+    const byColumn = new Map();
+    Array.from(relation.attributes)
+      .sort()
+      .forEach((attr) => {
+        const column = columns.get(attr);
+        if (!byColumn.has(column)) byColumn.set(column, []);
+        byColumn.get(column).push(attr);
+      });
+    const tallest = Math.max(
+      1,
+      ...Array.from(byColumn.values(), (attrs) => attrs.length)
+    );
+    const height = MARGIN * 2 + tallest * ROW_HEIGHT;
+
+    const nodes = [];
+    const positions = new Map();
+    byColumn.forEach((attrs, column) => {
+      // Center each column vertically
+      const top = (height - attrs.length * ROW_HEIGHT) / 2;
+      attrs.forEach((attr, row) => {
+        const node = {
+          attribute: attr,
+          kind: key.has(attr) ? "key" : prime.has(attr) ? "prime" : "non-prime",
+          x: MARGIN + COLUMN_WIDTH / 2 + column * COLUMN_WIDTH,
+          y: top + ROW_HEIGHT / 2 + row * ROW_HEIGHT,
+          width: Math.max(40, attr.length * CHAR_WIDTH + 20),
+        };
+        nodes.push(node);
+        positions.set(attr, node);
+      });
+    });
+
+    const meanY = (attrs) =>
+      Array.from(attrs).reduce((sum, attr) => sum + positions.get(attr).y, 0) /
+      attrs.size;
+    const taken = new Set();
+    const edges = relation.fds.map((fd, index) => {
+      // Junctions sit in the gap right of the LHS's last column, between the nodes
+      const lastColumn = Math.max(...Array.from(fd.lhs, (a) => columns.get(a)));
+      const junction = {
+        x: MARGIN + (lastColumn + 1) * COLUMN_WIDTH,
+        y: Math.round((meanY(fd.lhs) + meanY(fd.rhs)) / 2),
+      };
+      // Keep junctions of different FDs apart
+      while (taken.has(`${junction.x},${junction.y}`)) {
+        junction.y += JUNCTION_SPACING;
+      }
+      taken.add(`${junction.x},${junction.y}`);
+      const violation = violations.find(
+        (v) =>
+          v.fd &&
+          v.fd.lhs.size === fd.lhs.size &&
+          isSuperset(fd.lhs, v.fd.lhs) &&
+          Array.from(v.fd.rhs).some((attr) => fd.rhs.has(attr))
+      );
+      return {
+        index,
+        fd,
+        junction,
+        violation: violation ? violation.type : null,
+      };
+    });
+
+    const columnCount = Math.max(0, ...Array.from(columns.values())) + 1;
+    return {
+      width: MARGIN * 2 + columnCount * COLUMN_WIDTH,
+      height,
+      nodes,
+      edges,
+    };
+  }
+
+  /**
+   * Finds where the segment from a node's centre towards a point leaves its box.
+   * @param {{x: number, y: number, width: number}} node
+   * @param {{x: number, y: number}} point
+   * @returns {{x: number, y: number}}
+   */
+  function boxExit(node, point) {
+    const dx = point.x - node.x;
+    const dy = point.y - node.y;
+    if (dx === 0 && dy === 0) return { x: node.x, y: node.y };
+    const scale = Math.min(
+      dx === 0 ? Infinity : node.width / 2 / Math.abs(dx),
+      dy === 0 ? Infinity : NODE_HEIGHT / 2 / Math.abs(dy)
+    );
+    return { x: node.x + dx * scale, y: node.y + dy * scale };
+  }
+
+  /**
+   * Renders a layout as an SVG document fragment. Nodes carry data-attribute and
+   * FD parts data-fd (the FD's index) so a page can make them clickable.
+   * @param {ReturnType<typeof layoutDependencyGraph>} layout
+   * @returns {string} - SVG markup.
+   */
+  function renderDependencyGraphSVG(layout) {
+    const positions = new Map(
+      layout.nodes.map((node) => [node.attribute, node])
+    );
+    const round = (n) => Math.round(n * 10) / 10;
+    let svg = `<svg xmlns="http://www.w3.org/2000/svg" class="dependency-graph" width="${layout.width}" height="${layout.height}" viewBox="0 0 ${layout.width} ${layout.height}"><defs><marker id="fd-arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="8" markerHeight="8" orient="auto-start-reverse"><path d="M 0 0 L 10 5 L 0 10 z" /></marker></defs>`;
+
+    layout.edges.forEach(({ index, fd, junction, violation }) => {
+      svg += `<g class="fd-edge${
+        violation ? ` ${violation}` : ""
+      }" data-fd="${index}"><title>${escapeXML(fdToString(fd))}${
+        violation ? ` (${violation})` : ""
+      }</title>`;
+      fd.lhs.forEach((attr) => {
+        const start = boxExit(positions.get(attr), junction);
+        svg += `<line x1="${round(start.x)}" y1="${round(start.y)}" x2="${
+          junction.x
+        }" y2="${junction.y}" />`;
+      });
+      fd.rhs.forEach((attr) => {
+        if (fd.lhs.has(attr)) return;
+        const end = boxExit(positions.get(attr), junction);
+        svg += `<line class="fd-arrow" x1="${junction.x}" y1="${
+          junction.y
+        }" x2="${round(end.x)}" y2="${round(
+          end.y
+        )}" marker-end="url(#fd-arrow)" />`;
+      });
+      svg += `<circle cx="${junction.x}" cy="${junction.y}" r="5" /></g>`;
+    });
+
+    layout.nodes.forEach((node) => {
+      svg += `<g class="attribute-node ${
+        node.kind
+      }" data-attribute="${escapeXML(node.attribute)}"><rect x="${round(
+        node.x - node.width / 2
+      )}" y="${round(node.y - NODE_HEIGHT / 2)}" width="${
+        node.width
+      }" height="${NODE_HEIGHT}" rx="6" /><text x="${node.x}" y="${
+        node.y
+      }" text-anchor="middle" dominant-baseline="central">${escapeXML(
+        node.attribute
+      )}</text></g>`;
+    });
+    return `${svg}</svg>`;
+  }
+
+  return {
+    layoutDependencyGraph,
+    renderDependencyGraphSVG,
+  };
+});
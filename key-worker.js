@@ -0,0 +1,25 @@
+/**
+ * Candidate key worker
+ *
+ * Runs findCandidateKeys off the main thread so large relations do not freeze
+ * the page. The page posts { attributes: string[], fds: [{ lhs: string[], rhs: string[] }] }
+ * and receives { type: "progress", checked, total, keysFound } messages followed by
+ * { type: "done", keys: string[][] }. Cancelling is done by terminating the worker.
+ */
+importScripts("engine.js");
+
+self.onmessage = (event) => {
+  const { attributes, fds } = event.data;
+  const relation = NormalizationEngine.createRelation(attributes, fds);
+  let lastReport = 0;
+  const keys = NormalizationEngine.findCandidateKeys(relation, {
+    onProgress(progress) {
+      // Throttle progress messages to a few per second
+      const now = Date.now();
+      if (now - lastReport < 100 && progress.checked < progress.total) return;
+      lastReport = now;
+      self.postMessage({ type: "progress", ...progress });
+    },
+  });
+  self.postMessage({ type: "done", keys: keys.map((key) => Array.from(key)) });
+};
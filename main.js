@@ -1,78 +1,48 @@
+// --- Engine Imports ---
+// All normalization algorithms live in engine.js (loaded before this file).
+const {
+  setsAreEqual,
+  parseAttributes,
+  parseAttributeDeclarations,
+  formatAttributeDeclarations,
+  setToSortedString,
+  calculateClosure,
+  fdToString,
+  mvdToString,
+  jdToString,
+  complementMVD,
+  parseFDText,
+  parseDecompositionText,
+  calculateAllSubsetClosures,
+  classifyKeyAttributes,
+  findCandidateKeys,
+  checkDependencyPreservation,
+  impliesFD,
+  compareFDSets,
+  enumerateMinimalCovers,
+  diffDecompositions,
+  calculate3NFDecomposition,
+  getPrimeAttributes,
+  getHighestNormalForm,
+  hasNonAtomicAttributes,
+  transformTo1NF,
+  findUncoveredJoinDependencies,
+  analyzeRelation,
+} = NormalizationEngine;
+
 // --- Global State ---
 let functionalDependencies = []; // Array of {lhs: Set<string>, rhs: Set<string>}
+let multivaluedDependencies = []; // Array of {lhs, rhs} for MVDs X ↠ Y
+let joinDependencies = []; // Array of component lists (Array<Set<string>>) for JDs *(R1, ..., Rn)
 let allAttributes = new Set(); // Set of all unique attribute strings
-
-// --- Helper Functions ---
-
-/**
- * Checks if setA is a superset of setB (A contains all elements of B).
- * @param {Set<string>} setA
- * @param {Set<string>} setB
- * @returns {boolean}
- */
-function isSuperset(setA, setB) {
-  if (setB.size === 0) return true; // Empty set is subset of everything
-  if (setA.size < setB.size) return false;
-  for (const elem of setB) {
-    if (!setA.has(elem)) {
-      return false;
-    }
-  }
-  return true;
-}
-
-/**
- * Checks if setA is a proper superset of setB (A is superset and A != B).
- * @param {Set<string>} setA
- * @param {Set<string>} setB
- * @returns {boolean}
- */
-function isProperSuperset(setA, setB) {
-  return setA.size > setB.size && isSuperset(setA, setB);
-}
-
-/**
- * Checks if two sets are equal (contain the same elements).
- * @param {Set<string>} setA
- * @param {Set<string>} setB
- * @returns {boolean}
- */
-function setsAreEqual(setA, setB) {
-  if (setA.size !== setB.size) return false;
-  return isSuperset(setA, setB); // If sizes are equal, superset check is sufficient
-}
-
-/**
- * Parses a comma-separated string into a Set of trimmed, non-empty attributes.
- * @param {string} str
- * @returns {Set<string>}
- */
-function parseAttributes(str) {
-  return new Set(
-    str
-      .split(",")
-      .map((attr) => attr.trim())
-      .filter((attr) => attr)
-  );
-}
-
-/**
- * Converts a Set of attributes to a sorted string representation (for keys/comparison).
- * @param {Set<string>} attributeSet
- * @returns {string} Comma-separated sorted string
- */
-function setToSortedString(attributeSet) {
-  return Array.from(attributeSet).sort().join(", ");
-}
-
-/**
- * Combines attributes from LHS and RHS of an FD into a single Set.
- * @param {{lhs: Set<string>, rhs: Set<string>}} fd
- * @returns {Set<string>}
- */
-function getFDAttributes(fd) {
-  return new Set([...fd.lhs, ...fd.rhs]);
-}
+let attributeTypes = new Map(); // Composite and multivalued attributes, by name
+let lastCalculation = null; // {relation, analysis} of the most recent calculate() run
+let minimalCovers = []; // Covers listed by enumerateMinimalCoversUI for lastCalculation
+let sampleTable = null; // Sample rows {columns, rows} attached to the active relation
+let discoveredFDs = []; // FDs discovered in sampleTable, each with its g3 error
+let sampleJoin = null; // Last SampleData.applyDecomposition result, for its CSV downloads
+let graphSelection = new Set(); // Attributes selected in the dependency graph
+let workspace = Workspace.createWorkspace(); // Named relations; the active one is edited through the globals above
 
 // --- UI Interaction Functions ---
 
@@ -93,21 +63,34 @@ function addFD() {
     return;
   }
 
+  const rejection = tryAddFD(lhsSet, rhsSet);
+  if (rejection) {
+    alert(rejection);
+  } else {
+    updateFDList();
+  }
+
+  clearFDInputs();
+}
+
+/**
+ * Adds an FD to the global list unless it is trivial or an exact duplicate.
+ * Attributes of the RHS that already appear in the LHS are dropped.
+ * @param {Set<string>} lhsSet
+ * @param {Set<string>} rhsSet
+ * @returns {string|null} - The reason the FD was rejected, or null if it was added.
+ */
+function tryAddFD(lhsSet, rhsSet) {
   // Basic validation: Check if RHS attributes are already in LHS
   const intersection = new Set([...lhsSet].filter((x) => rhsSet.has(x)));
   if (intersection.size === rhsSet.size) {
-    alert("Trivial dependency detected (RHS is subset of LHS). Ignoring.");
-    clearFDInputs();
-    return; // Don't add trivial dependencies
+    // Don't add trivial dependencies
+    return "Trivial dependency detected (RHS is subset of LHS). Ignoring.";
   }
   // Remove attributes from RHS that are already in LHS
   const cleanedRhsSet = new Set([...rhsSet].filter((x) => !lhsSet.has(x)));
   if (cleanedRhsSet.size === 0) {
-    alert(
-      "Trivial dependency detected (After removing LHS attributes from RHS). Ignoring."
-    );
-    clearFDInputs();
-    return;
+    return "Trivial dependency detected (After removing LHS attributes from RHS). Ignoring.";
   }
 
   const newFD = {
@@ -121,15 +104,251 @@ function addFD() {
       setsAreEqual(existingFD.lhs, newFD.lhs) &&
       setsAreEqual(existingFD.rhs, newFD.rhs)
   );
+  if (exists) {
+    return "This exact functional dependency already exists.";
+  }
 
-  if (!exists) {
-    functionalDependencies.push(newFD);
-    updateFDList();
+  functionalDependencies.push(newFD);
+  return null;
+}
+
+/**
+ * Adds an MVD X ↠ Y to the global list unless it is trivial or an exact duplicate.
+ * Attributes of the RHS that already appear in the LHS are dropped.
+ * @param {Set<string>} lhsSet
+ * @param {Set<string>} rhsSet
+ * @returns {string|null} - The reason the MVD was rejected, or null if it was added.
+ */
+function tryAddMVD(lhsSet, rhsSet) {
+  const cleanedRhsSet = new Set([...rhsSet].filter((x) => !lhsSet.has(x)));
+  if (cleanedRhsSet.size === 0) {
+    return "Trivial dependency detected (RHS is subset of LHS). Ignoring.";
+  }
+  const exists = multivaluedDependencies.some(
+    (mvd) =>
+      setsAreEqual(mvd.lhs, lhsSet) && setsAreEqual(mvd.rhs, cleanedRhsSet)
+  );
+  if (exists) {
+    return "This exact multivalued dependency already exists.";
+  }
+  multivaluedDependencies.push({ lhs: lhsSet, rhs: cleanedRhsSet });
+  return null;
+}
+
+/**
+ * Adds a JD *(R1, ..., Rn) to the global list unless it is a duplicate (in any component order).
+ * @param {Array<Set<string>>} components
+ * @returns {string|null} - The reason the JD was rejected, or null if it was added.
+ */
+function tryAddJD(components) {
+  const sameComponents = (jd) =>
+    jd.length === components.length &&
+    jd.every((component) =>
+      components.some((other) => setsAreEqual(component, other))
+    ) &&
+    components.every((component) =>
+      jd.some((other) => setsAreEqual(component, other))
+    );
+  if (joinDependencies.some(sameComponents)) {
+    return "This exact join dependency already exists.";
+  }
+  joinDependencies.push(components);
+  return null;
+}
+
+/**
+ * Adds every FD, MVD ("X ->> Y") and JD ("*(R1, R2)") from the bulk-entry textarea. Parse errors and
+ * rejected dependencies are listed with their line numbers; lines that failed stay
+ * in the textarea.
+ */
+function addBulkFDs() {
+  const textarea = document.getElementById("bulk-fds");
+  const declared = parseAttributeDeclarations(
+    document.getElementById("attributes").value
+  );
+  // Sub-attributes of composites may be used in FDs as well
+  const knownAttributes = new Set(declared.attributes);
+  declared.attributeTypes.forEach((type) =>
+    type.components.forEach((attr) => knownAttributes.add(attr))
+  );
+  const { fds, mvds, jds, errors } = parseFDText(
+    textarea.value,
+    knownAttributes
+  );
+  if (
+    fds.length === 0 &&
+    mvds.length === 0 &&
+    jds.length === 0 &&
+    errors.length === 0
+  ) {
+    alert("Please enter at least one functional dependency.");
+    return;
+  }
+
+  const messages = errors.map((err) => ({ line: err.line, text: err.message }));
+  fds.forEach((fd) => {
+    const rejection = tryAddFD(fd.lhs, fd.rhs);
+    if (rejection) {
+      messages.push({ line: fd.line, text: `${fdToString(fd)}: ${rejection}` });
+    }
+  });
+  mvds.forEach((mvd) => {
+    const rejection = tryAddMVD(mvd.lhs, mvd.rhs);
+    if (rejection) {
+      messages.push({
+        line: mvd.line,
+        text: `${mvdToString(mvd)}: ${rejection}`,
+      });
+    }
+  });
+  jds.forEach((jd) => {
+    const rejection = tryAddJD(jd.components);
+    if (rejection) {
+      messages.push({
+        line: jd.line,
+        text: `${jdToString(jd.components)}: ${rejection}`,
+      });
+    }
+  });
+  messages.sort((a, b) => a.line - b.line);
+
+  // Keep only the lines that produced a parse error so they can be fixed
+  const failedLines = new Set(errors.map((err) => err.line));
+  textarea.value = textarea.value
+    .split(/\r?\n/)
+    .filter((_, index) => failedLines.has(index + 1))
+    .join("\n");
+
+  displayResults(
+    "bulk-fd-messages",
+    messages
+      .map((msg) => `<div>Line ${msg.line}: ${escapeHTML(msg.text)}</div>`)
+      .join("")
+  );
+  updateFDList();
+}
+
+const UNIVERSAL_RELATION_OPTION = "__all__";
+const SEPARATE_RELATIONS_OPTION = "__separate__";
+
+/**
+ * Re-parses the DDL textarea and lists the tables found in the table selector.
+ */
+function refreshDDLTables() {
+  const select = document.getElementById("ddl-table");
+  let tables = [];
+  try {
+    tables = SqlDdl.parseCreateTables(
+      document.getElementById("ddl-input").value
+    );
+  } catch (error) {
+    // Incomplete statements are expected while typing; importDDL reports them
+  }
+
+  select.innerHTML = "";
+  tables.forEach((table) => select.add(new Option(table.name, table.name)));
+  if (tables.length > 1) {
+    select.add(
+      new Option("All tables (universal relation)", UNIVERSAL_RELATION_OPTION)
+    );
+    select.add(
+      new Option(
+        "All tables (one workspace relation each)",
+        SEPARATE_RELATIONS_OPTION
+      )
+    );
+  }
+}
+
+/**
+ * Replaces the current attributes and FDs with those implied by the selected
+ * table (or by all tables joined on their foreign keys).
+ */
+function importDDL() {
+  let tables;
+  try {
+    tables = SqlDdl.parseCreateTables(
+      document.getElementById("ddl-input").value
+    );
+  } catch (error) {
+    alert(`Could not parse the DDL: ${error.message}`);
+    return;
+  }
+  if (tables.length === 0) {
+    alert("No CREATE TABLE statements found.");
+    return;
+  }
+
+  const selected = document.getElementById("ddl-table").value;
+  if (selected === SEPARATE_RELATIONS_OPTION) {
+    importTablesAsRelations(tables);
+    return;
+  }
+
+  let relation;
+  if (selected === UNIVERSAL_RELATION_OPTION) {
+    relation = SqlDdl.tablesToUniversalRelation(tables);
   } else {
-    alert("This exact functional dependency already exists.");
+    const table = tables.find((t) => t.name === selected) || tables[0];
+    relation = SqlDdl.tableToRelation(table);
   }
 
-  clearFDInputs();
+  if (
+    functionalDependencies.length +
+      multivaluedDependencies.length +
+      joinDependencies.length >
+      0 &&
+    !confirm("Replace the current attributes and functional dependencies?")
+  ) {
+    return;
+  }
+
+  functionalDependencies = relation.fds;
+  multivaluedDependencies = [];
+  joinDependencies = [];
+  document.getElementById("attributes").value = setToSortedString(
+    relation.attributes
+  );
+  updateFDList();
+}
+
+/**
+ * Adds every table to the workspace as its own relation. Relations that
+ * already carry a table's name are overwritten.
+ * @param {Array<object>} tables - Tables from SqlDdl.parseCreateTables.
+ */
+function importTablesAsRelations(tables) {
+  storeActiveRelation();
+  const existing = tables.filter(
+    (table) => findRelationIndex(table.name) !== -1
+  );
+  if (
+    existing.length > 0 &&
+    !confirm(
+      `Replace the existing relations ${existing
+        .map((table) => table.name)
+        .join(", ")}?`
+    )
+  ) {
+    return;
+  }
+
+  let firstIndex = -1;
+  tables.forEach((table) => {
+    const relation = SqlDdl.tableToRelation(table);
+    const index = findRelationIndex(table.name);
+    if (index !== -1) {
+      workspace.relations[index] = Workspace.createNamedRelation(
+        workspace.relations[index].name,
+        relation
+      );
+    } else {
+      Workspace.addRelation(workspace, table.name, relation);
+    }
+    if (firstIndex === -1) firstIndex = findRelationIndex(table.name);
+  });
+  workspace.activeIndex = firstIndex;
+  loadActiveRelation();
 }
 
 function updateFDList() {
@@ -140,16 +359,33 @@ function updateFDList() {
     const fdItem = document.createElement("div");
     fdItem.className = "fd-item";
     fdItem.innerHTML = `
-            <span>{${setToSortedString(fd.lhs)}} → {${setToSortedString(
-      fd.rhs
-    )}}</span>
+            <span>${escapeHTML(fdToString(fd))}</span>${renderFDDataStatus(fd)}
             <button onclick="removeFD(${index})" title="Remove FD">❌</button>
         `;
     fdList.appendChild(fdItem);
   });
+  multivaluedDependencies.forEach((mvd, index) => {
+    const mvdItem = document.createElement("div");
+    mvdItem.className = "fd-item mvd-item";
+    mvdItem.innerHTML = `
+            <span>${escapeHTML(mvdToString(mvd))}</span>
+            <button onclick="removeMVD(${index})" title="Remove MVD">❌</button>
+        `;
+    fdList.appendChild(mvdItem);
+  });
+  joinDependencies.forEach((jd, index) => {
+    const jdItem = document.createElement("div");
+    jdItem.className = "fd-item jd-item";
+    jdItem.innerHTML = `
+            <span>${escapeHTML(jdToString(jd))}</span>
+            <button onclick="removeJD(${index})" title="Remove JD">❌</button>
+        `;
+    fdList.appendChild(jdItem);
+  });
 
   // Recalculate all attributes whenever FDs change
   updateAllAttributes();
+  persistWorkspace();
 }
 
 function removeFD(index) {
@@ -159,6 +395,20 @@ function removeFD(index) {
   }
 }
 
+function removeMVD(index) {
+  if (index >= 0 && index < multivaluedDependencies.length) {
+    multivaluedDependencies.splice(index, 1);
+    updateFDList();
+  }
+}
+
+function removeJD(index) {
+  if (index >= 0 && index < joinDependencies.length) {
+    joinDependencies.splice(index, 1);
+    updateFDList();
+  }
+}
+
 function clearFDInputs() {
   document.getElementById("lhs").value = "";
   document.getElementById("rhs").value = "";
@@ -167,831 +417,2087 @@ function clearFDInputs() {
 // --- Core Logic Functions ---
 
 /**
- * Updates the global 'allAttributes' set based on the input field and all FDs.
+ * Updates the global 'allAttributes' set and 'attributeTypes' map based on the
+ * input field and all FDs.
+ * @returns {string[]} - Attribute declarations that could not be read.
  */
 function updateAllAttributes() {
   const attributesInput = document.getElementById("attributes").value;
-  allAttributes = parseAttributes(attributesInput);
-
-  // Add attributes from all FDs
-  functionalDependencies.forEach((fd) => {
-    fd.lhs.forEach((attr) => allAttributes.add(attr));
-    fd.rhs.forEach((attr) => allAttributes.add(attr));
+  const declared = parseAttributeDeclarations(attributesInput);
+  allAttributes = declared.attributes;
+  attributeTypes = declared.attributeTypes;
+
+  // Add attributes from all FDs and JDs, except sub-attributes of composites
+  const components = new Set();
+  attributeTypes.forEach((type) =>
+    type.components.forEach((attr) => components.add(attr))
+  );
+  functionalDependencies.concat(multivaluedDependencies).forEach((fd) => {
+    fd.lhs.forEach((attr) => {
+      if (!components.has(attr)) allAttributes.add(attr);
+    });
+    fd.rhs.forEach((attr) => {
+      if (!components.has(attr)) allAttributes.add(attr);
+    });
   });
+  joinDependencies.forEach((jd) =>
+    jd.forEach((component) =>
+      component.forEach((attr) => {
+        if (!components.has(attr)) allAttributes.add(attr);
+      })
+    )
+  );
 
-  // Update the input field visually to reflect the combined set
-  document.getElementById("attributes").value =
-    setToSortedString(allAttributes);
+  // Update the input field visually to reflect the combined set, unless
+  // that would throw away a declaration the user still has to fix
+  if (declared.errors.length === 0) {
+    document.getElementById("attributes").value = formatAttributeDeclarations(
+      allAttributes,
+      attributeTypes
+    );
+  }
+  return declared.errors;
 }
 
 /**
- * Calculates the closure of a set of attributes under the given FDs.
- * @param {Set<string>} attributesToClose - The initial set of attributes.
- * @param {Array<{lhs: Set<string>, rhs: Set<string>}>} fds - The functional dependencies.
- * @returns {Set<string>} - The calculated closure.
+ * Returns a snapshot of the relation currently defined on the page, in the shape the engine expects.
+ * The FD array is new on every call, so each calculation gets its own closure memo in the engine.
+ * @returns {{attributes: Set<string>, fds: Array<{lhs: Set<string>, rhs: Set<string>}>, attributeTypes: Map, mvds: Array, jds: Array}}
  */
-function calculateClosure(attributesToClose, fds) {
-  let closure = new Set(attributesToClose);
-  let changed = true;
-
-  while (changed) {
-    changed = false;
-    for (const fd of fds) {
-      // Check if LHS is fully contained within the current closure
-      if (isSuperset(closure, fd.lhs)) {
-        // Add RHS attributes to the closure if they aren't already present
-        for (const attr of fd.rhs) {
-          if (!closure.has(attr)) {
-            closure.add(attr);
-            changed = true; // Mark that the closure has changed
-          }
-        }
-      }
-    }
-  }
-  return closure;
+function getCurrentRelation() {
+  return {
+    attributes: new Set(allAttributes),
+    fds: functionalDependencies.slice(),
+    attributeTypes: new Map(attributeTypes),
+    mvds: multivaluedDependencies.slice(),
+    jds: joinDependencies.slice(),
+  };
 }
 
-/**
- * Generates all non-empty subsets of a given set of attributes.
- * @param {Set<string>} attributeSet
- * @returns {Array<Set<string>>}
- */
-function generateSubsets(attributeSet) {
-  const attributes = Array.from(attributeSet);
-  const subsets = [];
-  const n = attributes.length;
+// --- Main Calculation Orchestrator ---
 
-  // Iterate from 1 (skip empty set) up to 2^n - 1
-  for (let i = 1; i < 1 << n; i++) {
-    const subset = new Set();
-    for (let j = 0; j < n; j++) {
-      // Check if the j-th bit is set in i
-      if ((i >> j) & 1) {
-        subset.add(attributes[j]);
-      }
-    }
-    subsets.push(subset);
+function calculate() {
+  // 1. Update and Validate Global Attributes & FDs
+  const declarationErrors = updateAllAttributes(); // Recalculates allAttributes based on input and FDs
+  if (declarationErrors.length > 0) {
+    alert(declarationErrors.join("\n"));
+    return;
   }
-  return subsets;
-}
 
-/**
- * Calculates the closure for all non-empty subsets of allAttributes.
- * @returns {Map<string, Set<string>>} Map where key is sorted subset string, value is closure Set.
- */
-function calculateAllSubsetClosures() {
-  const closures = new Map();
-  const subsets = generateSubsets(allAttributes);
+  if (allAttributes.size === 0) {
+    alert("Please define the set of attributes for the relation R.");
+    return;
+  }
+  // No need to check FD length here, handled by individual functions
 
-  for (const subset of subsets) {
-    const closure = calculateClosure(subset, functionalDependencies);
-    closures.set(setToSortedString(subset), closure);
+  const relation = getCurrentRelation();
+  const uncovered = findUncoveredJoinDependencies(relation);
+  if (uncovered.length > 0) {
+    alert(
+      uncovered
+        .map(
+          ({ jd, missing }) =>
+            `${jdToString(jd)} leaves out ${setToSortedString(
+              missing
+            )}; the components must cover every attribute.`
+        )
+        .join("\n")
+    );
+    return;
   }
-  return closures;
+
+  clearResults();
+
+  // 2. Find the candidate keys (in the key worker for large relations);
+  // with non-atomic attributes these are the keys of the 1NF relation
+  const keyRelation = hasNonAtomicAttributes(relation)
+    ? transformTo1NF(relation).relation
+    : relation;
+  searchCandidateKeys(keyRelation, (candidateKeys) =>
+    showAnalysis(relation, candidateKeys)
+  );
 }
 
 /**
- * Finds all candidate keys for the relation.
- * A candidate key is a minimal superkey.
- * @returns {Array<Set<string>>} - An array of candidate keys (each key is a Set).
+ * Runs the rest of the analysis once the candidate keys are known and renders every panel.
+ * A relation with non-atomic attributes is reported as UNF and the other panels
+ * describe its 1NF transformation.
+ * @param {{attributes: Set<string>, fds: Array, attributeTypes?: Map}} relation
+ * @param {Array<Set<string>>} candidateKeys
  */
-function findCandidateKeys() {
-  if (allAttributes.size === 0) return [];
-
-  const candidateKeys = [];
-  const subsets = generateSubsets(allAttributes); // Generate all non-empty subsets
+function showAnalysis(relation, candidateKeys) {
+  try {
+    const analysis = analyzeRelation(relation, candidateKeys, {
+      explain: document.getElementById("explain-mode").checked,
+    });
+    const traces = analysis.traces;
+    const firstNormalForm = analysis.firstNormalForm;
+    if (firstNormalForm) relation = firstNormalForm.relation;
+    lastCalculation = { relation, analysis };
+    const closureAll = analysis.closureOfAll;
+    displayResults(
+      "closure-result",
+      `<h4>Closure of All Attributes</h4><p>R+ = {${escapeHTML(
+        setToSortedString(closureAll)
+      )}}</p>`
+    );
 
-  let minSuperkeySize = Infinity; // Track the size of the smallest superkey found
+    // 3. Closures of subsets, one page at a time for wide relations
+    renderSubsetClosures(SUBSET_CLOSURE_PAGE);
 
-  // Pass 1: Find all superkeys and the minimum size
-  const superkeys = [];
-  for (const subset of subsets) {
-    const closure = calculateClosure(subset, functionalDependencies);
-    // Check if the closure contains all attributes (is a superkey)
-    if (setsAreEqual(closure, allAttributes)) {
-      superkeys.push(subset);
-      if (subset.size < minSuperkeySize) {
-        minSuperkeySize = subset.size;
+    // 4. Show Candidate Keys
+    let keysHTML = "<h4>Candidate Keys</h4>";
+    if (candidateKeys.length > 0) {
+      keysHTML += "<ul>";
+      candidateKeys.forEach((key) => {
+        keysHTML += `<li>{${escapeHTML(setToSortedString(key))}}</li>`;
+      });
+      keysHTML += "</ul>";
+      if (traces) {
+        keysHTML += renderDerivation(
+          "How the keys were found",
+          traces.candidateKeys
+        );
       }
+    } else {
+      keysHTML +=
+        "<p>No candidate keys found (or calculation failed). Check attributes and FDs.</p>";
     }
-  }
+    displayResults("candidate-keys-result", keysHTML);
+
+    // 5. Check Normal Forms & Calculate Decompositions
+    let nfHTML = "<h4>Normal Forms & Decompositions</h4>";
+    if (firstNormalForm) {
+      nfHTML += renderFirstNormalFormReport(firstNormalForm);
+    }
+    if (candidateKeys.length > 0) {
+      // Need keys for NF checks and some decompositions
+      const normalFormsResult = analysis.normalForms;
+
+      // --- NF Status ---
+      nfHTML += renderNormalFormReport(
+        normalFormsResult,
+        analysis.ladder,
+        candidateKeys,
+        relation
+      );
 
-  // Pass 2: Filter superkeys to find minimal ones (candidate keys)
-  // A superkey is minimal if no proper subset of it is also a superkey.
-  for (const sk of superkeys) {
-    // Only consider superkeys of the minimum size initially found.
-    // This is an optimization, as any smaller superkey would have reset minSuperkeySize.
-    if (sk.size === minSuperkeySize) {
-      // Now, double-check minimality (although size check helps, it's not foolproof if multiple keys of different sizes exist initially)
-      let isMinimal = true;
-      for (const otherSk of superkeys) {
-        if (sk !== otherSk && isProperSuperset(sk, otherSk)) {
-          isMinimal = false;
-          break;
+      if (!normalFormsResult.isBCNF) {
+        const decompBCNF = analysis.decompositions.BCNF; // Array of Sets
+        nfHTML += `<p><u>BCNF Decomposition:</u></p><ul>${decompBCNF
+          .map((rel) => `<li>R(${escapeHTML(setToSortedString(rel))})</li>`)
+          .join("")}</ul>`;
+        nfHTML += describeUnverifiedSchemas(analysis, "BCNF");
+        nfHTML += describeLosslessJoin(relation, decompBCNF);
+        nfHTML += describeDependencyPreservation(relation, decompBCNF);
+        if (traces) {
+          nfHTML += renderDerivation("BCNF derivation", traces.BCNF);
+        }
+
+        // Always show 3NF decomposition if not BCNF (it's the target)
+        const decomp3NF = analysis.decompositions["3NF"]; // Array of Sets
+        nfHTML += `<p><u>3NF Decomposition (Synthesis):</u></p><ul>${decomp3NF
+          .map((rel) => `<li>R(${escapeHTML(setToSortedString(rel))})</li>`)
+          .join("")}</ul>`;
+        nfHTML += describeLosslessJoin(relation, decomp3NF);
+        nfHTML += describeDependencyPreservation(relation, decomp3NF);
+        if (traces) {
+          nfHTML += renderDerivation("3NF synthesis derivation", traces["3NF"]);
         }
       }
-      // Even more robust check: check proper subsets directly
-      // This is slower but guarantees minimality against *any* subset, not just other found superkeys
-      /* if (isMinimal) { // Only check if potentially minimal
-                 const properSubsets = generateSubsets(sk);
-                 for (const pSubset of properSubsets) {
-                      if (pSubset.size > 0 && pSubset.size < sk.size) { // Ensure it's a *proper* non-empty subset
-                          const pClosure = calculateClosure(pSubset, functionalDependencies);
-                          if (setsAreEqual(pClosure, allAttributes)) {
-                              isMinimal = false;
-                              break;
-                          }
-                      }
-                 }
-             } */
-
-      if (isMinimal) {
-        // Avoid adding duplicate keys if subsets generated them in different orders
-        const keyString = setToSortedString(sk);
-        if (!candidateKeys.some((ck) => setToSortedString(ck) === keyString)) {
-          candidateKeys.push(sk);
+
+      if (normalFormsResult.is4NF === false) {
+        const decomp4NF = analysis.decompositions["4NF"]; // Array of Sets
+        nfHTML += `<p><u>4NF Decomposition:</u></p><ul>${decomp4NF
+          .map((rel) => `<li>R(${escapeHTML(setToSortedString(rel))})</li>`)
+          .join("")}</ul>`;
+        nfHTML += describeUnverifiedSchemas(analysis, "4NF");
+        nfHTML += describeLosslessJoin(relation, decomp4NF);
+        nfHTML += describeDependencyPreservation(relation, decomp4NF);
+        if (traces) {
+          nfHTML += renderDerivation("4NF derivation", traces["4NF"]);
         }
       }
-    }
-  }
 
-  // Sort candidate keys for consistent output (e.g., by size then lexicographically)
-  candidateKeys.sort((a, b) => {
-    if (a.size !== b.size) {
-      return a.size - b.size;
-    }
-    return setToSortedString(a).localeCompare(setToSortedString(b));
-  });
+      if (normalFormsResult.is5NF === false) {
+        const decomp5NF = analysis.decompositions["5NF"]; // Array of Sets
+        nfHTML += `<p><u>5NF Decomposition:</u></p><ul>${decomp5NF
+          .map((rel) => `<li>R(${escapeHTML(setToSortedString(rel))})</li>`)
+          .join("")}</ul>`;
+        nfHTML += describeUnverifiedSchemas(analysis, "5NF");
+        nfHTML += describeLosslessJoin(relation, decomp5NF);
+        nfHTML += describeDependencyPreservation(relation, decomp5NF);
+        if (traces) {
+          nfHTML += renderDerivation("5NF derivation", traces["5NF"]);
+        }
+      }
 
-  // If no candidate keys found via subsets (e.g., empty FDs), the key is all attributes
-  if (candidateKeys.length === 0 && allAttributes.size > 0) {
-    const closureOfAll = calculateClosure(
-      allAttributes,
-      functionalDependencies
-    );
-    if (setsAreEqual(closureOfAll, allAttributes)) {
-      // Check if all attributes together form a key
-      candidateKeys.push(new Set(allAttributes));
+      if (!normalFormsResult.is2NF) {
+        const decomp2NF = analysis.decompositions["2NF"]; // Array of Sets
+        nfHTML += `<p><u>2NF Decomposition:</u></p><ul>${decomp2NF
+          .map((rel) => `<li>R(${escapeHTML(setToSortedString(rel))})</li>`)
+          .join("")}</ul>`;
+        nfHTML += describeLosslessJoin(relation, decomp2NF);
+        nfHTML += describeDependencyPreservation(relation, decomp2NF);
+      }
     } else {
-      // This case should ideally not happen if attributes exist - implies inconsistent state?
-      console.error(
-        "Could not determine a candidate key. Attributes might not be closable under given FDs."
+      nfHTML +=
+        "<p>Cannot determine normal forms or perform standard decompositions without candidate keys.</p>";
+      // Minimal cover might still be useful
+      nfHTML += `<p><u>Minimal Cover (Basis for 3NF):</u></p><ul>${analysis.minimalCover
+        .map((fd) => `<li>${escapeHTML(fdToString(fd))}</li>`)
+        .join("")}</ul>`;
+    }
+    if (traces) {
+      nfHTML += renderDerivation(
+        "Minimal cover derivation",
+        traces.minimalCover
       );
     }
+    displayResults("normal-forms-result", nfHTML);
+    renderDependencyGraph();
+    renderDataValidation();
+    updateDecompositionSelects();
+    updateWorkspaceSummary();
+  } catch (error) {
+    console.error("Calculation Error:", error);
+    alert(
+      `An error occurred during calculation: ${error.message}\nCheck console for details.`
+    );
+    // Optionally display error in the UI
+    displayResults(
+      "normal-forms-result",
+      `<p style="color: red;">Error: ${escapeHTML(error.message)}</p>`
+    );
   }
-
-  return candidateKeys;
 }
 
+// --- Candidate Key Search ---
+
+// Relations with more undetermined key attributes than this are searched in key-worker.js
+const SYNC_KEY_SEARCH_LIMIT = 16;
+let keySearchWorker = null;
+
 /**
- * Checks the highest normal form (BCNF, 3NF, 2NF) the relation satisfies.
- * @param {Array<Set<string>>} candidateKeys - Pre-calculated candidate keys.
- * @returns {object} - { is2NF: boolean, is3NF: boolean, isBCNF: boolean, violations: { '2NF': string[], '3NF': string[], 'BCNF': string[] } }
+ * Finds the candidate keys of a relation and passes them to a callback. Small searches
+ * run directly; larger ones run in a Web Worker with a progress bar and a Cancel button.
+ * @param {{attributes: Set<string>, fds: Array}} relation
+ * @param {function(Array<Set<string>>): void} onDone
  */
-function checkNormalForms(candidateKeys) {
-  const results = {
-    isBCNF: true,
-    is3NF: true,
-    is2NF: true,
-    violations: { BCNF: [], "3NF": [], "2NF": [] },
-  };
-
-  if (allAttributes.size === 0 || functionalDependencies.length === 0) {
-    // An empty relation or one with no FDs is trivially in BCNF
-    return results;
+function searchCandidateKeys(relation, onDone) {
+  stopKeySearch();
+  const { undetermined } = classifyKeyAttributes(relation);
+  if (undetermined.size <= SYNC_KEY_SEARCH_LIMIT) {
+    onDone(findCandidateKeys(relation));
+    return;
   }
 
-  if (candidateKeys.length === 0) {
-    console.warn("Cannot check normal forms without candidate keys.");
-    results.isBCNF = results.is3NF = results.is2NF = false; // Cannot confirm
-    return results;
+  let worker;
+  try {
+    worker = new Worker("key-worker.js");
+  } catch (error) {
+    // Some browsers refuse workers for pages opened from file://
+    console.warn(
+      "Key worker unavailable, searching on the main thread:",
+      error
+    );
+    onDone(findCandidateKeys(relation));
+    return;
   }
-
-  // Determine prime attributes (attributes part of *any* candidate key)
-  const primeAttributes = new Set();
-  candidateKeys.forEach((key) => {
-    key.forEach((attr) => primeAttributes.add(attr));
+  keySearchWorker = worker;
+  showKeySearchProgress({
+    checked: 0,
+    total: 2 ** undetermined.size,
+    keysFound: 0,
   });
 
-  for (const fd of functionalDependencies) {
-    const lhs = fd.lhs;
-    const rhs = fd.rhs;
-    const lhsString = setToSortedString(lhs);
-    const rhsString = setToSortedString(rhs);
-    const fdString = `{${lhsString}} → {${rhsString}}`;
-
-    // Trivial dependencies don't violate NFs
-    if (isSuperset(lhs, rhs)) {
-      continue;
+  worker.onmessage = (event) => {
+    if (event.data.type === "progress") {
+      showKeySearchProgress(event.data);
+      return;
     }
+    stopKeySearch();
+    onDone(event.data.keys.map((key) => new Set(key)));
+  };
+  worker.onerror = (event) => {
+    event.preventDefault();
+    stopKeySearch();
+    console.warn(
+      "Key worker failed, searching on the main thread:",
+      event.message
+    );
+    onDone(findCandidateKeys(relation));
+  };
+  worker.postMessage({
+    attributes: Array.from(relation.attributes),
+    fds: relation.fds.map((fd) => ({
+      lhs: Array.from(fd.lhs),
+      rhs: Array.from(fd.rhs),
+    })),
+  });
+}
 
-    // --- BCNF Check ---
-    // For every non-trivial FD X -> Y, X must be a superkey.
-    const lhsClosure = calculateClosure(lhs, functionalDependencies);
-    const isLhsSuperkey = setsAreEqual(lhsClosure, allAttributes);
-
-    if (!isLhsSuperkey) {
-      results.isBCNF = false;
-      results.violations.BCNF.push(fdString);
-
-      // --- 3NF Check (only if BCNF is violated) ---
-      // For every non-trivial FD X -> Y, either:
-      // 1. X is a superkey (already failed for BCNF violation) OR
-      // 2. Every attribute A in Y is a prime attribute.
-      const isRhsSubsetPrime = [...rhs].every((attr) =>
-        primeAttributes.has(attr)
-      );
+/**
+ * Updates the key search progress bar.
+ * @param {{checked: number, total: number, keysFound: number}} progress
+ */
+function showKeySearchProgress({ checked, total, keysFound }) {
+  document.getElementById("key-search-status").hidden = false;
+  const bar = document.getElementById("key-search-progress");
+  bar.max = total;
+  bar.value = checked;
+  document.getElementById(
+    "key-search-text"
+  ).textContent = `Searching candidate keys: ${checked.toLocaleString()} of ${total.toLocaleString()} combinations checked, ${keysFound} key(s) found`;
+}
 
-      if (!isRhsSubsetPrime) {
-        results.is3NF = false;
-        results.violations["3NF"].push(fdString);
-
-        // --- 2NF Check (only if 3NF is violated) ---
-        // For every non-trivial FD X -> Y, if X is a *proper subset* of *any* candidate key,
-        // then no attribute A in Y can be a non-prime attribute.
-        // (Violation: Partial dependency of a non-prime attribute on a key)
-        let isPartialDependencyViolation = false;
-        for (const key of candidateKeys) {
-          // Check if LHS is a proper subset of this candidate key
-          if (isProperSuperset(key, lhs)) {
-            // key > lhs && key contains lhs
-            // Check if RHS contains any non-prime attribute
-            const hasNonPrimeRHS = [...rhs].some(
-              (attr) => !primeAttributes.has(attr)
-            );
-            if (hasNonPrimeRHS) {
-              isPartialDependencyViolation = true;
-              break; // Found a 2NF violation involving this FD
-            }
-          }
-        }
+/**
+ * Terminates a running key search, if any, and hides its progress bar.
+ */
+function stopKeySearch() {
+  if (keySearchWorker) {
+    keySearchWorker.terminate();
+    keySearchWorker = null;
+  }
+  document.getElementById("key-search-status").hidden = true;
+}
 
-        if (isPartialDependencyViolation) {
-          results.is2NF = false;
-          // Only add violation once per FD
-          if (!results.violations["2NF"].includes(fdString)) {
-            results.violations["2NF"].push(fdString);
-          }
-        }
-      }
-    }
+/**
+ * Handles the Cancel button of a running key search.
+ */
+function cancelKeySearch() {
+  if (!keySearchWorker) return;
+  stopKeySearch();
+  displayResults(
+    "candidate-keys-result",
+    "<h4>Candidate Keys</h4><p>Search cancelled.</p>"
+  );
+}
+
+// Subset closures listed per page, and the most the panel lists at all
+const SUBSET_CLOSURE_PAGE = 256;
+const MAX_SHOWN_SUBSET_CLOSURES = 4096;
+
+/**
+ * Lists the closures of the first subsets of the last calculation's attributes,
+ * smallest first, with a button for the next page while there are more.
+ * @param {number} count - How many subsets to list.
+ */
+function renderSubsetClosures(count) {
+  const { relation } = lastCalculation;
+  const total = 2 ** relation.attributes.size - 1;
+  const closures = calculateAllSubsetClosures(relation, count);
+  let html = "<h4>Closures of Subsets</h4>";
+  if (closures.size < total) {
+    html += `<p>Showing the first ${closures.size.toLocaleString()} of ${total.toLocaleString()} subsets, smallest first.</p>`;
   }
-  return results;
+  html += "<ul>";
+  closures.forEach((closure, subset) => {
+    html += `<li>{${escapeHTML(subset)}}+ = {${escapeHTML(
+      setToSortedString(closure)
+    )}}</li>`;
+  });
+  html += "</ul>";
+  if (closures.size < total) {
+    html +=
+      closures.size < MAX_SHOWN_SUBSET_CLOSURES
+        ? `<button onclick="renderSubsetClosures(${
+            closures.size + SUBSET_CLOSURE_PAGE
+          })">Show more</button>`
+        : `<p>Only the first ${MAX_SHOWN_SUBSET_CLOSURES.toLocaleString()} subsets are listed; check a particular set with the implication check under FD Set Comparison.</p>`;
+  }
+  displayResults("subset-closures-result", html);
 }
 
 /**
- * Calculates a decomposition into 2NF.
- * Strategy:
- * 1. Identify partial dependencies (X->A where X is proper subset of a key, A is non-prime).
- * 2. Create relations for each partial dependency: R(X U A).
- * 3. Create one relation containing a candidate key and all attributes not involved in partial dependencies.
- * NOTE: This is a common interpretation; others exist. This aims for dependency preservation.
- * @param {Array<Set<string>>} candidateKeys - Pre-calculated candidate keys.
- * @returns {Array<Set<string>>} - Array of relation schemas (Sets of attributes).
+ * Clears the result panels of the previous calculation.
  */
-function calculate2NFDecomposition(candidateKeys) {
-  const decomposition = [];
-  const decomposedAttributes = new Set(); // Track attributes already placed
+function clearResults() {
+  stopKeySearch();
+  // document.getElementById("closure-result").innerHTML = "";
+  document.getElementById("subset-closures-result").innerHTML = "";
+  document.getElementById("candidate-keys-result").innerHTML = "";
+  document.getElementById("normal-forms-result").innerHTML = "";
+  document.getElementById("sql-export-result").textContent = "";
+  document.getElementById("export-decomposition").innerHTML = "";
+  document.getElementById("lossless-decomposition").innerHTML = "";
+  document.getElementById("lossless-result").innerHTML = "";
+  document.getElementById("sample-join-result").innerHTML = "";
+  document.getElementById("minimal-covers-result").innerHTML = "";
+  document.getElementById("data-validation-result").innerHTML = "";
+  document.getElementById("dependency-graph-result").innerHTML = "";
+  lastCalculation = null;
+  graphSelection = new Set();
+  minimalCovers = [];
+  sampleJoin = null;
+}
 
-  if (candidateKeys.length === 0) return [];
+// --- Workspace ---
 
-  const primeAttributes = new Set();
-  candidateKeys.forEach((key) =>
-    key.forEach((attr) => primeAttributes.add(attr))
+/**
+ * Copies the attributes, their types, the FDs, MVDs, JDs and the attached sample
+ * being edited into the active workspace relation.
+ */
+function storeActiveRelation() {
+  updateAllAttributes();
+  const active = Workspace.getActiveRelation(workspace);
+  active.attributes = new Set(allAttributes);
+  active.fds = functionalDependencies;
+  if (multivaluedDependencies.length > 0) {
+    active.mvds = multivaluedDependencies;
+  } else {
+    delete active.mvds;
+  }
+  if (joinDependencies.length > 0) {
+    active.jds = joinDependencies;
+  } else {
+    delete active.jds;
+  }
+  if (attributeTypes.size > 0) {
+    active.attributeTypes = new Map(attributeTypes);
+  } else {
+    delete active.attributeTypes;
+  }
+  if (sampleTable) {
+    active.sample = sampleTable;
+  } else {
+    delete active.sample;
+  }
+}
+
+/**
+ * Loads the active workspace relation into the editor and shows its results.
+ */
+function loadActiveRelation() {
+  const active = Workspace.getActiveRelation(workspace);
+  functionalDependencies = active.fds;
+  multivaluedDependencies = active.mvds || [];
+  joinDependencies = active.jds || [];
+  sampleTable = active.sample || null;
+  discoveredFDs = [];
+  document.getElementById("attributes").value = formatAttributeDeclarations(
+    active.attributes,
+    active.attributeTypes
   );
+  document.getElementById("csv-input").value = sampleTable
+    ? SampleData.formatCSV(sampleTable)
+    : "";
+  displayResults("discovered-fds", "");
+  showSampleStatus();
+  updateFDList();
+  updateRelationSelect();
+  clearResults();
+  if (allAttributes.size > 0) {
+    calculate();
+  } else {
+    updateWorkspaceSummary();
+  }
+}
 
-  // Find and process partial dependencies
-  const partialFDs = [];
-  for (const fd of functionalDependencies) {
-    for (const key of candidateKeys) {
-      // Check if LHS is proper subset of key
-      if (isProperSuperset(key, fd.lhs)) {
-        // Check if RHS contains non-prime attributes
-        const nonPrimeRHS = new Set(
-          [...fd.rhs].filter((attr) => !primeAttributes.has(attr))
-        );
-        if (nonPrimeRHS.size > 0) {
-          // Found a partial dependency: fd.lhs -> nonPrimeRHS
-          const partialSchema = new Set([...fd.lhs, ...nonPrimeRHS]);
-          partialFDs.push(partialSchema);
-          partialSchema.forEach((attr) => decomposedAttributes.add(attr));
-          // We can often break after finding one key it's partial to,
-          // but processing all ensures we capture all such relations.
-          // Break might be okay if FDs are minimal. Let's capture all for safety.
-        }
-      }
-    }
+/**
+ * Finds a workspace relation by name (case-insensitive).
+ * @param {string} name
+ * @returns {number} - The index, or -1 if there is no such relation.
+ */
+function findRelationIndex(name) {
+  return workspace.relations.findIndex(
+    (relation) => relation.name.toLowerCase() === name.toLowerCase()
+  );
+}
+
+function updateRelationSelect() {
+  const select = document.getElementById("relation-select");
+  select.innerHTML = "";
+  workspace.relations.forEach((relation, index) =>
+    select.add(new Option(relation.name, index))
+  );
+  select.value = String(workspace.activeIndex);
+}
+
+function switchRelation() {
+  storeActiveRelation();
+  workspace.activeIndex = Number(
+    document.getElementById("relation-select").value
+  );
+  loadActiveRelation();
+}
+
+function newRelation() {
+  const name = prompt(
+    "Name of the new relation:",
+    Workspace.suggestRelationName(workspace)
+  );
+  if (name === null) return;
+
+  storeActiveRelation();
+  try {
+    Workspace.addRelation(workspace, name);
+  } catch (error) {
+    alert(error.message);
+    return;
   }
+  loadActiveRelation();
+}
 
-  // Add schemas for partial dependencies (ensure uniqueness)
-  const uniquePartialSchemas = new Map();
-  partialFDs.forEach((schema) => {
-    uniquePartialSchemas.set(setToSortedString(schema), schema);
-  });
-  uniquePartialSchemas.forEach((schema) => decomposition.push(schema));
-
-  // Create a relation for (at least) one candidate key and remaining attributes
-  // Attributes remaining = (All Attributes) - (Non-Prime attributes involved in partial dependencies)
-  // This ensures the key is present and attributes only fully dependent on the key are kept with it.
-  const remainingAttributes = new Set(allAttributes);
-  partialFDs.forEach((schema) => {
-    schema.forEach((attr) => {
-      // Only remove non-prime attributes that were part of a partial dependency
-      if (!primeAttributes.has(attr)) {
-        remainingAttributes.delete(attr);
-      }
-    });
-  });
+function renameActiveRelation() {
+  const active = Workspace.getActiveRelation(workspace);
+  const name = prompt("New name for the relation:", active.name);
+  if (name === null) return;
 
-  // Ensure at least one full key is present in the remaining schema.
-  // If remainingAttributes doesn't contain a full key, add one.
-  // This usually happens naturally if we didn't aggressively remove primes.
-  let keyInRemaining = false;
-  if (remainingAttributes.size > 0) {
-    for (const key of candidateKeys) {
-      if (isSuperset(remainingAttributes, key)) {
-        keyInRemaining = true;
-        break;
-      }
-    }
-    // Add the remaining attributes as a schema
-    decomposition.push(remainingAttributes);
+  try {
+    Workspace.renameRelation(workspace, workspace.activeIndex, name);
+  } catch (error) {
+    alert(error.message);
+    return;
+  }
+  updateRelationSelect();
+  updateWorkspaceSummary();
+  persistWorkspace();
+}
 
-    if (!keyInRemaining) {
-      console.warn(
-        "2NF: Key loss detected after removing partials. Adding a key schema."
-      );
-      // Add a schema containing just one candidate key if none is covered
-      decomposition.push(new Set(candidateKeys[0]));
-    }
-  } else if (allAttributes.size > 0) {
-    // If removing partial dependencies removed everything, add back a key
-    console.warn(
-      "2NF: All attributes removed by partials. Adding a key schema."
+function deleteActiveRelation() {
+  const active = Workspace.getActiveRelation(workspace);
+  if (!confirm(`Delete relation ${active.name}?`)) return;
+
+  try {
+    Workspace.removeRelation(workspace, workspace.activeIndex);
+  } catch (error) {
+    alert(error.message);
+    return;
+  }
+  loadActiveRelation();
+}
+
+/**
+ * Renders the table of relations with their candidate keys and highest normal form.
+ */
+function updateWorkspaceSummary() {
+  storeActiveRelation();
+  const rows = Workspace.summarizeWorkspace(workspace, {
+    keySearchLimit: SYNC_KEY_SEARCH_LIMIT,
+  })
+    .map((entry, index) => {
+      const keys = entry.candidateKeys
+        ? entry.candidateKeys
+            .map((key) => `{${escapeHTML(setToSortedString(key))}}`)
+            .join(", ") || "—"
+        : "(too many attributes; select it and calculate)";
+      const activeClass =
+        index === workspace.activeIndex ? ' class="active"' : "";
+      return `<tr${activeClass}><td>${escapeHTML(entry.name)}</td><td>${
+        entry.attributes.size
+      }</td><td>${keys}</td><td>${entry.highestNormalForm || "—"}</td></tr>`;
+    })
+    .join("");
+  displayResults(
+    "workspace-summary-result",
+    `<table class="summary-table"><thead><tr><th>Relation</th><th>Attributes</th><th>Candidate Keys</th><th>Normal Form</th></tr></thead><tbody>${rows}</tbody></table>`
+  );
+}
+
+// --- Persistence & Sharing ---
+
+const STORAGE_KEY = "db-schema-normalizer.workspace";
+const SHARE_FRAGMENT_PREFIX = "#schema=";
+// Longest saved workspace that keeps its sample rows (browsers allow about 5 MB per site)
+const MAX_STORED_WORKSPACE_LENGTH = 1000000;
+
+let samplesLeftOutOfStorage = false; // Whether the last save dropped the sample rows
+
+/**
+ * Saves the workspace to localStorage so it survives a page reload. When the sample
+ * rows make it too large, it is saved without them and the sample status says so.
+ */
+function persistWorkspace() {
+  storeActiveRelation();
+  const save = (withSamples) => {
+    const json = JSON.stringify(
+      Workspace.serializeWorkspace(workspace, { withSamples })
     );
-    decomposition.push(new Set(candidateKeys[0]));
-  }
-
-  // Final step: Refine decomposition - remove schemas that are subsets of others
-  const finalDecomposition = [];
-  const sortedDecomp = decomposition
-    .map((s) => ({ set: s, key: setToSortedString(s) }))
-    .sort((a, b) => b.set.size - a.set.size); // Sort by size descending
-
-  for (let i = 0; i < sortedDecomp.length; i++) {
-    let isSubset = false;
-    for (let j = 0; j < i; j++) {
-      // Check against larger sets already added
-      if (isSuperset(sortedDecomp[j].set, sortedDecomp[i].set)) {
-        isSubset = true;
-        break;
-      }
+    if (withSamples && json.length > MAX_STORED_WORKSPACE_LENGTH) return false;
+    localStorage.setItem(STORAGE_KEY, json);
+    return true;
+  };
+  let samplesLeftOut = false;
+  try {
+    let saved = false;
+    try {
+      saved = save(true);
+    } catch (error) {
+      // Over the quota with the sample rows; try again without them
     }
-    if (!isSubset) {
-      // Ensure we don't add duplicate schemas (e.g., if remainingAttrs matched a partial)
-      if (
-        !finalDecomposition.some((existing) =>
-          setsAreEqual(existing, sortedDecomp[i].set)
-        )
-      ) {
-        finalDecomposition.push(sortedDecomp[i].set);
-      }
+    if (!saved) {
+      save(false);
+      samplesLeftOut = workspace.relations.some((relation) => relation.sample);
     }
+  } catch (error) {
+    // Storage may be disabled or full; the page keeps working without it
+    console.warn("Could not save the workspace to localStorage:", error);
   }
+  if (samplesLeftOut !== samplesLeftOutOfStorage) {
+    samplesLeftOutOfStorage = samplesLeftOut;
+    showSampleStatus();
+  }
+}
 
-  return finalDecomposition;
+/**
+ * Replaces the whole workspace and shows its active relation.
+ * @param {object} newWorkspace
+ */
+function applyWorkspace(newWorkspace) {
+  workspace = newWorkspace;
+  loadActiveRelation();
 }
 
 /**
- * Calculates the Minimal Cover (Canonical Cover) of the functional dependencies.
- * @param {Array<{lhs: Set<string>, rhs: Set<string>}>} fds - Input functional dependencies.
- * @returns {Array<{lhs: Set<string>, rhs: Set<string>}>} - Minimal cover FDs.
+ * Opens the workspace of a shared link in the URL fragment, if there is one.
+ * It replaces the current workspace, so the user is asked first when there is one.
+ * @param {boolean} hasWorkspace - Whether a workspace would be replaced.
+ * @returns {boolean} - true if the shared workspace was opened.
  */
-function calculateMinimalCover(fds) {
-  if (fds.length === 0) return [];
+function openSharedWorkspace(hasWorkspace) {
+  if (!location.hash.startsWith(SHARE_FRAGMENT_PREFIX)) return false;
+  let newWorkspace = null;
+  try {
+    newWorkspace = Workspace.decodeWorkspace(
+      location.hash.slice(SHARE_FRAGMENT_PREFIX.length)
+    );
+  } catch (error) {
+    alert(`Could not open the shared schema: ${error.message}`);
+  }
+  // Drop the fragment so a reload shows later edits instead of the link
+  history.replaceState(null, "", location.pathname + location.search);
+  if (
+    !newWorkspace ||
+    (hasWorkspace &&
+      !confirm("Replace the current workspace with the shared schema?"))
+  ) {
+    return false;
+  }
+  applyWorkspace(newWorkspace);
+  return true;
+}
 
-  // Work on a copy
-  let currentFDs = fds.map((fd) => ({
-    lhs: new Set(fd.lhs),
-    rhs: new Set(fd.rhs),
-  }));
+/**
+ * Restores the workspace from a shared link in the URL fragment or, failing
+ * that, from localStorage.
+ * @returns {boolean} - true if a workspace was restored.
+ */
+function restoreWorkspace() {
+  let saved = null;
+  try {
+    saved = localStorage.getItem(STORAGE_KEY);
+  } catch (error) {
+    console.warn("Could not read the saved workspace:", error);
+  }
+  if (openSharedWorkspace(Boolean(saved))) return true;
+  if (!saved) return false;
+  try {
+    applyWorkspace(Workspace.deserializeWorkspace(JSON.parse(saved)));
+    return true;
+  } catch (error) {
+    console.warn("Ignoring unreadable saved workspace:", error);
+    return false;
+  }
+}
 
-  // Step 1: Decompose RHS to singleton attributes
-  let singletonFDs = [];
-  currentFDs.forEach((fd) => {
-    fd.rhs.forEach((attr) => {
-      singletonFDs.push({ lhs: new Set(fd.lhs), rhs: new Set([attr]) });
-    });
-  });
-  currentFDs = singletonFDs;
-
-  // Step 2: Remove redundant attributes from LHS
-  let reducedLHSFDs = [];
-  for (const fd of currentFDs) {
-    let currentLHS = new Set(fd.lhs);
-    // Try removing each attribute from LHS one by one
-    for (const attrToRemove of fd.lhs) {
-      if (currentLHS.size <= 1) break; // Cannot reduce further
-
-      const testLHS = new Set(currentLHS);
-      testLHS.delete(attrToRemove);
-
-      // Check if the attribute in RHS can still be derived without attrToRemove
-      // Closure must be calculated using ALL current FDs (before this specific reduction)
-      const closure = calculateClosure(testLHS, currentFDs);
-      if (closure.has([...fd.rhs][0])) {
-        // Check if the single RHS attribute is in the closure
-        currentLHS = testLHS; // Removal was successful, update LHS for next iteration
-      }
+function exportWorkspaceJSON() {
+  storeActiveRelation();
+  downloadFile(
+    "schema.json",
+    JSON.stringify(Workspace.serializeWorkspace(workspace), null, 2),
+    "application/json"
+  );
+}
+
+/**
+ * Loads a workspace from the JSON file chosen in the file input.
+ * @param {Event} event - The change event of the file input.
+ */
+function importWorkspaceJSON(event) {
+  const file = event.target.files[0];
+  event.target.value = ""; // Allow picking the same file again
+  if (!file) return;
+
+  const reader = new FileReader();
+  reader.onload = () => {
+    let newWorkspace;
+    try {
+      newWorkspace = Workspace.deserializeWorkspace(JSON.parse(reader.result));
+    } catch (error) {
+      alert(`Could not open ${file.name}: ${error.message}`);
+      return;
     }
-    // Add potentially reduced FD, ensuring LHS is not empty
-    if (currentLHS.size > 0) {
-      reducedLHSFDs.push({ lhs: currentLHS, rhs: new Set(fd.rhs) });
+    if (confirm("Replace the current workspace with the opened file?")) {
+      applyWorkspace(newWorkspace);
     }
+  };
+  reader.readAsText(file);
+}
+
+/**
+ * Builds a permalink that encodes the workspace in the URL fragment and copies it.
+ * Links leave the sample rows out (see encodeWorkspace); the user is told when
+ * there are any.
+ */
+function copyShareLink() {
+  storeActiveRelation();
+  const url = `${
+    location.href.split("#")[0]
+  }${SHARE_FRAGMENT_PREFIX}${Workspace.encodeWorkspace(workspace)}`;
+  const note = workspace.relations.some((relation) => relation.sample)
+    ? " The sample rows are not included; use Save JSON to share them."
+    : "";
+
+  if (navigator.clipboard && navigator.clipboard.writeText) {
+    navigator.clipboard
+      .writeText(url)
+      .then(() => alert(`Link copied to the clipboard.${note}`))
+      .catch(() => prompt(`Copy this link.${note}`, url));
+  } else {
+    prompt(`Copy this link.${note}`, url);
   }
-  currentFDs = reducedLHSFDs;
+}
 
-  // Step 3: Remove redundant FDs
-  let minimalCover = [];
-  for (let i = 0; i < currentFDs.length; i++) {
-    const fdToCheck = currentFDs[i];
-    // Temporarily remove fdToCheck and see if its RHS can still be derived from its LHS using the *other* FDs
-    const otherFDs = currentFDs.filter((_, index) => index !== i);
+/**
+ * Opens a shared link pasted into the address bar of an already open page.
+ */
+function handleHashChange() {
+  openSharedWorkspace(true);
+}
 
-    const closure = calculateClosure(fdToCheck.lhs, otherFDs);
+// --- Normal Form Report ---
 
-    // If the RHS attribute is NOT in the closure calculated WITHOUT this FD, then the FD is necessary.
-    if (!closure.has([...fdToCheck.rhs][0])) {
-      minimalCover.push(fdToCheck);
-    }
-  }
+const VIOLATION_LABELS = {
+  partial: "Partial dependency",
+  transitive: "Transitive dependency",
+  "non-superkey": "Non-superkey determinant",
+  multivalued: "Multivalued dependency",
+  join: "Join dependency",
+};
 
-  // Optional Step 4: Combine FDs with the same LHS (often done for presentation)
-  const combinedFDsMap = new Map();
-  minimalCover.forEach((fd) => {
-    const lhsKey = setToSortedString(fd.lhs);
-    if (!combinedFDsMap.has(lhsKey)) {
-      combinedFDsMap.set(lhsKey, { lhs: fd.lhs, rhs: new Set() });
+/**
+ * Renders attribute names with key attributes and non-prime attributes highlighted.
+ * @param {Set<string>} attrs
+ * @param {Set<string>} primeAttributes
+ * @returns {string} HTML, e.g. "{A, B}"
+ */
+function formatHighlightedAttributes(attrs, primeAttributes) {
+  return `{${Array.from(attrs)
+    .sort()
+    .map(
+      (attr) =>
+        `<span class="${
+          primeAttributes.has(attr) ? "key-attr" : "non-prime-attr"
+        }">${escapeHTML(attr)}</span>`
+    )
+    .join(", ")}}`;
+}
+
+/**
+ * Renders the normal-form ladder from 1NF up to 5NF, each rung with its verdict
+ * and evidence, followed by every violating FD, MVD or JD with its classification.
+ * Violating FDs come with an example of the anomalies they cause.
+ * @param {object} normalForms - Result of checkNormalForms.
+ * @param {Array<object>} ladder - Result of buildNormalFormLadder.
+ * @param {Array<Set<string>>} candidateKeys
+ * @param {{attributes: Set<string>, fds: Array}} relation - The relation checked
+ *   (for MVD complements and anomaly examples).
+ * @returns {string} HTML
+ */
+function renderNormalFormReport(normalForms, ladder, candidateKeys, relation) {
+  const prime = getPrimeAttributes(candidateKeys);
+  const status = (holds) =>
+    holds === null ? "➖ Not decided" : holds ? "✅ Yes" : "❌ No";
+
+  let html = `<p class="nf-verdict"><b>Highest normal form:</b> ${getHighestNormalForm(
+    normalForms
+  )}</p>`;
+  html += `<ol class="nf-status">`;
+  ladder.forEach((rung) => {
+    const [summary, ...details] = rung.evidence;
+    html += `<li class="nf-rung${rung.holds === false ? " broken" : ""}"><b>${
+      rung.form
+    }:</b> ${status(rung.holds)} — ${escapeHTML(summary)}`;
+    if (details.length > 0) {
+      html += `<ul>${details
+        .map((line) => `<li>${escapeHTML(line)}</li>`)
+        .join("")}</ul>`;
+    }
+    if (rung.elementaryFDs) {
+      html += `<details><summary>Elementary FDs (${
+        rung.elementaryFDs.length
+      })</summary><ul>${rung.elementaryFDs
+        .map((fd) => `<li>${escapeHTML(fdToString(fd))}</li>`)
+        .join("")}</ul></details>`;
     }
-    fd.rhs.forEach((attr) => combinedFDsMap.get(lhsKey).rhs.add(attr));
+    html += "</li>";
   });
+  html += "</ol>";
+
+  if (normalForms.classified.length === 0) return html;
+
+  html += `<div class="violations"><p>Violations (<span class="key-attr">key attribute</span>, <span class="non-prime-attr">non-prime attribute</span>):</p><ul>`;
+  normalForms.classified.forEach((violation) => {
+    const { fd, type, key, violates } = violation;
+    if (type === "join") {
+      html += `<li><span class="violation-type join">${
+        VIOLATION_LABELS.join
+      }</span> ${violation.jd
+        .map((component) => formatHighlightedAttributes(component, prime))
+        .join(
+          " ⋈ "
+        )}: the relation is the join of these projections, but no chain of candidate keys links them, so the same facts are stored in several tuples. Breaks ${violates.join(
+        ", "
+      )}.</li>`;
+      return;
+    }
+    const lhs = formatHighlightedAttributes(fd.lhs, prime);
+    let reason;
+    if (type === "partial") {
+      reason = `${formatHighlightedAttributes(
+        violation.nonPrime,
+        prime
+      )} depends on ${lhs}, a proper subset of key ${formatHighlightedAttributes(
+        key,
+        prime
+      )}`;
+    } else if (type === "transitive") {
+      reason = `${formatHighlightedAttributes(
+        violation.nonPrime,
+        prime
+      )} depends on ${lhs}, which is not a superkey (key → ${lhs} → non-prime)`;
+    } else if (type === "multivalued") {
+      const complement = complementMVD(fd, relation.attributes);
+      reason = `${lhs} is not a superkey, so its ${formatHighlightedAttributes(
+        fd.rhs,
+        prime
+      )} values are repeated for every ${formatHighlightedAttributes(
+        complement.rhs,
+        prime
+      )} value (by complementation also ${lhs} ↠ ${formatHighlightedAttributes(
+        complement.rhs,
+        prime
+      )})`;
+    } else {
+      reason = violates.includes("EKNF")
+        ? `${lhs} is not a superkey and not every attribute depending on it belongs to an elementary key`
+        : `${lhs} is not a superkey; only prime attributes depend on it`;
+    }
+    html += `<li><span class="violation-type ${type}">${
+      VIOLATION_LABELS[type]
+    }</span> ${lhs} ${
+      type === "multivalued" ? "↠" : "→"
+    } ${formatHighlightedAttributes(
+      fd.rhs,
+      prime
+    )}: ${reason}. Breaks ${violates.join(", ")}.${
+      type === "multivalued"
+        ? ""
+        : renderAnomalyExample(
+            Anomalies.buildAnomalyExample(relation, candidateKeys, violation)
+          )
+    }</li>`;
+  });
+  html += "</ul></div>";
+  return html;
+}
 
-  return Array.from(combinedFDsMap.values());
+/**
+ * Renders an example instance as a table with numbered rows. Changed cells are
+ * highlighted and the deleted row is struck through; null values show as NULL.
+ * @param {{columns: string[], rows: Array<Array<string|null>>}} table
+ * @param {{changed?: {row: number, columns: string[]}, deleted?: number}} [marks]
+ * @returns {string} HTML
+ */
+function renderExampleTable(table, marks = {}) {
+  const { changed, deleted } = marks;
+  return `<table class="tableau"><tr><th></th>${table.columns
+    .map((column) => `<th>${escapeHTML(column)}</th>`)
+    .join("")}</tr>${table.rows
+    .map(
+      (row, i) =>
+        `<tr${i === deleted ? ' class="deleted"' : ""}><th>${i + 1}</th>${row
+          .map((value, j) =>
+            value === null
+              ? '<td class="changed"><i>NULL</i></td>'
+              : `<td${
+                  changed &&
+                  changed.row === i &&
+                  changed.columns.includes(table.columns[j])
+                    ? ' class="changed"'
+                    : ""
+                }>${escapeHTML(value)}</td>`
+          )
+          .join("")}</tr>`
+    )
+    .join("")}</table>`;
 }
 
 /**
- * Calculates the 3NF decomposition using the Synthesis Algorithm.
- * Ensures Lossless Join and Dependency Preservation.
- * @param {Array<Set<string>>} candidateKeys - Pre-calculated candidate keys.
- * @returns {Array<Set<string>>} - Array of relation schemas (Sets of attributes).
+ * Renders the update, insertion and deletion anomalies of a violating FD on a small
+ * example instance, and the split that removes them.
+ * @param {object} example - Result of Anomalies.buildAnomalyExample.
+ * @returns {string} HTML
  */
-function calculate3NFDecomposition(candidateKeys) {
-  // Step 1: Find a Minimal Cover
-  const minimalCover = calculateMinimalCover(functionalDependencies);
-  if (minimalCover.length === 0 && allAttributes.size > 0) {
-    // If no FDs, the whole relation is the only schema
-    return [new Set(allAttributes)];
-  }
+function renderAnomalyExample(example) {
+  const { instance, update, insertion, deletion, projections, fixes } = example;
+  const withInserted = {
+    columns: instance.columns,
+    rows: instance.rows.concat([insertion.row]),
+  };
+  let html = `<details class="anomaly-example"><summary>Show anomalies</summary>`;
+  html += `<p>An instance that satisfies every FD:</p>${renderExampleTable(
+    instance
+  )}`;
+  html += `<p><b>Update anomaly.</b> ${escapeHTML(
+    update.description
+  )}</p>${renderExampleTable(update.after, {
+    changed: { row: update.row, columns: update.columns },
+  })}`;
+  html += `<p><b>Insertion anomaly.</b> ${escapeHTML(
+    insertion.description
+  )}</p>${renderExampleTable(withInserted)}`;
+  html += `<p><b>Deletion anomaly.</b> ${escapeHTML(
+    deletion.description
+  )}</p>${renderExampleTable(instance, { deleted: deletion.row })}`;
+  html += `<p><b>After the split</b> into ${projections
+    .map(
+      (projection, i) =>
+        `R${i + 1}(${escapeHTML(projection.columns.join(", "))})`
+    )
+    .join(" and ")}:</p>${projections
+    .map((projection) => renderExampleTable(projection))
+    .join("")}<ul>${[fixes.update, fixes.insertion, fixes.deletion]
+    .map((fix) => `<li>${escapeHTML(fix)}</li>`)
+    .join("")}</ul></details>`;
+  return html;
+}
 
-  // Step 2: Create relation schemas for each FD in the minimal cover
-  const decompositionSchemas = new Map(); // Use Map for uniqueness: key=sorted_string, value=Set<string>
-  for (const fd of minimalCover) {
-    const schemaAttributes = getFDAttributes(fd); // Combine LHS U RHS
-    const schemaKey = setToSortedString(schemaAttributes);
-    if (!decompositionSchemas.has(schemaKey)) {
-      decompositionSchemas.set(schemaKey, schemaAttributes);
-    }
+/**
+ * Renders the 1NF verdict for a relation with non-atomic attributes: what breaks
+ * 1NF, how the transformation fixes it and a button to apply it to the workspace.
+ * @param {object} firstNormalForm - analysis.firstNormalForm from analyzeRelation.
+ * @returns {string} HTML
+ */
+function renderFirstNormalFormReport(firstNormalForm) {
+  let html = `<p class="nf-verdict"><b>Normal form as entered:</b> UNF (not in 1NF)</p>`;
+  html += `<div class="violations"><p>Non-atomic attributes:</p><ul>${firstNormalForm.violations
+    .map((violation) => `<li>${escapeHTML(violation)}</li>`)
+    .join("")}</ul></div>`;
+  html += `<p><u>1NF Transformation:</u></p><ol>${firstNormalForm.steps
+    .map((step) => `<li>${escapeHTML(step.description)}</li>`)
+    .join("")}</ol>`;
+  html += `<ul><li>R(${escapeHTML(
+    setToSortedString(firstNormalForm.relation.attributes)
+  )})</li>${firstNormalForm.relations
+    .map(
+      (rel) =>
+        `<li>R_${escapeHTML(rel.name)}(${escapeHTML(
+          setToSortedString(rel.attributes)
+        )})</li>`
+    )
+    .join("")}</ul>`;
+  html += `<button onclick="applyFirstNormalForm()">Apply 1NF transformation</button>`;
+  html += `<p class="property-note">The rest of this report is about the 1NF relation R(${escapeHTML(
+    setToSortedString(firstNormalForm.relation.attributes)
+  )}).</p>`;
+  return html;
+}
+
+/**
+ * Replaces the active relation with its 1NF relation and adds each relation split
+ * off for a multivalued attribute to the workspace as "<relation>_<attribute>".
+ * Relations that already carry one of these names are overwritten.
+ */
+function applyFirstNormalForm() {
+  if (!lastCalculation || !lastCalculation.analysis.firstNormalForm) return;
+  const { relation, relations } = lastCalculation.analysis.firstNormalForm;
+  storeActiveRelation();
+  const activeIndex = workspace.activeIndex;
+  const active = Workspace.getActiveRelation(workspace);
+  const names = relations.map((rel) => `${active.name}_${rel.name}`);
+  const existing = names.filter((name) => findRelationIndex(name) !== -1);
+  if (
+    existing.length > 0 &&
+    !confirm(`Replace the existing relations ${existing.join(", ")}?`)
+  ) {
+    return;
   }
 
-  // Step 3: Check if any schema contains a candidate key
-  let keyIsCovered = false;
-  if (candidateKeys.length > 0) {
-    for (const schemaAttributes of decompositionSchemas.values()) {
-      for (const key of candidateKeys) {
-        if (isSuperset(schemaAttributes, key)) {
-          keyIsCovered = true;
-          break;
-        }
-      }
-      if (keyIsCovered) break;
+  workspace.relations[activeIndex] = Workspace.createNamedRelation(
+    active.name,
+    relation
+  );
+  relations.forEach((rel, i) => {
+    const index = findRelationIndex(names[i]);
+    if (index !== -1) {
+      workspace.relations[index] = Workspace.createNamedRelation(
+        workspace.relations[index].name,
+        rel
+      );
+    } else {
+      Workspace.addRelation(workspace, names[i], rel);
     }
+  });
+  workspace.activeIndex = activeIndex;
+  loadActiveRelation();
+}
+
+// --- Explain Mode ---
+
+/**
+ * Renders a derivation trace from the engine as a collapsible, numbered list.
+ * Entries with sub-steps (e.g. the closure behind a key) get a nested list.
+ * @param {string} title
+ * @param {Array<{description: string, steps?: Array<object>}>} trace
+ * @returns {string} HTML
+ */
+function renderDerivation(title, trace) {
+  const renderSteps = (steps) =>
+    `<ol>${steps
+      .map(
+        (step) =>
+          `<li>${escapeHTML(step.description)}${
+            step.steps && step.steps.length > 0 ? renderSteps(step.steps) : ""
+          }</li>`
+      )
+      .join("")}</ol>`;
+  return `<details class="derivation"><summary>${escapeHTML(title)}</summary>${
+    trace.length > 0 ? renderSteps(trace) : "<p>No steps needed.</p>"
+  }</details>`;
+}
+
+/**
+ * Re-runs the last calculation when explain mode is switched on or off.
+ */
+function toggleExplainMode() {
+  if (lastCalculation) calculate();
+}
+
+// --- Dependency Graph ---
+
+/**
+ * Draws the FDs of the last calculation as a graph: attribute nodes coloured as
+ * key, prime or non-prime, and FD hyperedges coloured by the violation they cause.
+ */
+function renderDependencyGraph() {
+  const { relation, analysis } = lastCalculation;
+  const layout = DependencyGraph.layoutDependencyGraph(
+    relation,
+    analysis.candidateKeys,
+    analysis.normalForms ? analysis.normalForms.classified : []
+  );
+  graphSelection = new Set();
+  displayResults(
+    "dependency-graph-result",
+    `<p class="graph-legend"><span class="attribute-node key">key</span> <span class="attribute-node prime">prime</span> <span class="attribute-node non-prime">non-prime</span> <span class="violation-type partial">partial</span> <span class="violation-type transitive">transitive</span> <span class="violation-type non-superkey">non-superkey</span></p><div class="graph-canvas">${DependencyGraph.renderDependencyGraphSVG(
+      layout
+    )}</div><p id="graph-closure" class="graph-closure">Click attributes or an FD to see the closure.</p>`
+  );
+}
+
+/**
+ * Handles clicks in the graph: an attribute is added to or removed from the
+ * selection, an FD selects its left-hand side, anything else clears it.
+ * @param {MouseEvent} event
+ */
+function handleDependencyGraphClick(event) {
+  if (!lastCalculation || !event.target.closest) return;
+  const node = event.target.closest("[data-attribute]");
+  const edge = event.target.closest("[data-fd]");
+  if (node) {
+    const attr = node.getAttribute("data-attribute");
+    if (graphSelection.has(attr)) graphSelection.delete(attr);
+    else graphSelection.add(attr);
+  } else if (edge) {
+    const fd =
+      lastCalculation.relation.fds[Number(edge.getAttribute("data-fd"))];
+    graphSelection = new Set(fd.lhs);
+  } else if (event.target.closest(".graph-canvas")) {
+    graphSelection = new Set();
   } else {
-    // Should have been handled by candidate key finding or earlier checks
-    console.warn(
-      "3NF: No candidate keys provided or found. Decomposition might be incomplete."
+    return;
+  }
+  highlightGraphClosure();
+}
+
+/**
+ * Highlights the selected attributes, their closure and the FDs it applies.
+ */
+function highlightGraphClosure() {
+  const container = document.getElementById("dependency-graph-result");
+  const { relation } = lastCalculation;
+  const closure = calculateClosure(graphSelection, relation.fds);
+  const selected = graphSelection.size > 0;
+  container.classList.toggle("has-selection", selected);
+  container.querySelectorAll("[data-attribute]").forEach((node) => {
+    const attr = node.getAttribute("data-attribute");
+    node.classList.toggle("selected", graphSelection.has(attr));
+    node.classList.toggle("in-closure", selected && closure.has(attr));
+  });
+  container.querySelectorAll("[data-fd]").forEach((edge) => {
+    const fd = relation.fds[Number(edge.getAttribute("data-fd"))];
+    edge.classList.toggle(
+      "active",
+      selected && Array.from(fd.lhs).every((attr) => closure.has(attr))
     );
-    // If attributes exist but no keys, maybe the original relation is the only schema?
-    // Or maybe the key finding failed. For now, proceed assuming minimal cover schemas are it.
-  }
-
-  // Step 4: Add a candidate key relation IF none was covered
-  if (!keyIsCovered && candidateKeys.length > 0) {
-    // Select one candidate key (e.g., the first one) and add its schema
-    const keyToAdd = candidateKeys[0];
-    const schemaKey = setToSortedString(keyToAdd);
-    // Add the key schema if it's not already somehow present
-    if (!decompositionSchemas.has(schemaKey)) {
-      decompositionSchemas.set(schemaKey, keyToAdd);
-    }
+  });
+  document.getElementById("graph-closure").textContent = selected
+    ? `{${setToSortedString(graphSelection)}}+ = {${setToSortedString(
+        closure
+      )}}${closure.size === relation.attributes.size ? " (superkey)" : ""}`
+    : "Click attributes or an FD to see the closure.";
+}
+
+// --- Decomposition Selection ---
+
+const DECOMPOSITION_LABELS = {
+  "3NF": "3NF Decomposition (Synthesis)",
+  BCNF: "BCNF Decomposition",
+  "4NF": "4NF Decomposition",
+  "5NF": "5NF Decomposition",
+  "2NF": "2NF Decomposition",
+};
+const CUSTOM_DECOMPOSITION_OPTION = "custom";
+
+/**
+ * Returns the relation schemas of the decomposition chosen in a selector.
+ * @param {string} selectId - ID of the decomposition <select>.
+ * @returns {Array<Set<string>>|null}
+ */
+function getSelectedDecomposition(selectId) {
+  if (!lastCalculation) return null;
+  const choice = document.getElementById(selectId).value;
+  if (choice === "original") {
+    return [new Set(lastCalculation.relation.attributes)];
   }
+  return lastCalculation.analysis.decompositions[choice] || null;
+}
 
-  // Step 5: Refine decomposition - remove schemas that are subsets of others
-  const finalDecompositionSets = [];
-  const sortedSchemas = Array.from(decompositionSchemas.values()).sort(
-    (a, b) => b.size - a.size
-  ); // Sort by size descending
-
-  for (let i = 0; i < sortedSchemas.length; i++) {
-    let isSubset = false;
-    for (let j = 0; j < finalDecompositionSets.length; j++) {
-      // Check against those already added
-      if (setsAreEqual(sortedSchemas[i], finalDecompositionSets[j])) {
-        // Check exact duplicate
-        isSubset = true; // Treat as subset to avoid adding again
-        break;
-      }
-      if (isSuperset(finalDecompositionSets[j], sortedSchemas[i])) {
-        // Check if it's a subset of an existing one
-        isSubset = true;
-        break;
-      }
-      // Also check if an existing one is a subset of the current one
-      if (isProperSuperset(sortedSchemas[i], finalDecompositionSets[j])) {
-        // If the current schema makes an already added one redundant, remove the smaller one
-        finalDecompositionSets.splice(j, 1);
-        j--; // Adjust index after removal
+/**
+ * Lists the decompositions of the last calculation in the export and lossless-join selectors.
+ */
+function updateDecompositionSelects() {
+  ["export-decomposition", "lossless-decomposition"].forEach((selectId) => {
+    const select = document.getElementById(selectId);
+    select.innerHTML = "";
+    Object.keys(DECOMPOSITION_LABELS)
+      .filter((form) => lastCalculation.analysis.decompositions[form])
+      .forEach((form) =>
+        select.add(new Option(DECOMPOSITION_LABELS[form], form))
+      );
+    select.add(new Option("Original relation", "original"));
+  });
+  document
+    .getElementById("lossless-decomposition")
+    .add(new Option("Custom (enter below)", CUSTOM_DECOMPOSITION_OPTION));
+  document.getElementById("sql-export-result").textContent = "";
+  document.getElementById("lossless-result").innerHTML = "";
+  document.getElementById("sample-join-result").innerHTML = "";
+}
+
+// --- Lossless-Join Check ---
+
+/**
+ * Summarizes the chase result for a decomposition shown in the results panel.
+ * @param {{attributes: Set<string>, fds: Array}} relation
+ * @param {Array<Set<string>>} decomposition
+ * @returns {string} HTML
+ */
+function describeLosslessJoin(relation, decomposition) {
+  const { lossless } = Chase.checkLosslessJoin(
+    relation.attributes,
+    decomposition,
+    relation.fds,
+    relation.mvds,
+    relation.jds
+  );
+  return `<p class="property-note">Lossless join (chase): ${
+    lossless ? "✅ Yes" : "❌ No"
+  }</p>`;
+}
+
+/**
+ * Summarizes whether a decomposition preserves the relation's FDs, listing the lost ones.
+ * @param {{attributes: Set<string>, fds: Array}} relation
+ * @param {Array<Set<string>>} decomposition
+ * @returns {string} HTML
+ */
+function describeDependencyPreservation(relation, decomposition) {
+  const { preserved, lostFDs } = checkDependencyPreservation(
+    decomposition,
+    relation.fds
+  );
+  if (preserved) {
+    return '<p class="property-note">Dependency preserving: ✅ Yes</p>';
+  }
+  return `<p class="property-note">Dependency preserving: ❌ No — lost: ${lostFDs
+    .map((fd) => escapeHTML(fdToString(fd)))
+    .join(", ")}</p>`;
+}
+
+/**
+ * Notes the schemas of a decomposition that were kept without a complete search
+ * for violations of its normal form (see analysis.unverified).
+ * @param {object} analysis - Result of analyzeRelation.
+ * @param {string} form - "BCNF", "4NF" or "5NF".
+ * @returns {string} HTML, empty when every schema was checked.
+ */
+function describeUnverifiedSchemas(analysis, form) {
+  const schemas = analysis.unverified && analysis.unverified[form];
+  if (!schemas) return "";
+  return `<p class="property-note">⚠️ Not fully checked (too many attribute sets to try): ${schemas
+    .map((schema) => `R(${escapeHTML(setToSortedString(schema))})`)
+    .join(", ")}</p>`;
+}
+
+/**
+ * Renders a chase tableau as an HTML table. Cells that differ from the
+ * previous tableau are highlighted, as are rows added by an MVD or JD (labelled t<n>).
+ * @param {string[]} columns
+ * @param {Array<Array<string>>} tableau
+ * @param {Array<Array<string>>|null} previous
+ * @param {number|null} highlightRow - 1-based row to mark as all-distinguished.
+ * @param {number} [schemaCount] - Rows that stand for decomposed relations.
+ * @returns {string} HTML
+ */
+function renderTableau(
+  columns,
+  tableau,
+  previous = null,
+  highlightRow = null,
+  schemaCount = tableau.length
+) {
+  const formatSymbol = (symbol) => `${symbol[0]}<sub>${symbol.slice(1)}</sub>`;
+  const header = columns.map((column) => `<th>${escapeHTML(column)}</th>`);
+  const rows = tableau.map((row, i) => {
+    const cells = row.map((symbol, j) => {
+      const classes = [];
+      if (Chase.isDistinguished(symbol)) classes.push("distinguished");
+      if (previous && (!previous[i] || previous[i][j] !== symbol)) {
+        classes.push("changed");
       }
-    }
-    if (!isSubset) {
-      finalDecompositionSets.push(sortedSchemas[i]);
-    }
+      return `<td class="${classes.join(" ")}">${formatSymbol(symbol)}</td>`;
+    });
+    const rowClass = highlightRow === i + 1 ? ' class="lossless-row"' : "";
+    const label = i < schemaCount ? `R${i + 1}` : `t${i + 1}`;
+    return `<tr${rowClass}><th>${label}</th>${cells.join("")}</tr>`;
+  });
+  return `<table class="tableau"><thead><tr><th></th>${header.join(
+    ""
+  )}</tr></thead><tbody>${rows.join("")}</tbody></table>`;
+}
+
+/**
+ * Reads the decomposition chosen in the lossless-join selector, or parses the custom
+ * one, together with the relation it decomposes. Problems are reported with alert().
+ * @returns {{relation: object, decomposition: Array<Set<string>>}|null}
+ */
+function readChosenDecomposition() {
+  const choice = document.getElementById("lossless-decomposition").value;
+  if (choice !== CUSTOM_DECOMPOSITION_OPTION && lastCalculation) {
+    return {
+      relation: lastCalculation.relation,
+      decomposition: getSelectedDecomposition("lossless-decomposition"),
+    };
   }
 
-  return finalDecompositionSets;
+  updateAllAttributes();
+  const relation = getCurrentRelation();
+  const { schemas, errors } = parseDecompositionText(
+    document.getElementById("custom-decomposition").value,
+    relation.attributes
+  );
+  if (errors.length > 0) {
+    alert(errors.map((err) => `Line ${err.line}: ${err.message}`).join("\n"));
+    return null;
+  }
+  if (schemas.length === 0) {
+    alert("Please enter a decomposition, e.g. R1(A, B); R2(B, C).");
+    return null;
+  }
+  const unknown = schemas
+    .flatMap((schema) => Array.from(schema))
+    .filter((attr) => !relation.attributes.has(attr));
+  if (unknown.length > 0) {
+    alert(`Unknown attributes: ${Array.from(new Set(unknown)).join(", ")}`);
+    return null;
+  }
+  return { relation, decomposition: schemas };
 }
 
 /**
- * Calculates the BCNF decomposition using the Analysis Algorithm.
- * Ensures Lossless Join but may not preserve all dependencies.
- * @returns {Array<Set<string>>} - Array of relation schemas (Sets of attributes).
+ * Runs the chase on the chosen (or user-entered) decomposition and shows every step.
  */
-function calculateBCNFDecomposition() {
-  if (allAttributes.size === 0) return [];
+function checkLosslessJoinUI() {
+  const chosen = readChosenDecomposition();
+  if (!chosen) return;
+  const { relation, decomposition } = chosen;
+
+  const result = Chase.checkLosslessJoin(
+    relation.attributes,
+    decomposition,
+    relation.fds,
+    relation.mvds,
+    relation.jds
+  );
 
-  let resultSchemas = new Set(); // Store final schemas as sorted strings to ensure uniqueness
-  let relationsToProcess = [new Set(allAttributes)]; // Start with the universal relation
+  let html = `<ul>${decomposition
+    .map(
+      (schema, i) =>
+        `<li>R${i + 1}(${escapeHTML(setToSortedString(schema))})</li>`
+    )
+    .join("")}</ul>`;
+  html += "<p><b>Initial tableau</b></p>";
+  html += renderTableau(result.columns, result.initialTableau);
+
+  if (result.steps.length > 0) {
+    html += `<details><summary>Show ${result.steps.length} chase step(s)</summary>`;
+    let previous = result.initialTableau;
+    const rowLabel = (row) =>
+      row <= decomposition.length ? `R${row}` : `t${row}`;
+    result.steps.forEach((step, index) => {
+      if (step.join) {
+        html += `<p>Step ${index + 1}: ${escapeHTML(step.fd)} — rows ${step.rows
+          .map(rowLabel)
+          .join(", ")} agree wherever the components overlap, so row t${
+          step.added
+        } joins their component columns</p>`;
+      } else if (step.added) {
+        html += `<p>Step ${index + 1}: ${escapeHTML(step.fd)} — rows ${step.rows
+          .map(rowLabel)
+          .join(" and ")} agree on the LHS, so row t${
+          step.added
+        } takes the LHS and RHS columns from ${rowLabel(
+          step.rows[0]
+        )} and the rest from ${rowLabel(step.rows[1])}</p>`;
+      } else {
+        html += `<p>Step ${index + 1}: ${escapeHTML(step.fd)} — rows ${step.rows
+          .map(rowLabel)
+          .join(", ")} agree on the LHS, so ${step.replaced
+          .map((symbol) => `${symbol[0]}<sub>${symbol.slice(1)}</sub>`)
+          .join(", ")} := ${step.by[0]}<sub>${step.by.slice(
+          1
+        )}</sub> in column ${escapeHTML(step.attribute)}</p>`;
+      }
+      html += renderTableau(
+        result.columns,
+        step.tableau,
+        previous,
+        null,
+        decomposition.length
+      );
+      previous = step.tableau;
+    });
+    html += "</details>";
+  } else {
+    html += "<p>No dependency applies to the tableau.</p>";
+  }
 
-  const processedRelations = new Set(); // Keep track of relations already processed to avoid infinite loops
+  html += "<p><b>Final tableau</b></p>";
+  html += renderTableau(
+    result.columns,
+    result.finalTableau,
+    null,
+    result.losslessRow,
+    decomposition.length
+  );
+  if (result.lossless) {
+    html += `<p class="property-note">✅ Lossless: row ${
+      result.losslessRow <= decomposition.length
+        ? `R${result.losslessRow}`
+        : `t${result.losslessRow}`
+    } consists of distinguished symbols only.</p>`;
+  } else {
+    html += `<p class="property-note">❌ Lossy: no row consists of distinguished symbols only${
+      result.uncoveredAttributes.length > 0
+        ? ` (attributes not in any relation: ${escapeHTML(
+            result.uncoveredAttributes.join(", ")
+          )})`
+        : ""
+    }.</p>`;
+  }
+  displayResults("lossless-result", html);
+}
 
-  while (relationsToProcess.length > 0) {
-    const currentRelationSet = relationsToProcess.pop();
-    const currentRelationString = setToSortedString(currentRelationSet);
+// --- Minimal Covers ---
 
-    // Avoid reprocessing the same relation schema (important for cycles)
-    if (processedRelations.has(currentRelationString)) {
-      continue;
-    }
-    processedRelations.add(currentRelationString);
-
-    let foundViolation = false;
-
-    // Check all original FDs against the current sub-relation
-    for (const fd of functionalDependencies) {
-      const lhs = fd.lhs;
-      const rhs = fd.rhs;
-
-      // The FD (X->Y) is relevant to R if X and Y are both subsets of R's attributes
-      if (
-        isSuperset(currentRelationSet, lhs) &&
-        isSuperset(currentRelationSet, rhs)
-      ) {
-        // Trivial check within the context of R
-        if (isSuperset(lhs, rhs)) continue; // Trivial FD doesn't cause violation
-
-        // Check BCNF condition: Is LHS a superkey of the *current relation*?
-        // Calculate closure of LHS using *only FDs projected onto currentRelationSet*
-        // Simplification: Use all FDs, but check closure against currentRelationSet attributes
-        const lhsClosure = calculateClosure(lhs, functionalDependencies);
-
-        // Intersect closure with current relation's attributes
-        const projectedClosure = new Set(
-          [...lhsClosure].filter((attr) => currentRelationSet.has(attr))
-        );
+/**
+ * Formats a list of schemas as "R(A, B), R(B, C)".
+ * @param {Array<Set<string>>} schemas
+ * @returns {string} HTML
+ */
+function formatSchemaList(schemas) {
+  return schemas
+    .map((schema) => `R(${escapeHTML(setToSortedString(schema))})`)
+    .join(", ");
+}
 
-        // Is LHS a superkey for currentRelationSet? (Does its projected closure equal currentRelationSet?)
-        const isLhsSuperkeyForRelation = setsAreEqual(
-          projectedClosure,
-          currentRelationSet
-        );
+/**
+ * Lists every minimal cover of the last calculation's FDs, each selectable as the
+ * basis of the 3NF synthesis.
+ */
+function enumerateMinimalCoversUI() {
+  if (!lastCalculation) {
+    alert("Please run Calculate All first.");
+    return;
+  }
+  const { covers, complete } = enumerateMinimalCovers(
+    lastCalculation.relation.fds
+  );
+  minimalCovers = covers;
+
+  let html = `<p>${covers.length} minimal cover(s)${
+    complete ? "" : " (search capped; more may exist)"
+  }. Pick the one the 3NF synthesis should use:</p><ul class="nf-status">`;
+  covers.forEach((cover, index) => {
+    html += `<li><label><input type="radio" name="minimal-cover" value="${index}"${
+      index === 0 ? " checked" : ""
+    } onchange="selectMinimalCover(${index})" /> ${
+      cover.map((fd) => escapeHTML(fdToString(fd))).join("; ") || "(empty)"
+    }${index === 0 ? " <i>(default)</i>" : ""}</label></li>`;
+  });
+  html += `</ul><div id="minimal-cover-synthesis"></div>`;
+  displayResults("minimal-covers-result", html);
+  selectMinimalCover(0);
+}
 
-        if (!isLhsSuperkeyForRelation) {
-          // BCNF Violation found: FD {lhs} -> {rhs} in relation {currentRelationSet}
-          foundViolation = true;
-
-          // Decompose currentRelationSet based on the violating FD (X -> Y)
-          // R1 = X U Y
-          const r1 = new Set([...lhs, ...rhs]);
-          // Ensure R1 only contains attributes from the original relation being split
-          const validR1 = new Set(
-            [...r1].filter((attr) => currentRelationSet.has(attr))
-          );
-
-          // R2 = X U (R - (Y - X))  which simplifies to X U (R - Y)
-          const rMinusY = new Set(
-            [...currentRelationSet].filter((attr) => !rhs.has(attr))
-          );
-          const r2 = new Set([...lhs, ...rMinusY]);
-          const validR2 = new Set(
-            [...r2].filter((attr) => currentRelationSet.has(attr))
-          ); // Ensure R2 is also valid
-
-          // Add the two new relations to be processed, replacing the current one
-          // Check for non-empty results before adding
-          if (validR1.size > 0) relationsToProcess.push(validR1);
-          if (validR2.size > 0 && !setsAreEqual(validR1, validR2))
-            relationsToProcess.push(validR2); // Avoid adding same relation twice if R1=R2
-
-          break; // Stop checking FDs for this relation and process the decomposed parts
-        }
-      }
-    } // End loop through FDs for currentRelationSet
+/**
+ * Synthesizes 3NF from the chosen minimal cover, shows how the result differs from
+ * the default cover's and makes it the 3NF decomposition offered for export and
+ * the lossless-join check.
+ * @param {number} index - Index into minimalCovers.
+ */
+function selectMinimalCover(index) {
+  const cover = minimalCovers[index];
+  if (!cover || !lastCalculation) return;
+  const { relation, analysis } = lastCalculation;
+  if (analysis.candidateKeys.length === 0) {
+    displayResults(
+      "minimal-cover-synthesis",
+      "<p>Cannot synthesize 3NF without candidate keys.</p>"
+    );
+    return;
+  }
 
-    // If no BCNF violation was found for this relation, it's in BCNF. Add it to the result.
-    if (!foundViolation) {
-      // Add the sorted string representation to the result set for uniqueness
-      if (currentRelationSet.size > 0) {
-        resultSchemas.add(setToSortedString(currentRelationSet));
-      }
+  const synthesize = (chosen) =>
+    calculate3NFDecomposition(relation, analysis.candidateKeys, null, chosen);
+  const decomposition = synthesize(cover);
+  let html = `<p><u>3NF synthesis from cover ${
+    index + 1
+  }:</u></p><ul>${decomposition
+    .map((schema) => `<li>R(${escapeHTML(setToSortedString(schema))})</li>`)
+    .join("")}</ul>`;
+  html += describeLosslessJoin(relation, decomposition);
+  html += describeDependencyPreservation(relation, decomposition);
+  if (index > 0) {
+    const { kept, removed, added } = diffDecompositions(
+      synthesize(minimalCovers[0]),
+      decomposition
+    );
+    html += `<ul class="decomposition-diff">${
+      added.length > 0
+        ? `<li class="added">+ ${formatSchemaList(added)}</li>`
+        : ""
+    }${
+      removed.length > 0
+        ? `<li class="removed">− ${formatSchemaList(removed)}</li>`
+        : ""
+    }${kept.length > 0 ? `<li>= ${formatSchemaList(kept)}</li>` : ""}</ul>`;
+    if (added.length === 0 && removed.length === 0) {
+      html += "<p>Same decomposition as the default cover.</p>";
     }
-  } // End while loop
+  }
+  displayResults("minimal-cover-synthesis", html);
+
+  // Relations already in BCNF offer no 3NF decomposition to replace
+  if (analysis.decompositions["3NF"]) {
+    analysis.decompositions["3NF"] = decomposition;
+    updateDecompositionSelects();
+  }
+}
 
-  // Convert the set of sorted strings back to sets of attributes
-  return Array.from(resultSchemas).map(
-    (schemaString) => new Set(schemaString.split(", "))
+// --- FD Set Comparison ---
+
+/**
+ * Reads an FD set typed into one of the comparison textareas. The F textarea may be
+ * left empty to stand for the FDs of the relation being edited.
+ * @param {string} textareaId
+ * @param {string} name - "F" or "G", for messages.
+ * @returns {Array<{lhs: Set<string>, rhs: Set<string>}>|null} - null after reporting an error.
+ */
+function readComparisonFDs(textareaId, name) {
+  const text = document.getElementById(textareaId).value;
+  if (!text.trim()) {
+    if (name === "F") return functionalDependencies.slice();
+    alert(`Please enter the FD set ${name}.`);
+    return null;
+  }
+  const { fds, mvds, jds, errors } = parseFDText(text, allAttributes);
+  const messages = errors.map(
+    (err) => `${name}, line ${err.line}: ${err.message}`
   );
+  mvds
+    .concat(jds)
+    .forEach((dependency) =>
+      messages.push(
+        `${name}, line ${dependency.line}: only functional dependencies can be compared.`
+      )
+    );
+  if (messages.length > 0) {
+    alert(messages.join("\n"));
+    return null;
+  }
+  return fds.map(({ lhs, rhs }) => ({ lhs, rhs }));
 }
 
-// --- Main Calculation Orchestrator ---
+/**
+ * Lists FDs that one set does not imply, each with the closure of its LHS as witness.
+ * @param {string} title
+ * @param {Array<{fd: object, closure: Set<string>, missing: Set<string>}>} notImplied
+ * @param {string} name - Name of the implying set.
+ * @returns {string} HTML
+ */
+function renderNotImpliedFDs(title, notImplied, name) {
+  if (notImplied.length === 0) return "";
+  return `<div class="violations"><p>${escapeHTML(title)}:</p><ul>${notImplied
+    .map(
+      ({ fd, closure, missing }) =>
+        `<li>${escapeHTML(fdToString(fd))}: {${escapeHTML(
+          setToSortedString(fd.lhs)
+        )}}+ = {${escapeHTML(
+          setToSortedString(closure)
+        )}} under ${name}, which lacks ${escapeHTML(
+          setToSortedString(missing)
+        )}</li>`
+    )
+    .join("")}</ul></div>`;
+}
 
-function calculate() {
-  try {
-    // Add error handling block
+/**
+ * Compares the FD sets F and G and shows which implies which, with witnesses.
+ */
+function compareFDSetsUI() {
+  updateAllAttributes();
+  const f = readComparisonFDs("compare-fds-f", "F");
+  if (!f) return;
+  const g = readComparisonFDs("compare-fds-g", "G");
+  if (!g) return;
+
+  const result = compareFDSets(f, g);
+  const status = (holds) => (holds ? "✅ Yes" : "❌ No");
+  const formatFDs = (fds) =>
+    fds.map((fd) => escapeHTML(fdToString(fd))).join("; ") || "(none)";
+  let html = `<p class="nf-verdict"><b>${
+    result.equivalent
+      ? "F and G are equivalent."
+      : "F and G are not equivalent."
+  }</b></p>`;
+  html += `<ul class="nf-status"><li><b>F ⊨ G:</b> ${status(
+    result.fImpliesG
+  )}</li><li><b>G ⊨ F:</b> ${status(result.gImpliesF)}</li></ul>`;
+  html += renderNotImpliedFDs(
+    "FDs of G that F does not imply",
+    result.notImpliedByF,
+    "F"
+  );
+  html += renderNotImpliedFDs(
+    "FDs of F that G does not imply",
+    result.notImpliedByG,
+    "G"
+  );
+  html += `<details><summary>Minimal covers</summary><p>F: ${formatFDs(
+    result.minimalCoverF
+  )}</p><p>G: ${formatFDs(result.minimalCoverG)}</p></details>`;
+  displayResults("fd-comparison-result", html);
+}
 
-    // 1. Update and Validate Global Attributes & FDs
-    updateAllAttributes(); // Recalculates allAttributes based on input and FDs
+/**
+ * Answers "does F imply X → Y?" for the FD typed into the query box.
+ */
+function checkImplicationUI() {
+  updateAllAttributes();
+  const f = readComparisonFDs("compare-fds-f", "F");
+  if (!f) return;
+  const { fds, errors } = parseFDText(
+    document.getElementById("implication-query").value,
+    allAttributes
+  );
+  if (errors.length > 0 || fds.length !== 1) {
+    alert(
+      errors.length > 0
+        ? errors.map((err) => err.message).join("\n")
+        : "Please enter a single FD, e.g. A, B -> C."
+    );
+    return;
+  }
 
-    if (allAttributes.size === 0) {
-      alert("Please define the set of attributes for the relation R.");
-      return;
+  const fd = fds[0];
+  const { implied, closure, missing } = impliesFD(f, fd);
+  const witness = `{${escapeHTML(setToSortedString(fd.lhs))}}+ = {${escapeHTML(
+    setToSortedString(closure)
+  )}} under F`;
+  displayResults(
+    "fd-comparison-result",
+    implied
+      ? `<p>✅ F implies ${escapeHTML(
+          fdToString(fd)
+        )}: ${witness} contains every attribute of the RHS.</p>`
+      : `<p>❌ F does not imply ${escapeHTML(
+          fdToString(fd)
+        )}: ${witness} lacks ${escapeHTML(setToSortedString(missing))}.</p>`
+  );
+}
+
+// --- Sample Data ---
+
+/**
+ * Reads the CSV file chosen in the file input into the CSV textarea and attaches it.
+ * @param {Event} event - The change event of the file input.
+ */
+function loadCSVFile(event) {
+  const file = event.target.files[0];
+  event.target.value = ""; // Allow picking the same file again
+  if (!file) return;
+
+  const reader = new FileReader();
+  reader.onload = () => {
+    document.getElementById("csv-input").value = reader.result;
+    attachSample();
+  };
+  reader.readAsText(file);
+}
+
+/**
+ * Attaches the rows in the CSV textarea to the active relation (an empty textarea
+ * detaches them), then re-checks the FD list and the last results against them.
+ * @returns {boolean} - False if the text could not be read; the previous sample stays attached.
+ */
+function attachSample() {
+  const text = document.getElementById("csv-input").value;
+  let table = null;
+  if (text.trim() !== "") {
+    try {
+      table = SampleData.parseCSV(text);
+    } catch (error) {
+      showSampleStatus(`Could not read the CSV: ${error.message}`, true);
+      return false;
     }
-    // No need to check FD length here, handled by individual functions
+  }
+  sampleTable = table;
+  discoveredFDs = [];
+  displayResults("discovered-fds", "");
+  showSampleStatus();
+  updateFDList();
+  if (lastCalculation) renderDataValidation();
+  return true;
+}
+
+/**
+ * Describes the attached sample under the CSV textarea, or shows a message instead.
+ * @param {string} [message]
+ * @param {boolean} [isError]
+ */
+function showSampleStatus(message, isError = false) {
+  const status = document.getElementById("sample-status");
+  status.classList.toggle("error", isError);
+  if (message) {
+    status.textContent = message;
+  } else if (sampleTable) {
+    status.textContent = `${
+      sampleTable.rows.length
+    } row(s) over ${sampleTable.columns.join(", ")} attached to ${
+      Workspace.getActiveRelation(workspace).name
+    }.${
+      samplesLeftOutOfStorage
+        ? " The sample rows are too large to keep across reloads; use Save JSON to keep them."
+        : ""
+    }`;
+  } else {
+    status.textContent = "";
+  }
+}
 
-    // Clear previous results
-    // document.getElementById("closure-result").innerHTML = "";
-    document.getElementById("subset-closures-result").innerHTML = "";
-    document.getElementById("candidate-keys-result").innerHTML = "";
-    document.getElementById("normal-forms-result").innerHTML = "";
+/**
+ * Marks an FD in the list as holding, violated or unchecked in the attached sample.
+ * @param {{lhs: Set<string>, rhs: Set<string>}} fd
+ * @returns {string} - HTML, empty without a sample.
+ */
+function renderFDDataStatus(fd) {
+  if (!sampleTable) return "";
+  const { holds, missing, violationCount } = SampleData.checkFD(
+    sampleTable,
+    fd,
+    0
+  );
+  if (holds === null) {
+    return `<span class="fd-data-status unchecked">not in sample: ${escapeHTML(
+      missing.join(", ")
+    )}</span>`;
+  }
+  return holds
+    ? '<span class="fd-data-status holds">✓ holds in sample</span>'
+    : `<span class="fd-data-status violated">✗ ${violationCount} violating row pair(s)</span>`;
+}
+
+/**
+ * Renders sample rows as a table with their 1-based row numbers.
+ * @param {number[]} rowIndices - 0-based indices into sampleTable.rows.
+ * @param {string[]} columns - Columns to show.
+ * @param {Set<string>} [highlighted] - Columns whose cells are marked.
+ * @returns {string} - HTML.
+ */
+function renderSampleRows(rowIndices, columns, highlighted = new Set()) {
+  const positions = columns.map((column) =>
+    sampleTable.columns.indexOf(column)
+  );
+  return `<table class="tableau"><tr><th>Row</th>${columns
+    .map((column) => `<th>${escapeHTML(column)}</th>`)
+    .join("")}</tr>${rowIndices
+    .map(
+      (i) =>
+        `<tr><th>${i + 1}</th>${positions
+          .map(
+            (position, k) =>
+              `<td${
+                highlighted.has(columns[k]) ? ' class="changed"' : ""
+              }>${escapeHTML(sampleTable.rows[i][position])}</td>`
+          )
+          .join("")}</tr>`
+    )
+    .join("")}</table>`;
+}
 
-    // 2. Calculate Closure of All Attributes (Example)
-    const closureAll = calculateClosure(allAttributes, functionalDependencies);
+/**
+ * Checks the FDs and candidate keys of the last calculation against the attached
+ * sample: each violated FD lists row pairs that agree on its LHS but not its RHS,
+ * and each key that is not unique lists the rows sharing its values.
+ */
+function renderDataValidation() {
+  if (!lastCalculation) return;
+  if (!sampleTable) {
     displayResults(
-      "closure-result",
-      `<h4>Closure of All Attributes</h4><p>R+ = {${setToSortedString(
-        closureAll
-      )}}</p>`
+      "data-validation-result",
+      "<p>Attach sample rows under Sample data (CSV) to check the FDs and keys against real data.</p>"
     );
-
-    // 3. Calculate All Subset Closures (Optional - can be slow)
-    if (allAttributes.size <= 8) {
-      // Limit subset closures calculation for performance
-      const allClosures = calculateAllSubsetClosures();
-      let closuresHTML = "<h4>Closures of Subsets</h4><ul>";
-      // Sort subsets for display
-      const sortedSubsets = Array.from(allClosures.keys()).sort(
-        (a, b) => a.length - b.length || a.localeCompare(b)
-      );
-      sortedSubsets.forEach((subsetKey) => {
-        const subset = subsetKey || "∅"; // Handle empty string for potential future empty set inclusion
-        const closure = allClosures.get(subsetKey);
-        closuresHTML += `<li>{${subset}}+ = {${setToSortedString(
-          closure
-        )}}</li>`;
-      });
-      closuresHTML += "</ul>";
-      displayResults("subset-closures-result", closuresHTML);
+    return;
+  }
+  const { relation, analysis } = lastCalculation;
+  const unchecked = (missing) =>
+    `not checked, the sample has no column ${escapeHTML(missing.join(", "))}`;
+
+  let html = `<p>${sampleTable.rows.length} row(s); rows are numbered from 1 after the header.</p>`;
+  html += "<p><u>Functional dependencies:</u></p><ul>";
+  relation.fds.forEach((fd) => {
+    const { holds, missing, violations, violationCount } = SampleData.checkFD(
+      sampleTable,
+      fd
+    );
+    html += `<li>${escapeHTML(fdToString(fd))}: `;
+    if (holds === null) {
+      html += `${unchecked(missing)}</li>`;
+    } else if (holds) {
+      html += "✅ holds</li>";
     } else {
-      displayResults(
-        "subset-closures-result",
-        "<h4>Closures of Subsets</h4><p>(Skipped for performance, > 8 attributes)</p>"
-      );
+      const columns = Array.from(fd.lhs)
+        .sort()
+        .concat(
+          Array.from(fd.rhs)
+            .filter((attr) => !fd.lhs.has(attr))
+            .sort()
+        );
+      html += `❌ violated by ${violationCount} pair(s) of rows that agree on {${escapeHTML(
+        setToSortedString(fd.lhs)
+      )}} but not on {${escapeHTML(setToSortedString(fd.rhs))}}${
+        violationCount > violations.length
+          ? ` (first ${violations.length} shown)`
+          : ""
+      }:${violations
+        .map((pair) => renderSampleRows(pair, columns, fd.rhs))
+        .join("")}</li>`;
     }
-
-    // 4. Find Candidate Keys
-    const candidateKeys = findCandidateKeys(); // Returns array of Sets
-    let keysHTML = "<h4>Candidate Keys</h4>";
-    if (candidateKeys.length > 0) {
-      keysHTML += "<ul>";
-      candidateKeys.forEach((key) => {
-        keysHTML += `<li>{${setToSortedString(key)}}</li>`;
-      });
-      keysHTML += "</ul>";
+  });
+  html += "</ul><p><u>Candidate keys:</u></p><ul>";
+  analysis.candidateKeys.forEach((key) => {
+    const { unique, missing, duplicates, duplicateCount } =
+      SampleData.checkKeyUniqueness(sampleTable, key);
+    html += `<li>{${escapeHTML(setToSortedString(key))}}: `;
+    if (unique === null) {
+      html += `${unchecked(missing)}</li>`;
+    } else if (unique) {
+      html += "✅ unique</li>";
     } else {
-      keysHTML +=
-        "<p>No candidate keys found (or calculation failed). Check attributes and FDs.</p>";
+      html += `❌ not unique, ${duplicateCount} value(s) appear in more than one row${
+        duplicateCount > duplicates.length
+          ? ` (first ${duplicates.length} shown)`
+          : ""
+      }:${duplicates
+        .map((group) => renderSampleRows(group, Array.from(key).sort(), key))
+        .join("")}</li>`;
     }
-    displayResults("candidate-keys-result", keysHTML);
+  });
+  html += "</ul>";
+  displayResults("data-validation-result", html);
+}
 
-    // 5. Check Normal Forms & Calculate Decompositions
-    let nfHTML = "<h4>Normal Forms & Decompositions</h4>";
-    if (candidateKeys.length > 0) {
-      // Need keys for NF checks and some decompositions
-      const normalFormsResult = checkNormalForms(candidateKeys);
+/**
+ * Reads a number input, treating an empty field as `fallback`.
+ * @param {string} inputId
+ * @param {number} fallback
+ * @returns {number} - NaN if the field holds something that is not a number.
+ */
+function readNumberInput(inputId, fallback) {
+  const value = document.getElementById(inputId).value.trim();
+  return value === "" ? fallback : Number(value);
+}
 
-      // --- NF Status ---
-      // nfHTML += `<p><b>BCNF:</b> ${
-      //   normalFormsResult.isBCNF ? "✅ Yes" : "❌ No"
-      // }</p>`;
-      if (!normalFormsResult.isBCNF) {
-        // nfHTML += `<div class="violations">Violations:<br>${normalFormsResult.violations.BCNF.join(
-        //   "<br>"
-        // )}</div>`;
-        const decompBCNF = calculateBCNFDecomposition(); // Array of Sets
-        nfHTML += `<p><u>BCNF Decomposition:</u></p><ul>${decompBCNF
-          .map((rel) => `<li>R(${setToSortedString(rel)})</li>`)
-          .join("")}</ul>`;
-      }
+/**
+ * Lists the minimal FDs that hold in the attached sample for loading. Exact FDs are
+ * preselected; approximate ones show the share of rows that break them.
+ */
+function discoverFDsUI() {
+  if (!attachSample()) return;
+  if (!sampleTable) {
+    alert("Paste or choose sample rows first.");
+    return;
+  }
+  const table = sampleTable;
+  const maxErrorPercent = readNumberInput("max-fd-error", 0);
+  const maxLhsSize = readNumberInput("max-lhs-size", Infinity);
+  if (!(maxErrorPercent >= 0 && maxErrorPercent <= 100)) {
+    alert("Max error must be a percentage between 0 and 100.");
+    return;
+  }
+  if (!(maxLhsSize >= 1)) {
+    alert("Max LHS size must be at least 1.");
+    return;
+  }
 
-      // nfHTML += `<p><b>3NF:</b> ${
-      //   normalFormsResult.is3NF
-      //     ? "✅ Yes"
-      //     : normalFormsResult.isBCNF
-      //     ? "(Implied by BCNF)"
-      //     : "❌ No"
-      // }</p>`;
-      if (!normalFormsResult.is3NF && !normalFormsResult.isBCNF) {
-        // Only show if not BCNF already
-        // nfHTML += `<div class="violations">Violations:<br>${normalFormsResult.violations[
-        //   "3NF"
-        // ].join("<br>")}</div>`;
-      }
-      // Always show 3NF decomposition if not BCNF (it's the target)
-      if (!normalFormsResult.isBCNF) {
-        const decomp3NF = calculate3NFDecomposition(candidateKeys); // Array of Sets
-        nfHTML += `<p><u>3NF Decomposition (Synthesis):</u></p><ul>${decomp3NF
-          .map((rel) => `<li>R(${setToSortedString(rel)})</li>`)
-          .join("")}</ul>`;
-      }
+  const { fds, constantColumns } = SampleData.discoverFDs(table, {
+    maxError: maxErrorPercent / 100,
+    maxLhsSize,
+  });
+  discoveredFDs = fds;
+
+  const formatError = (error) =>
+    error === 0 ? "" : ` <i>(${(error * 100).toFixed(1)}% of rows violate)</i>`;
+  let html = `<p>${fds.length} minimal FD(s) in ${
+    table.rows.length
+  } row(s) over ${escapeHTML(table.columns.join(", "))}.</p>`;
+  if (constantColumns.length > 0) {
+    html += `<p>Constant in the sample (left out): ${constantColumns
+      .map(({ column, error }) => escapeHTML(column) + formatError(error))
+      .join(", ")}</p>`;
+  }
+  if (fds.length > 0) {
+    html += `<ul class="nf-status">${fds
+      .map(
+        (fd, index) =>
+          `<li><label><input type="checkbox" class="discovered-fd" value="${index}"${
+            fd.error === 0 ? " checked" : ""
+          } /> ${escapeHTML(fdToString(fd))}${formatError(
+            fd.error
+          )}</label></li>`
+      )
+      .join(
+        ""
+      )}</ul><button onclick="loadDiscoveredFDs()">Load Selected FDs</button>`;
+  }
+  displayResults("discovered-fds", html);
+}
 
-      // nfHTML += `<p><b>2NF:</b> ${
-      //   normalFormsResult.is2NF
-      //     ? "✅ Yes"
-      //     : normalFormsResult.is3NF || normalFormsResult.isBCNF
-      //     ? "(Implied by 3NF/BCNF)"
-      //     : "❌ No"
-      // }</p>`;
-      if (
-        !normalFormsResult.is2NF &&
-        !normalFormsResult.is3NF &&
-        !normalFormsResult.isBCNF
-      ) {
-        // Only show if not 3NF/BCNF
-        // nfHTML += `<div class="violations">Violations:<br>${normalFormsResult.violations[
-        //   "2NF"
-        // ].join("<br>")}</div>`;
-        const decomp2NF = calculate2NFDecomposition(candidateKeys); // Array of Sets
-        nfHTML += `<p><u>2NF Decomposition:</u></p><ul>${decomp2NF
-          .map((rel) => `<li>R(${setToSortedString(rel)})</li>`)
-          .join("")}</ul>`;
-      }
-    } else {
-      nfHTML +=
-        "<p>Cannot determine normal forms or perform standard decompositions without candidate keys.</p>";
-      // Minimal cover might still be useful
-      const minimalCover = calculateMinimalCover(functionalDependencies);
-      nfHTML += `<p><u>Minimal Cover (Basis for 3NF):</u></p><ul>${minimalCover
-        .map(
-          (fd) =>
-            `<li>{${setToSortedString(fd.lhs)}} → {${setToSortedString(
-              fd.rhs
-            )}}</li>`
-        )
-        .join("")}</ul>`;
-    }
-    displayResults("normal-forms-result", nfHTML);
-  } catch (error) {
-    console.error("Calculation Error:", error);
-    alert(
-      `An error occurred during calculation: ${error.message}\nCheck console for details.`
-    );
-    // Optionally display error in the UI
-    displayResults(
-      "normal-forms-result",
-      `<p style="color: red;">Error: ${error.message}</p>`
+/**
+ * Replaces the current attributes and dependencies with the CSV columns and the
+ * discovered FDs that are ticked, so the analysis runs on them.
+ */
+function loadDiscoveredFDs() {
+  if (!sampleTable) return;
+  const chosen = Array.from(
+    document.querySelectorAll("#discovered-fds .discovered-fd:checked")
+  ).map((checkbox) => discoveredFDs[Number(checkbox.value)]);
+  if (chosen.length === 0) {
+    alert("Select at least one FD to load.");
+    return;
+  }
+  if (
+    functionalDependencies.length +
+      multivaluedDependencies.length +
+      joinDependencies.length >
+      0 &&
+    !confirm("Replace the current attributes and functional dependencies?")
+  ) {
+    return;
+  }
+
+  functionalDependencies = chosen.map((fd) => ({
+    lhs: new Set(fd.lhs),
+    rhs: new Set(fd.rhs),
+  }));
+  multivaluedDependencies = [];
+  joinDependencies = [];
+  document.getElementById("attributes").value = sampleTable.columns.join(", ");
+  updateFDList();
+}
+
+// Larger tables are cut off on the page; the CSV downloads hold every row
+const MAX_SHOWN_SAMPLE_ROWS = 200;
+
+/**
+ * Renders a table of sample values, marking some rows.
+ * @param {{columns: string[], rows: string[][]}} table
+ * @param {Set<number>} [markedRows] - Indices of rows to highlight.
+ * @returns {string} - HTML.
+ */
+function renderDataTable(table, markedRows = new Set()) {
+  const shown = table.rows.slice(0, MAX_SHOWN_SAMPLE_ROWS);
+  let html = `<table class="tableau"><tr>${table.columns
+    .map((column) => `<th>${escapeHTML(column)}</th>`)
+    .join("")}</tr>${shown
+    .map(
+      (row, i) =>
+        `<tr${markedRows.has(i) ? ' class="spurious"' : ""}>${row
+          .map((value) => `<td>${escapeHTML(value)}</td>`)
+          .join("")}</tr>`
+    )
+    .join("")}</table>`;
+  if (table.rows.length > shown.length) {
+    html += `<p class="property-note">First ${shown.length} of ${table.rows.length} rows shown.</p>`;
+  }
+  return html;
+}
+
+/**
+ * Projects the attached sample onto each relation of the chosen decomposition, joins
+ * the projections back and shows the result with its spurious tuples highlighted.
+ */
+function applyDecompositionToSampleUI() {
+  if (!sampleTable) {
+    alert("Attach sample rows under Sample data (CSV) first.");
+    return;
+  }
+  const chosen = readChosenDecomposition();
+  if (!chosen) return;
+  try {
+    sampleJoin = SampleData.applyDecomposition(
+      sampleTable,
+      chosen.decomposition
     );
+  } catch (error) {
+    alert(`Could not apply the decomposition: ${error.message}`);
+    return;
+  }
+
+  const { projections, original, joined, spurious } = sampleJoin;
+  let html = "";
+  projections.forEach((projection, i) => {
+    html += `<p><b>R${i + 1}(${escapeHTML(
+      projection.columns.join(", ")
+    )})</b>: ${
+      projection.rows.length
+    } row(s) <button onclick="downloadSampleProjection(${i})">Download CSV</button></p>`;
+    html += renderDataTable(projection);
+  });
+  html += `<p><b>Natural join of ${projections
+    .map((_, i) => `R${i + 1}`)
+    .join(" ⋈ ")}</b>: ${joined.rows.length} row(s) for ${
+    original.rows.length
+  } distinct row(s) in the sample <button onclick="downloadSampleJoin()">Download CSV</button></p>`;
+  html +=
+    spurious.length > 0
+      ? `<p>❌ ${spurious.length} spurious tuple(s), highlighted: they were never in the data, so this decomposition loses information on the sample.</p>`
+      : "<p>✅ No spurious tuples: the join gives back exactly the sample.</p>";
+  html += renderDataTable(joined, new Set(spurious));
+  displayResults("sample-join-result", html);
+}
+
+/**
+ * Downloads one projection of the last decomposition applied to the sample.
+ * @param {number} index - Index of the relation in the decomposition.
+ */
+function downloadSampleProjection(index) {
+  if (!sampleJoin || !sampleJoin.projections[index]) return;
+  downloadFile(
+    `R${index + 1}.csv`,
+    SampleData.formatCSV(sampleJoin.projections[index]),
+    "text/csv"
+  );
+}
+
+/**
+ * Downloads the join of the projections, spurious tuples included.
+ */
+function downloadSampleJoin() {
+  if (!sampleJoin) return;
+  downloadFile(
+    "joined.csv",
+    SampleData.formatCSV(sampleJoin.joined),
+    "text/csv"
+  );
+}
+
+// --- SQL Export ---
+
+/**
+ * Generates CREATE TABLE statements for the selected decomposition and dialect.
+ * @returns {string|null} - The DDL, or null if nothing has been calculated yet.
+ */
+function exportSQL() {
+  const decomposition = getSelectedDecomposition("export-decomposition");
+  if (!decomposition) {
+    alert("Please run Calculate All first.");
+    return null;
+  }
+  let ddl;
+  try {
+    ddl = SqlDdl.generateDDL(decomposition, lastCalculation.relation.fds, {
+      dialect: document.getElementById("export-dialect").value,
+    });
+  } catch (error) {
+    alert(`Could not generate SQL: ${error.message}`);
+    return null;
+  }
+  document.getElementById("sql-export-result").textContent = ddl;
+  return ddl;
+}
+
+function downloadSQL() {
+  const ddl = exportSQL();
+  if (ddl) {
+    downloadFile("schema.sql", ddl, "application/sql");
   }
 }
 
+/**
+ * Offers text content to the user as a file download.
+ * @param {string} filename
+ * @param {string} content
+ * @param {string} mimeType
+ */
+function downloadFile(filename, content, mimeType) {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Escapes text for safe insertion into HTML.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHTML(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
 /**
  * Helper to display results in a specific DOM element.
  * @param {string} elementId - The ID of the target element.
@@ -1010,6 +2516,87 @@ function displayResults(elementId, htmlContent) {
 document.addEventListener("DOMContentLoaded", () => {
   // Attach event listeners or perform initial setup if needed
   document.getElementById("add-fd-btn").addEventListener("click", addFD);
+  document
+    .getElementById("add-bulk-fds-btn")
+    .addEventListener("click", addBulkFDs);
+  document
+    .getElementById("ddl-input")
+    .addEventListener("input", refreshDDLTables);
+  document
+    .getElementById("import-ddl-btn")
+    .addEventListener("click", importDDL);
+  document.getElementById("csv-input").addEventListener("change", attachSample);
+  document
+    .getElementById("csv-file-input")
+    .addEventListener("change", loadCSVFile);
+  document
+    .getElementById("discover-fds-btn")
+    .addEventListener("click", discoverFDsUI);
+  document
+    .getElementById("export-sql-btn")
+    .addEventListener("click", exportSQL);
+  document
+    .getElementById("download-sql-btn")
+    .addEventListener("click", downloadSQL);
   document.getElementById("calculate-btn").addEventListener("click", calculate);
-  updateFDList(); // Initialize the list display
+  document
+    .getElementById("relation-select")
+    .addEventListener("change", switchRelation);
+  document
+    .getElementById("new-relation-btn")
+    .addEventListener("click", newRelation);
+  document
+    .getElementById("rename-relation-btn")
+    .addEventListener("click", renameActiveRelation);
+  document
+    .getElementById("delete-relation-btn")
+    .addEventListener("click", deleteActiveRelation);
+  document
+    .getElementById("attributes")
+    .addEventListener("change", persistWorkspace);
+  document
+    .getElementById("save-json-btn")
+    .addEventListener("click", exportWorkspaceJSON);
+  document
+    .getElementById("open-json-btn")
+    .addEventListener("click", () =>
+      document.getElementById("open-json-input").click()
+    );
+  document
+    .getElementById("open-json-input")
+    .addEventListener("change", importWorkspaceJSON);
+  document
+    .getElementById("share-link-btn")
+    .addEventListener("click", copyShareLink);
+  document
+    .getElementById("explain-mode")
+    .addEventListener("change", toggleExplainMode);
+  document
+    .getElementById("cancel-key-search-btn")
+    .addEventListener("click", cancelKeySearch);
+  document
+    .getElementById("check-lossless-btn")
+    .addEventListener("click", checkLosslessJoinUI);
+  document
+    .getElementById("apply-sample-btn")
+    .addEventListener("click", applyDecompositionToSampleUI);
+  document
+    .getElementById("enumerate-covers-btn")
+    .addEventListener("click", enumerateMinimalCoversUI);
+  document
+    .getElementById("compare-fds-btn")
+    .addEventListener("click", compareFDSetsUI);
+  document
+    .getElementById("check-implication-btn")
+    .addEventListener("click", checkImplicationUI);
+  document
+    .getElementById("dependency-graph-result")
+    .addEventListener("click", handleDependencyGraphClick);
+  window.addEventListener("hashchange", handleHashChange);
+
+  if (!restoreWorkspace()) {
+    updateFDList(); // Initialize the list display
+    updateRelationSelect();
+    updateWorkspaceSummary();
+  }
 });
@@ -0,0 +1,616 @@
+/**
+ * SQL DDL support
+ *
+ * Parses CREATE TABLE statements into table descriptions and turns them into
+ * relations for the normalization engine: every PRIMARY KEY and UNIQUE
+ * constraint becomes a key dependency (key → all other columns).
+ * In the other direction, generates CREATE TABLE statements for a decomposition.
+ *
+ * Browser: loaded via <script src="sql.js"> after engine.js, exposed as `SqlDdl`.
+ * Node:    const sql = require("./sql.js");
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./engine.js"));
+  } else {
+    root.SqlDdl = factory(root.NormalizationEngine);
+  }
+})(typeof self !== "undefined" ? self : this, function (engine) {
+  "use strict";
+
+  const {
+    createRelation,
+    isSuperset,
+    setsAreEqual,
+    findProjectedCandidateKeys,
+  } = engine;
+
+  // --- Parsing Helpers ---
+
+  /**
+   * Removes "--" line comments and block comments, leaving string literals alone.
+   * @param {string} sql
+   * @returns {string}
+   */
+  function stripComments(sql) {
+    return sql.replace(
+      /('(?:[^']|'')*')|--[^\n]*|\/\*[\s\S]*?\*\//g,
+      (match, literal) => (literal ? literal : " ")
+    );
+  }
+
+  /**
+   * Removes identifier quoting ("name", `name`, [name]) and any schema prefix.
+   * @param {string} identifier
+   * @returns {string}
+   */
+  function unquoteIdentifier(identifier) {
+    const parts = identifier
+      .trim()
+      .match(/"[^"]*"|`[^`]*`|\[[^\]]*\]|[^.]+/g) || [""];
+    return parts[parts.length - 1].replace(/^["`[]|["`\]]$/g, "").trim();
+  }
+
+  /**
+   * Splits a string on commas that are not nested inside parentheses or quotes.
+   * @param {string} text
+   * @returns {string[]}
+   */
+  function splitTopLevel(text) {
+    const items = [];
+    let depth = 0;
+    let quote = null;
+    let current = "";
+    for (const char of text) {
+      if (quote) {
+        if (char === quote) quote = null;
+      } else if (char === "'" || char === '"' || char === "`") {
+        quote = char;
+      } else if (char === "(") {
+        depth++;
+      } else if (char === ")") {
+        depth--;
+      } else if (char === "," && depth === 0) {
+        items.push(current.trim());
+        current = "";
+        continue;
+      }
+      current += char;
+    }
+    if (current.trim()) items.push(current.trim());
+    return items;
+  }
+
+  /**
+   * Parses a parenthesised column list such as "(a, `b`)" into unquoted names.
+   * @param {string} list
+   * @returns {string[]}
+   */
+  function parseColumnList(list) {
+    return splitTopLevel(list.replace(/^\s*\(|\)\s*$/g, ""))
+      .map((column) =>
+        unquoteIdentifier(column.replace(/\s+(ASC|DESC)\s*$/i, ""))
+      )
+      .filter((column) => column);
+  }
+
+  const IDENTIFIER = '(?:"[^"]+"|`[^`]+`|\\[[^\\]]+\\]|[\\w$]+)';
+  const QUALIFIED_IDENTIFIER = `${IDENTIFIER}(?:\\s*\\.\\s*${IDENTIFIER})*`;
+  const COLUMN_LIST = "\\(([^()]*)\\)";
+
+  /**
+   * Parses a table-level constraint (PRIMARY KEY, UNIQUE, FOREIGN KEY) into the table.
+   * @param {string} item
+   * @param {object} table
+   * @returns {boolean} - true if the item was a table constraint (or an ignorable index/check).
+   */
+  function parseTableConstraint(item, table) {
+    const body = item.replace(
+      new RegExp(`^CONSTRAINT\\s+${IDENTIFIER}\\s+`, "i"),
+      ""
+    );
+
+    let match = body.match(
+      new RegExp(`^PRIMARY\\s+KEY\\s*${COLUMN_LIST}`, "i")
+    );
+    if (match) {
+      table.primaryKey = parseColumnList(match[1]);
+      return true;
+    }
+
+    match = body.match(
+      new RegExp(
+        `^UNIQUE(?:\\s+(?:KEY|INDEX))?(?:\\s+${IDENTIFIER})?\\s*${COLUMN_LIST}`,
+        "i"
+      )
+    );
+    if (match) {
+      table.uniques.push(parseColumnList(match[1]));
+      return true;
+    }
+
+    match = body.match(
+      new RegExp(
+        `^FOREIGN\\s+KEY(?:\\s+${IDENTIFIER})?\\s*${COLUMN_LIST}\\s*REFERENCES\\s+(${QUALIFIED_IDENTIFIER})\\s*(?:${COLUMN_LIST})?`,
+        "i"
+      )
+    );
+    if (match) {
+      table.foreignKeys.push({
+        columns: parseColumnList(match[1]),
+        referencedTable: unquoteIdentifier(match[2]),
+        referencedColumns: match[3] ? parseColumnList(match[3]) : [],
+      });
+      return true;
+    }
+
+    // Plain indexes and checks carry no dependency information
+    return (
+      /^(KEY|INDEX|FULLTEXT|SPATIAL|CHECK|EXCLUDE)\b/i.test(body) ||
+      body !== item
+    );
+  }
+
+  /**
+   * Parses a column definition, including inline PRIMARY KEY / UNIQUE / REFERENCES.
+   * @param {string} item
+   * @param {object} table
+   */
+  function parseColumnDefinition(item, table) {
+    const match = item.match(new RegExp(`^(${IDENTIFIER})\\s*([\\s\\S]*)$`));
+    if (!match) return;
+    const name = unquoteIdentifier(match[1]);
+    const rest = match[2];
+    const typeMatch = rest.match(
+      /^([\w ]+?(?:\([^)]*\))?)(?=\s+(?:NOT|NULL|PRIMARY|UNIQUE|REFERENCES|DEFAULT|CHECK|CONSTRAINT|AUTO_INCREMENT|AUTOINCREMENT|GENERATED|COLLATE|IDENTITY)\b|\s*$)/i
+    );
+
+    table.columns.push({
+      name,
+      type: typeMatch ? typeMatch[1].trim() : rest.trim(),
+      notNull: /\bNOT\s+NULL\b|\bPRIMARY\s+KEY\b/i.test(rest),
+    });
+
+    if (/\bPRIMARY\s+KEY\b/i.test(rest)) {
+      table.primaryKey = [name];
+    }
+    if (/\bUNIQUE\b/i.test(rest)) {
+      table.uniques.push([name]);
+    }
+    const referenceMatch = rest.match(
+      new RegExp(
+        `\\bREFERENCES\\s+(${QUALIFIED_IDENTIFIER})\\s*(?:${COLUMN_LIST})?`,
+        "i"
+      )
+    );
+    if (referenceMatch) {
+      table.foreignKeys.push({
+        columns: [name],
+        referencedTable: unquoteIdentifier(referenceMatch[1]),
+        referencedColumns: referenceMatch[2]
+          ? parseColumnList(referenceMatch[2])
+          : [],
+      });
+    }
+  }
+
+  // --- Import ---
+
+  /**
+   * Finds a column of a table by name. Unquoted SQL identifiers are case-insensitive,
+   * so a name that matches no column exactly is compared ignoring case.
+   * @param {{columns: Array<{name: string}>}} table
+   * @param {string} name
+   * @returns {string} - The column's declared spelling, or `name` if there is no such column.
+   */
+  function resolveColumnName(table, name) {
+    const column =
+      table.columns.find((candidate) => candidate.name === name) ||
+      table.columns.find(
+        (candidate) => candidate.name.toLowerCase() === name.toLowerCase()
+      );
+    return column ? column.name : name;
+  }
+
+  /**
+   * Parses every CREATE TABLE statement in a DDL script. Other statements are ignored.
+   * @param {string} sql
+   * @returns {Array<{
+   *   name: string,
+   *   columns: Array<{name: string, type: string, notNull: boolean}>,
+   *   primaryKey: string[],
+   *   uniques: string[][],
+   *   foreignKeys: Array<{columns: string[], referencedTable: string, referencedColumns: string[]}>
+   * }>}
+   */
+  function parseCreateTables(sql) {
+    const source = stripComments(sql);
+    const tables = [];
+    const headerPattern = new RegExp(
+      `CREATE\\s+(?:(?:GLOBAL|LOCAL)\\s+)?(?:TEMP(?:ORARY)?\\s+)?TABLE\\s+(?:IF\\s+NOT\\s+EXISTS\\s+)?(${QUALIFIED_IDENTIFIER})\\s*\\(`,
+      "gi"
+    );
+
+    let header;
+    while ((header = headerPattern.exec(source)) !== null) {
+      // Find the parenthesis closing the column list
+      let depth = 1;
+      let index = headerPattern.lastIndex;
+      let quote = null;
+      for (; index < source.length && depth > 0; index++) {
+        const char = source[index];
+        if (quote) {
+          if (char === quote) quote = null;
+        } else if (char === "'" || char === '"' || char === "`") {
+          quote = char;
+        } else if (char === "(") {
+          depth++;
+        } else if (char === ")") {
+          depth--;
+        }
+      }
+      if (depth !== 0) {
+        throw new Error(
+          `Unterminated CREATE TABLE statement for ${header[1]}.`
+        );
+      }
+
+      const table = {
+        name: unquoteIdentifier(header[1]),
+        columns: [],
+        primaryKey: [],
+        uniques: [],
+        foreignKeys: [],
+      };
+      const body = source.slice(headerPattern.lastIndex, index - 1);
+      splitTopLevel(body).forEach((item) => {
+        if (!parseTableConstraint(item, table)) {
+          parseColumnDefinition(item, table);
+        }
+      });
+
+      // Key and FOREIGN KEY lists use the spelling of the column definitions
+      const resolve = (name) => resolveColumnName(table, name);
+      table.primaryKey = table.primaryKey.map(resolve);
+      table.uniques = table.uniques.map((unique) => unique.map(resolve));
+      table.foreignKeys.forEach((foreignKey) => {
+        foreignKey.columns = foreignKey.columns.map(resolve);
+      });
+
+      // Drop UNIQUE constraints that merely repeat the primary key
+      table.uniques = table.uniques.filter(
+        (unique) => !setsAreEqual(new Set(unique), new Set(table.primaryKey))
+      );
+      tables.push(table);
+      headerPattern.lastIndex = index;
+    }
+    return tables;
+  }
+
+  /**
+   * Lists the key dependencies implied by a table's PRIMARY KEY and UNIQUE constraints.
+   * SQL lets any number of rows hold NULL in a UNIQUE column, so a UNIQUE constraint
+   * only counts as a key when each of its columns is NOT NULL or in the primary key.
+   * @param {object} table - A table from parseCreateTables.
+   * @param {function(string): string} [rename] - Maps column names to attribute names.
+   * @returns {Array<{lhs: Set<string>, rhs: Set<string>}>}
+   */
+  function getKeyDependencies(table, rename = (column) => column) {
+    const columns = table.columns.map((column) => rename(column.name));
+    const isNotNull = (name) =>
+      table.primaryKey.includes(name) ||
+      table.columns.some((column) => column.name === name && column.notNull);
+    const keys = [
+      table.primaryKey,
+      ...table.uniques.filter((unique) => unique.every(isNotNull)),
+    ].filter((key) => key.length > 0);
+    const fds = [];
+    keys.forEach((key) => {
+      const lhs = new Set(key.map(rename));
+      const rhs = new Set(columns.filter((column) => !lhs.has(column)));
+      if (rhs.size > 0) fds.push({ lhs, rhs });
+    });
+    return fds;
+  }
+
+  /**
+   * Converts one parsed table into a relation for the engine.
+   * @param {object} table - A table from parseCreateTables.
+   * @returns {{attributes: Set<string>, fds: Array<{lhs: Set<string>, rhs: Set<string>}>}}
+   */
+  function tableToRelation(table) {
+    return createRelation(
+      table.columns.map((column) => column.name),
+      getKeyDependencies(table)
+    );
+  }
+
+  /**
+   * Combines several tables into a single universal relation. Columns that a
+   * FOREIGN KEY references are identified with the referencing column, so the
+   * key dependencies of the referenced table carry over to the join. Other columns
+   * whose name occurs in more than one table (e.g. products.name and customers.name)
+   * are unrelated and get the table name as prefix: products_name, customers_name.
+   * @param {Array<object>} tables - Tables from parseCreateTables.
+   * @returns {{attributes: Set<string>, fds: Array<{lhs: Set<string>, rhs: Set<string>}>}}
+   */
+  function tablesToUniversalRelation(tables) {
+    const columnKey = (table, column) =>
+      `${table.name.toLowerCase()}.${column.toLowerCase()}`;
+    // referenced "table.column" -> attribute name of the first referencing column
+    const aliases = new Map();
+    // "table.column" of every FOREIGN KEY column
+    const foreignKeyColumns = new Set();
+    tables.forEach((table) => {
+      table.foreignKeys.forEach((foreignKey) => {
+        foreignKey.columns.forEach((column) =>
+          foreignKeyColumns.add(columnKey(table, column))
+        );
+        const target = tables.find(
+          (candidate) =>
+            candidate.name.toLowerCase() ===
+            foreignKey.referencedTable.toLowerCase()
+        );
+        if (!target) return;
+        const referencedColumns =
+          foreignKey.referencedColumns.length > 0
+            ? foreignKey.referencedColumns
+            : target.primaryKey;
+        referencedColumns.forEach((column, index) => {
+          const aliasKey = columnKey(target, resolveColumnName(target, column));
+          if (foreignKey.columns[index] && !aliases.has(aliasKey)) {
+            aliases.set(aliasKey, foreignKey.columns[index]);
+          }
+        });
+      });
+    });
+
+    // Tables using each plain column name, to find unrelated columns sharing one
+    const tablesByName = new Map();
+    tables.forEach((table) =>
+      table.columns.forEach((column) => {
+        const name = aliases.get(columnKey(table, column.name)) || column.name;
+        if (!tablesByName.has(name)) tablesByName.set(name, new Set());
+        tablesByName.get(name).add(table.name);
+      })
+    );
+
+    const attributes = new Set();
+    const fds = [];
+    tables.forEach((table) => {
+      const rename = (column) => {
+        const key = columnKey(table, column);
+        if (aliases.has(key)) return aliases.get(key);
+        const sharing = tablesByName.get(column);
+        if (foreignKeyColumns.has(key) || !sharing || sharing.size === 1) {
+          return column;
+        }
+        return `${table.name}_${column}`;
+      };
+      table.columns.forEach((column) => attributes.add(rename(column.name)));
+      fds.push(...getKeyDependencies(table, rename));
+    });
+    return createRelation(attributes, fds);
+  }
+
+  // --- Export ---
+
+  const DIALECTS = {
+    postgresql: {
+      quote: (name) => `"${name.replace(/"/g, '""')}"`,
+      defaultType: "TEXT",
+      allowsForwardReferences: false,
+    },
+    mysql: {
+      quote: (name) => `\`${name.replace(/`/g, "``")}\``,
+      defaultType: "VARCHAR(255)", // TEXT columns cannot be keys without a prefix length
+      allowsForwardReferences: false,
+    },
+    sqlite: {
+      quote: (name) => `"${name.replace(/"/g, '""')}"`,
+      defaultType: "TEXT",
+      allowsForwardReferences: true, // FKs are only checked when rows are written
+    },
+  };
+
+  /**
+   * Converts an attribute name such as "CustomerId" or "Order Date" to snake_case.
+   * @param {string} name
+   * @returns {string}
+   */
+  function toSnakeCase(name) {
+    return name
+      .replace(/([a-z0-9])([A-Z])/g, "$1_$2")
+      .replace(/[^A-Za-z0-9]+/g, "_")
+      .replace(/^_+|_+$/g, "")
+      .toLowerCase();
+  }
+
+  /**
+   * Turns a decomposition into table designs: a generated name, a primary key
+   * chosen from the candidate keys of each schema (the others become UNIQUE
+   * constraints) and foreign keys to every table whose primary key it contains.
+   * When two tables share the same primary key, only the later one references the earlier.
+   * A table whose key search gave up (see findProjectedCandidateKeys) is marked
+   * keysIncomplete: it may have candidate keys without a UNIQUE constraint.
+   * @param {Array<Set<string>>} decomposition - Relation schemas from a decomposition.
+   * @param {Array<{lhs: Set<string>, rhs: Set<string>}>} fds - FDs of the original relation.
+   * @param {{tablePrefix?: string}} [options]
+   * @returns {Array<{name: string, columns: string[], primaryKey: string[], uniques: string[][], foreignKeys: Array<{columns: string[], referencedTable: string, referencedColumns: string[]}>, keysIncomplete: boolean}>}
+   */
+  function designTables(decomposition, fds, options = {}) {
+    const tablePrefix = options.tablePrefix || "r_";
+    const usedNames = new Set();
+
+    const tables = decomposition.map((schema) => {
+      const unverified = [];
+      const keys = findProjectedCandidateKeys(schema, fds, unverified);
+      const primaryKey = keys.length > 0 ? Array.from(keys[0]).sort() : [];
+      const keySet = new Set(primaryKey);
+
+      // A table without key columns (one determined by FDs with an empty LHS) is named after all of them
+      const nameColumns =
+        primaryKey.length > 0 ? primaryKey : Array.from(schema).sort();
+      const baseName = tablePrefix + nameColumns.map(toSnakeCase).join("_");
+      let name = baseName;
+      for (let suffix = 2; usedNames.has(name); suffix++) {
+        name = `${baseName}_${suffix}`;
+      }
+      usedNames.add(name);
+
+      return {
+        name,
+        columns: [
+          ...primaryKey,
+          ...Array.from(schema)
+            .filter((attr) => !keySet.has(attr))
+            .sort(),
+        ],
+        primaryKey,
+        uniques: keys.slice(1).map((key) => Array.from(key).sort()),
+        foreignKeys: [],
+        keysIncomplete: unverified.length > 0,
+        schema,
+      };
+    });
+
+    tables.forEach((child, i) => {
+      tables.forEach((parent, j) => {
+        if (i === j || parent.primaryKey.length === 0) return;
+        const parentKey = new Set(parent.primaryKey);
+        if (!isSuperset(child.schema, parentKey)) return;
+        // Tables with identical keys are 1:1 - reference in one direction only
+        if (setsAreEqual(parentKey, new Set(child.primaryKey)) && j > i) return;
+        child.foreignKeys.push({
+          columns: parent.primaryKey,
+          referencedTable: parent.name,
+          referencedColumns: parent.primaryKey,
+        });
+      });
+    });
+
+    return tables.map(({ schema, ...table }) => table);
+  }
+
+  /**
+   * Orders tables so that referenced tables come first. Foreign keys that
+   * close a cycle cannot be satisfied by ordering and are returned separately.
+   * @param {Array<object>} tables - Designs from designTables.
+   * @returns {{ordered: Array<object>, deferred: Array<{table: object, foreignKey: object}>}}
+   */
+  function orderTablesByReferences(tables) {
+    const ordered = [];
+    const deferred = [];
+    const placed = new Set();
+    const remaining = [...tables];
+
+    while (remaining.length > 0) {
+      let index = remaining.findIndex((table) =>
+        table.foreignKeys.every(
+          (fk) =>
+            placed.has(fk.referencedTable) || fk.referencedTable === table.name
+        )
+      );
+      if (index === -1) {
+        // Cycle: place the first remaining table and defer its unmet references
+        index = 0;
+        remaining[0].foreignKeys
+          .filter((fk) => !placed.has(fk.referencedTable))
+          .forEach((fk) =>
+            deferred.push({ table: remaining[0], foreignKey: fk })
+          );
+      }
+      const [table] = remaining.splice(index, 1);
+      placed.add(table.name);
+      ordered.push(table);
+    }
+    return { ordered, deferred };
+  }
+
+  /**
+   * Generates CREATE TABLE statements for a decomposition.
+   * @param {Array<Set<string>>} decomposition - Relation schemas from a decomposition.
+   * @param {Array<{lhs: Set<string>, rhs: Set<string>}>} fds - FDs of the original relation.
+   * @param {{dialect?: "postgresql"|"mysql"|"sqlite", tablePrefix?: string, columnTypes?: Object<string, string>}} [options]
+   * @returns {string}
+   */
+  function generateDDL(decomposition, fds, options = {}) {
+    const dialectName = options.dialect || "postgresql";
+    const dialect = DIALECTS[dialectName];
+    if (!dialect) {
+      throw new Error(`Unsupported SQL dialect "${dialectName}".`);
+    }
+    const columnTypes = options.columnTypes || {};
+    const quoteList = (columns) => columns.map(dialect.quote).join(", ");
+
+    const tables = designTables(decomposition, fds, options);
+    const { ordered, deferred } = orderTablesByReferences(tables);
+    // Cyclic references become ALTER TABLE statements unless the dialect allows
+    // referencing a table that is created later
+    const isDeferred = (table, fk) =>
+      !dialect.allowsForwardReferences &&
+      deferred.some((d) => d.table === table && d.foreignKey === fk);
+
+    const statements = ordered.map((table) => {
+      // UNIQUE columns are NOT NULL as well, so that they stay keys when imported again
+      const keyColumns = new Set([table.primaryKey, ...table.uniques].flat());
+      const lines = table.columns.map(
+        (column) =>
+          `  ${dialect.quote(column)} ${
+            columnTypes[column] || dialect.defaultType
+          }${keyColumns.has(column) ? " NOT NULL" : ""}`
+      );
+      if (table.primaryKey.length > 0) {
+        lines.push(`  PRIMARY KEY (${quoteList(table.primaryKey)})`);
+      }
+      table.uniques.forEach((unique) =>
+        lines.push(`  UNIQUE (${quoteList(unique)})`)
+      );
+      table.foreignKeys
+        .filter((fk) => !isDeferred(table, fk))
+        .forEach((fk) =>
+          lines.push(
+            `  FOREIGN KEY (${quoteList(
+              fk.columns
+            )}) REFERENCES ${dialect.quote(fk.referencedTable)} (${quoteList(
+              fk.referencedColumns
+            )})`
+          )
+        );
+      const note = table.keysIncomplete
+        ? "-- Too many column sets to search every candidate key; more UNIQUE constraints may apply\n"
+        : "";
+      return `${note}CREATE TABLE ${dialect.quote(table.name)} (\n${lines.join(
+        ",\n"
+      )}\n);`;
+    });
+
+    if (!dialect.allowsForwardReferences) {
+      deferred.forEach(({ table, foreignKey }) => {
+        const tableName = dialect.quote(table.name);
+        const constraintName = dialect.quote(
+          `fk_${table.name}_${foreignKey.referencedTable}`
+        );
+        const referencedTable = dialect.quote(foreignKey.referencedTable);
+        statements.push(
+          `ALTER TABLE ${tableName} ADD CONSTRAINT ${constraintName} ` +
+            `FOREIGN KEY (${quoteList(foreignKey.columns)}) ` +
+            `REFERENCES ${referencedTable} (${quoteList(
+              foreignKey.referencedColumns
+            )});`
+        );
+      });
+    }
+
+    return statements.join("\n\n") + "\n";
+  }
+
+  return {
+    parseCreateTables,
+    getKeyDependencies,
+    tableToRelation,
+    tablesToUniversalRelation,
+    designTables,
+    generateDDL,
+  };
+});
@@ -0,0 +1,123 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const engine = require("../engine.js");
+
+/**
+ * Builds FDs from [lhs, rhs] pairs of attribute lists.
+ * @param {Array<[string[], string[]]>} pairs
+ * @returns {Array<{lhs: Set<string>, rhs: Set<string>}>}
+ */
+function fds(pairs) {
+  return pairs.map(([lhs, rhs]) => ({ lhs: new Set(lhs), rhs: new Set(rhs) }));
+}
+
+/**
+ * Lists the attributes X1 … Xn.
+ * @param {number} n
+ * @returns {string[]}
+ */
+function numbered(n) {
+  return Array.from({ length: n }, (_, i) => `X${i + 1}`);
+}
+
+const schemas = (list) => list.map(engine.setToSortedString).sort();
+
+test("a sub-schema with more than 16 LHS attributes and only trivial FDs is in BCNF", () => {
+  const xs = numbered(18);
+  const relation = {
+    attributes: new Set([...xs, "Y", "Z", "W"]),
+    fds: fds([...xs.map((x) => [[x], ["Y"]]), [["Y"], ["Z"]], [["Z"], ["W"]]]),
+  };
+  const analysis = engine.analyzeRelation(relation);
+  assert.deepStrictEqual(
+    schemas(analysis.decompositions.BCNF),
+    schemas([
+      new Set(["W", "Z"]),
+      new Set(["Y", "Z"]),
+      new Set(["X1", "Y"]),
+      new Set(xs),
+    ])
+  );
+  assert.strictEqual(analysis.unverified, undefined);
+});
+
+test("a sub-schema too wide to search is kept and reported as unverified", () => {
+  const xs = numbered(17);
+  const relation = {
+    attributes: new Set([...xs, "Y", "Z"]),
+    fds: fds([
+      [xs, ["Y"]],
+      [["Y"], ["Z"]],
+    ]),
+  };
+  const analysis = engine.analyzeRelation(relation, null, { explain: true });
+  const wide = new Set([...xs, "Y"]);
+  assert.deepStrictEqual(
+    schemas(analysis.decompositions.BCNF),
+    schemas([new Set(["Y", "Z"]), wide])
+  );
+  assert.deepStrictEqual(schemas(analysis.unverified.BCNF), schemas([wide]));
+  assert.match(
+    analysis.traces.BCNF[analysis.traces.BCNF.length - 1].description,
+    /not checked further/
+  );
+  assert.ok(analysis.decompositions["3NF"].length > 0);
+});
+
+test("projected keys of a schema too wide to search are returned in part", () => {
+  const xs = numbered(17);
+  const schema = new Set([...xs, "Y"]);
+  const unverified = [];
+  const keys = engine.findProjectedCandidateKeys(
+    schema,
+    fds([
+      [xs, ["Y"]],
+      [["Y"], xs],
+    ]),
+    unverified
+  );
+  assert.deepStrictEqual(schemas(keys), ["Y"]);
+  assert.deepStrictEqual(unverified, [schema]);
+});
+
+test("a projected key is still found when the search gives up before any", () => {
+  const xs = numbered(17);
+  const schema = new Set([...xs, "Y"]);
+  const dependencies = fds([
+    [xs, ["Y"]],
+    ...xs.map((x) => [["Y", ...xs.filter((other) => other !== x)], [x]]),
+  ]);
+  const unverified = [];
+  const keys = engine.findProjectedCandidateKeys(
+    schema,
+    dependencies,
+    unverified
+  );
+  assert.strictEqual(keys.length, 1);
+  const isSuperkey = (attributes) =>
+    engine.isSuperset(
+      engine.calculateClosure(attributes, dependencies),
+      schema
+    );
+  assert.ok(isSuperkey(keys[0]));
+  keys[0].forEach((attr) =>
+    assert.ok(!isSuperkey(new Set([...keys[0]].filter((a) => a !== attr))))
+  );
+  assert.strictEqual(unverified.length, 1);
+});
+
+test("the empty set is the only projected key when FDs with an empty LHS determine the schema", () => {
+  const dependencies = fds([[[], ["A", "B"]]]);
+  const keys = engine.findProjectedCandidateKeys(
+    new Set(["A", "B"]),
+    dependencies
+  );
+  assert.deepStrictEqual(keys, [new Set()]);
+  assert.deepStrictEqual(
+    engine.findCandidateKeys({
+      attributes: new Set(["A", "B"]),
+      fds: dependencies,
+    }),
+    keys
+  );
+});
@@ -0,0 +1,47 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const engine = require("../engine.js");
+const sql = require("../sql.js");
+
+const keyStrings = (fds) => fds.map((fd) => engine.setToSortedString(fd.lhs));
+
+test("UNIQUE on nullable columns is not imported as a key", () => {
+  const [table] = sql.parseCreateTables(`
+    CREATE TABLE people (
+      id INTEGER PRIMARY KEY,
+      email TEXT UNIQUE,
+      ssn TEXT NOT NULL UNIQUE,
+      first_name TEXT NOT NULL,
+      last_name TEXT,
+      UNIQUE (first_name, last_name)
+    );`);
+  assert.deepStrictEqual(keyStrings(sql.getKeyDependencies(table)), [
+    "id",
+    "ssn",
+  ]);
+});
+
+test("UNIQUE columns in the primary key count as NOT NULL", () => {
+  const [table] = sql.parseCreateTables(`
+    CREATE TABLE enrollments (
+      student INTEGER,
+      course INTEGER,
+      seat INTEGER NOT NULL,
+      PRIMARY KEY (student, course),
+      UNIQUE (course, seat)
+    );`);
+  assert.deepStrictEqual(keyStrings(sql.getKeyDependencies(table)), [
+    "course, student",
+    "course, seat",
+  ]);
+});
+
+test("exported UNIQUE columns are NOT NULL and stay keys when imported again", () => {
+  const fds = [
+    { lhs: new Set(["A"]), rhs: new Set(["B", "C"]) },
+    { lhs: new Set(["B"]), rhs: new Set(["A"]) },
+  ];
+  const ddl = sql.generateDDL([new Set(["A", "B", "C"])], fds);
+  const [table] = sql.parseCreateTables(ddl);
+  assert.deepStrictEqual(keyStrings(sql.getKeyDependencies(table)), ["A", "B"]);
+});
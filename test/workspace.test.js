@@ -0,0 +1,38 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const Workspace = require("../workspace.js");
+
+/**
+ * Builds a workspace whose only relation has a sample row attached.
+ * @returns {object}
+ */
+function workspaceWithSample() {
+  const workspace = Workspace.createWorkspace();
+  workspace.relations[0] = Workspace.createNamedRelation("R", {
+    attributes: ["A", "B"],
+    fds: [{ lhs: ["A"], rhs: ["B"] }],
+    sample: { columns: ["A", "B"], rows: [["1", "2"]] },
+  });
+  return workspace;
+}
+
+test("saved workspaces keep the sample rows unless asked not to", () => {
+  const workspace = workspaceWithSample();
+  assert.deepStrictEqual(
+    Workspace.serializeWorkspace(workspace).relations[0].sample,
+    { columns: ["A", "B"], rows: [["1", "2"]] }
+  );
+  assert.strictEqual(
+    Workspace.serializeWorkspace(workspace, { withSamples: false }).relations[0]
+      .sample,
+    undefined
+  );
+});
+
+test("share links leave the sample rows out", () => {
+  const decoded = Workspace.decodeWorkspace(
+    Workspace.encodeWorkspace(workspaceWithSample())
+  );
+  assert.strictEqual(decoded.relations[0].sample, undefined);
+  assert.deepStrictEqual(decoded.relations[0].attributes, new Set(["A", "B"]));
+});
@@ -0,0 +1,422 @@
+/**
+ * Workspace
+ *
+ * A workspace holds several named relations (e.g. ORDERS, CUSTOMERS, LINE_ITEMS),
+ * each with its own attributes and FDs. Workspace relations are ordinary engine
+ * relations with an added `name` (and, when sample rows are attached, a `sample`
+ * table as read by SampleData.parseCSV), so they can be passed to any engine function.
+ *
+ * Browser: loaded via <script src="workspace.js"> after engine.js, exposed as `Workspace`.
+ * Node:    const workspace = require("./workspace.js");
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./engine.js"));
+  } else {
+    root.Workspace = factory(root.NormalizationEngine);
+  }
+})(typeof self !== "undefined" ? self : this, function (engine) {
+  "use strict";
+
+  /**
+   * Creates a named relation for a workspace.
+   * @param {string} name
+   * @param {{attributes: Set<string>, fds: Array, attributeTypes?: Map, mvds?: Array, jds?: Array, sample?: object}} [relation] - Initial attributes, FDs, attribute types, MVDs, JDs and sample rows.
+   * @returns {{name: string, attributes: Set<string>, fds: Array<{lhs: Set<string>, rhs: Set<string>}>, attributeTypes?: Map, mvds?: Array, jds?: Array, sample?: {columns: string[], rows: string[][]}}}
+   */
+  function createNamedRelation(name, relation = { attributes: [], fds: [] }) {
+    const named = {
+      name,
+      ...engine.createRelation(
+        relation.attributes,
+        relation.fds,
+        relation.attributeTypes,
+        relation.mvds,
+        relation.jds
+      ),
+    };
+    if (relation.sample) {
+      named.sample = {
+        columns: relation.sample.columns,
+        rows: relation.sample.rows,
+      };
+    }
+    return named;
+  }
+
+  /**
+   * Creates a workspace containing one empty relation.
+   * @param {string} [firstRelationName]
+   * @returns {{relations: Array<object>, activeIndex: number}}
+   */
+  function createWorkspace(firstRelationName = "R") {
+    return {
+      relations: [createNamedRelation(firstRelationName)],
+      activeIndex: 0,
+    };
+  }
+
+  /**
+   * Validates a relation name: non-empty and unique within the workspace (case-insensitive).
+   * @param {object} workspace
+   * @param {string} name
+   * @param {number} [ignoreIndex] - Index of the relation being renamed.
+   * @returns {string} - The trimmed name.
+   * @throws {Error} If the name is empty or already used.
+   */
+  function validateRelationName(workspace, name, ignoreIndex = -1) {
+    const trimmed = (name || "").trim();
+    if (!trimmed) {
+      throw new Error("Relation name cannot be empty.");
+    }
+    const duplicate = workspace.relations.some(
+      (relation, index) =>
+        index !== ignoreIndex &&
+        relation.name.toLowerCase() === trimmed.toLowerCase()
+    );
+    if (duplicate) {
+      throw new Error(`A relation named "${trimmed}" already exists.`);
+    }
+    return trimmed;
+  }
+
+  /**
+   * Returns the relation currently selected in the workspace.
+   * @param {object} workspace
+   * @returns {object}
+   */
+  function getActiveRelation(workspace) {
+    return workspace.relations[workspace.activeIndex];
+  }
+
+  /**
+   * Adds a relation to the workspace and makes it the active one.
+   * @param {object} workspace
+   * @param {string} name
+   * @param {{attributes: Set<string>, fds: Array}} [relation] - Initial attributes and FDs.
+   * @returns {object} - The new workspace relation.
+   * @throws {Error} If the name is empty or already used.
+   */
+  function addRelation(workspace, name, relation) {
+    const entry = createNamedRelation(
+      validateRelationName(workspace, name),
+      relation
+    );
+    workspace.relations.push(entry);
+    workspace.activeIndex = workspace.relations.length - 1;
+    return entry;
+  }
+
+  /**
+   * Renames the relation at the given index.
+   * @param {object} workspace
+   * @param {number} index
+   * @param {string} name
+   * @throws {Error} If the name is empty or already used.
+   */
+  function renameRelation(workspace, index, name) {
+    workspace.relations[index].name = validateRelationName(
+      workspace,
+      name,
+      index
+    );
+  }
+
+  /**
+   * Removes the relation at the given index. The last remaining relation cannot be removed.
+   * @param {object} workspace
+   * @param {number} index
+   * @throws {Error} If it is the only relation in the workspace.
+   */
+  function removeRelation(workspace, index) {
+    if (workspace.relations.length <= 1) {
+      throw new Error("A workspace must contain at least one relation.");
+    }
+    workspace.relations.splice(index, 1);
+    if (workspace.activeIndex >= workspace.relations.length) {
+      workspace.activeIndex = workspace.relations.length - 1;
+    } else if (workspace.activeIndex > index) {
+      workspace.activeIndex--;
+    }
+  }
+
+  /**
+   * Suggests an unused relation name such as "R2", "R3", ...
+   * @param {object} workspace
+   * @param {string} [prefix]
+   * @returns {string}
+   */
+  function suggestRelationName(workspace, prefix = "R") {
+    const used = new Set(
+      workspace.relations.map((relation) => relation.name.toLowerCase())
+    );
+    let counter = workspace.relations.length + 1;
+    while (used.has(`${prefix}${counter}`.toLowerCase())) counter++;
+    return `${prefix}${counter}`;
+  }
+
+  /**
+   * Analyzes every relation and reports its candidate keys and highest normal form.
+   * Empty relations are listed with a null normal form. Relations whose key search
+   * would exceed options.keySearchLimit undetermined attributes (see
+   * engine.classifyKeyAttributes) are listed with null candidate keys instead.
+   * Relations with non-atomic attributes are "UNF", listed with the candidate keys
+   * of their 1NF relation (see engine.transformTo1NF).
+   * @param {object} workspace
+   * @param {{keySearchLimit?: number}} [options]
+   * @returns {Array<{name: string, attributes: Set<string>, candidateKeys: Array<Set<string>>|null, highestNormalForm: string|null}>}
+   */
+  function summarizeWorkspace(workspace, options = {}) {
+    const keySearchLimit = options.keySearchLimit ?? Infinity;
+    return workspace.relations.map((relation) => {
+      if (relation.attributes.size === 0) {
+        return {
+          name: relation.name,
+          attributes: relation.attributes,
+          candidateKeys: [],
+          highestNormalForm: null,
+        };
+      }
+      const nonAtomic = engine.hasNonAtomicAttributes(relation);
+      const analyzed = nonAtomic
+        ? engine.transformTo1NF(relation).relation
+        : relation;
+      if (
+        engine.classifyKeyAttributes(analyzed).undetermined.size >
+        keySearchLimit
+      ) {
+        return {
+          name: relation.name,
+          attributes: relation.attributes,
+          candidateKeys: null,
+          highestNormalForm: nonAtomic ? "UNF" : null,
+        };
+      }
+      const candidateKeys = engine.findCandidateKeys(analyzed);
+      return {
+        name: relation.name,
+        attributes: relation.attributes,
+        candidateKeys,
+        highestNormalForm: nonAtomic
+          ? "UNF"
+          : candidateKeys.length > 0
+          ? engine.getHighestNormalForm(
+              engine.checkNormalForms(relation, candidateKeys)
+            )
+          : null,
+      };
+    });
+  }
+
+  // --- Serialization ---
+
+  const FORMAT_NAME = "db-schema-normalizer";
+  const FORMAT_VERSION = 1;
+
+  /**
+   * Converts a workspace to the versioned JSON format:
+   * { format, version, activeRelation, relations: [{ name, attributes: [...], fds: [{ lhs: [...], rhs: [...] }] }] }
+   * Relations with composite or multivalued attributes also carry
+   * attributeTypes: { Name: { components: [...], multivalued: true|false } }, and
+   * relations with multivalued dependencies carry mvds: [{ lhs: [...], rhs: [...] }]
+   * and relations with join dependencies carry jds: [[[...], [...], ...], ...].
+   * Attached sample rows are kept as sample: { columns: [...], rows: [[...], ...] }.
+   * @param {object} workspace
+   * @param {{withSamples?: boolean}} [options] - withSamples: false leaves the sample rows out.
+   * @returns {object} - A plain object ready for JSON.stringify.
+   */
+  function serializeWorkspace(workspace, options = {}) {
+    const withSamples = options.withSamples !== false;
+    return {
+      format: FORMAT_NAME,
+      version: FORMAT_VERSION,
+      activeRelation: workspace.activeIndex,
+      relations: workspace.relations.map((relation) => {
+        const serialized = {
+          name: relation.name,
+          attributes: Array.from(relation.attributes).sort(),
+          fds: relation.fds.map((fd) => ({
+            lhs: Array.from(fd.lhs).sort(),
+            rhs: Array.from(fd.rhs).sort(),
+          })),
+        };
+        if (engine.hasNonAtomicAttributes(relation)) {
+          serialized.attributeTypes = Object.fromEntries(
+            relation.attributeTypes
+          );
+        }
+        if (engine.hasMultivaluedDependencies(relation)) {
+          serialized.mvds = relation.mvds.map((mvd) => ({
+            lhs: Array.from(mvd.lhs).sort(),
+            rhs: Array.from(mvd.rhs).sort(),
+          }));
+        }
+        if (engine.hasJoinDependencies(relation)) {
+          serialized.jds = relation.jds.map((jd) =>
+            jd.map((component) => Array.from(component).sort())
+          );
+        }
+        if (relation.sample && withSamples) serialized.sample = relation.sample;
+        return serialized;
+      }),
+    };
+  }
+
+  /**
+   * Rebuilds a workspace from the versioned JSON format, validating its structure.
+   * @param {object} data - Parsed JSON.
+   * @returns {object} - The workspace.
+   * @throws {Error} If the data is not a supported workspace document.
+   */
+  function deserializeWorkspace(data) {
+    if (!data || data.format !== FORMAT_NAME) {
+      throw new Error("Not a schema file saved by this tool.");
+    }
+    if (!Number.isInteger(data.version) || data.version > FORMAT_VERSION) {
+      throw new Error(
+        `Unsupported schema file version ${data.version} (expected ${FORMAT_VERSION} or lower).`
+      );
+    }
+    if (!Array.isArray(data.relations) || data.relations.length === 0) {
+      throw new Error("Schema file contains no relations.");
+    }
+
+    const isStringArray = (value) =>
+      Array.isArray(value) && value.every((item) => typeof item === "string");
+    const isDependencyList = (value) =>
+      Array.isArray(value) &&
+      value.every(
+        (dependency) =>
+          dependency &&
+          isStringArray(dependency.lhs) &&
+          isStringArray(dependency.rhs)
+      );
+    const workspace = { relations: [], activeIndex: 0 };
+
+    data.relations.forEach((relation, index) => {
+      const label = `Relation ${index + 1}`;
+      if (!isStringArray(relation.attributes)) {
+        throw new Error(`${label}: "attributes" must be a list of names.`);
+      }
+      if (!isDependencyList(relation.fds)) {
+        throw new Error(
+          `${label}: "fds" must be a list of { lhs: [...], rhs: [...] }.`
+        );
+      }
+      if (relation.mvds !== undefined && !isDependencyList(relation.mvds)) {
+        throw new Error(
+          `${label}: "mvds" must be a list of { lhs: [...], rhs: [...] }.`
+        );
+      }
+      if (
+        relation.jds !== undefined &&
+        !(
+          Array.isArray(relation.jds) &&
+          relation.jds.every(
+            (jd) =>
+              Array.isArray(jd) && jd.length >= 2 && jd.every(isStringArray)
+          )
+        )
+      ) {
+        throw new Error(
+          `${label}: "jds" must be a list of join dependencies, each a list of at least two attribute lists.`
+        );
+      }
+      if (
+        relation.attributeTypes !== undefined &&
+        (!relation.attributeTypes ||
+          typeof relation.attributeTypes !== "object" ||
+          !Object.values(relation.attributeTypes).every(
+            (type) =>
+              type &&
+              isStringArray(type.components) &&
+              typeof type.multivalued === "boolean"
+          ))
+      ) {
+        throw new Error(
+          `${label}: "attributeTypes" must map names to { components: [...], multivalued }.`
+        );
+      }
+      if (
+        relation.sample !== undefined &&
+        !(
+          relation.sample &&
+          isStringArray(relation.sample.columns) &&
+          Array.isArray(relation.sample.rows) &&
+          relation.sample.rows.every(
+            (row) =>
+              isStringArray(row) &&
+              row.length === relation.sample.columns.length
+          )
+        )
+      ) {
+        throw new Error(
+          `${label}: "sample" must be { columns: [...], rows: [[...], ...] } with one value per column in every row.`
+        );
+      }
+      const name = validateRelationName(workspace, relation.name);
+      workspace.relations.push(createNamedRelation(name, relation));
+    });
+
+    if (
+      Number.isInteger(data.activeRelation) &&
+      data.activeRelation >= 0 &&
+      data.activeRelation < workspace.relations.length
+    ) {
+      workspace.activeIndex = data.activeRelation;
+    }
+    return workspace;
+  }
+
+  /**
+   * Encodes a workspace for a URL fragment (base64url of the UTF-8 JSON). Sample rows
+   * are left out: a table of any size would soon exceed what a URL can hold.
+   * @param {object} workspace
+   * @returns {string}
+   */
+  function encodeWorkspace(workspace) {
+    const bytes = new TextEncoder().encode(
+      JSON.stringify(serializeWorkspace(workspace, { withSamples: false }))
+    );
+    let binary = "";
+    bytes.forEach((byte) => (binary += String.fromCharCode(byte)));
+    return btoa(binary)
+      .replace(/\+/g, "-")
+      .replace(/\//g, "_")
+      .replace(/=+$/, "");
+  }
+
+  /**
+   * Decodes a workspace produced by encodeWorkspace.
+   * @param {string} encoded
+   * @returns {object} - The workspace.
+   * @throws {Error} If the text is not a valid encoded workspace.
+   */
+  function decodeWorkspace(encoded) {
+    let data;
+    try {
+      const binary = atob(encoded.replace(/-/g, "+").replace(/_/g, "/"));
+      const bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
+      data = JSON.parse(new TextDecoder().decode(bytes));
+    } catch (error) {
+      throw new Error("The shared link is damaged or incomplete.");
+    }
+    return deserializeWorkspace(data);
+  }
+
+  return {
+    createNamedRelation,
+    createWorkspace,
+    validateRelationName,
+    getActiveRelation,
+    addRelation,
+    renameRelation,
+    removeRelation,
+    suggestRelationName,
+    summarizeWorkspace,
+    serializeWorkspace,
+    deserializeWorkspace,
+    encodeWorkspace,
+    decodeWorkspace,
+  };
+});